@@ -0,0 +1,54 @@
+// Notification types users can set preferences for, and the channels they are delivered on.
+// Required types (account notices) cannot be turned off.
+
+export const NOTIFICATION_CHANNELS = ['in_app', 'email'];
+
+export const NOTIFICATION_TYPES = {
+  course_announcement: { description: 'Announcements from your instructors' },
+  course_update: { description: 'New modules, lessons, quizzes and assignments in your courses' },
+  enrollment: { description: 'Enrollment confirmations' },
+  assignment_due: { description: 'Assignment due date reminders' },
+  assignment_graded: { description: 'Grades for your submissions' },
+  assignment_submitted: { description: 'New submissions in courses you teach' },
+  quiz_passed: { description: 'Quiz results' },
+  course_approval: { description: 'Review decisions on your courses' },
+  course_staff: { description: 'Changes to your teaching roles' },
+  course_transfer: { description: 'Course ownership transfers' },
+  system: { description: 'Platform announcements', required: true },
+  data_export: { description: 'Personal data export links', required: true }
+};
+
+/**
+ * Effective preferences: stored choices on top of the defaults (everything on)
+ * @param {Object|null} stored - user_settings.notification_preferences
+ * @returns {Object} { [type]: { in_app: boolean, email: boolean } }
+ */
+export const resolveNotificationPreferences = (stored) => {
+  return Object.entries(NOTIFICATION_TYPES).reduce((prefs, [type, definition]) => {
+    prefs[type] = NOTIFICATION_CHANNELS.reduce((channels, channel) => {
+      const choice = stored?.[type]?.[channel];
+      channels[channel] = definition.required || typeof choice !== 'boolean' ? true : choice;
+      return channels;
+    }, {});
+    return prefs;
+  }, {});
+};
+
+/**
+ * @param {Object|null} stored - Stored preferences
+ * @param {string} type - Notification type
+ * @param {string} channel - 'in_app' or 'email'
+ * @returns {boolean}
+ */
+export const isNotificationEnabled = (stored, type, channel) => {
+  // Types without a definition are not configurable
+  if (!NOTIFICATION_TYPES[type]) return true;
+  return resolveNotificationPreferences(stored)[type][channel];
+};
+
+export default {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_TYPES,
+  resolveNotificationPreferences,
+  isNotificationEnabled
+};
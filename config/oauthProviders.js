@@ -0,0 +1,169 @@
+// Registry of OAuth / OpenID Connect sign-in providers. A provider is enabled
+// when its credentials are present in the environment.
+import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
+import { Strategy as GitHubStrategy } from 'passport-github2';
+import { Strategy as MicrosoftStrategy } from 'passport-microsoft';
+import { Strategy as OpenIDConnectStrategy } from 'passport-openidconnect';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const serverBaseUrl = () => (
+  process.env.NODE_ENV === 'production'
+    ? process.env.SERVER_URL
+    : `http://localhost:${process.env.PORT || 5000}`
+);
+
+const defaultCallbackURL = (name) => `${serverBaseUrl()}/api/auth/${name}/callback`;
+
+const firstEmail = (profile) => profile.emails?.[0]?.value?.toLowerCase() || null;
+
+const builtInProviders = [
+  {
+    name: 'google',
+    label: 'Google',
+    isConfigured: () => Boolean(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET),
+    callbackURL: () => (
+      process.env.GOOGLE_CALLBACK_URL
+        ? `${serverBaseUrl()}${process.env.GOOGLE_CALLBACK_URL}`
+        : defaultCallbackURL('google')
+    ),
+    scope: ['profile', 'email'],
+    createStrategy(callbackURL, onProfile) {
+      return new GoogleStrategy({
+        clientID: process.env.GOOGLE_CLIENT_ID,
+        clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+        callbackURL,
+        scope: this.scope
+      }, (accessToken, refreshToken, profile, done) => onProfile(profile, done));
+    },
+    toIdentity: (profile) => ({
+      id: profile.id,
+      email: firstEmail(profile),
+      emailVerified: profile.emails?.[0]?.verified !== false,
+      name: profile.displayName
+    })
+  },
+  {
+    name: 'github',
+    label: 'GitHub',
+    isConfigured: () => Boolean(process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET),
+    callbackURL: () => defaultCallbackURL('github'),
+    scope: ['read:user', 'user:email'],
+    createStrategy(callbackURL, onProfile) {
+      return new GitHubStrategy({
+        clientID: process.env.GITHUB_CLIENT_ID,
+        clientSecret: process.env.GITHUB_CLIENT_SECRET,
+        callbackURL,
+        scope: this.scope,
+        allRawEmails: true
+      }, (accessToken, refreshToken, profile, done) => onProfile(profile, done));
+    },
+    toIdentity: (profile) => {
+      const primary = (profile.emails || []).find(email => email.primary) || profile.emails?.[0];
+      return {
+        id: String(profile.id),
+        email: primary?.value?.toLowerCase() || null,
+        emailVerified: Boolean(primary?.verified),
+        name: profile.displayName || profile.username
+      };
+    }
+  },
+  {
+    name: 'microsoft',
+    label: 'Microsoft',
+    isConfigured: () => Boolean(process.env.MICROSOFT_CLIENT_ID && process.env.MICROSOFT_CLIENT_SECRET),
+    callbackURL: () => defaultCallbackURL('microsoft'),
+    scope: ['user.read'],
+    createStrategy(callbackURL, onProfile) {
+      return new MicrosoftStrategy({
+        clientID: process.env.MICROSOFT_CLIENT_ID,
+        clientSecret: process.env.MICROSOFT_CLIENT_SECRET,
+        tenant: process.env.MICROSOFT_TENANT || 'common',
+        callbackURL,
+        scope: this.scope
+      }, (accessToken, refreshToken, profile, done) => onProfile(profile, done));
+    },
+    // Graph's mail/userPrincipalName is directory data, not a verified address
+    toIdentity: (profile) => ({
+      id: profile.id,
+      email: firstEmail(profile),
+      emailVerified: false,
+      name: profile.displayName
+    })
+  }
+];
+
+/**
+ * Build a generic OpenID Connect provider from OIDC_<NAME>_* variables,
+ * e.g. OIDC_PROVIDERS=keycloak with OIDC_KEYCLOAK_ISSUER, OIDC_KEYCLOAK_CLIENT_ID, ...
+ * Endpoints are configured explicitly so any issuer (or a local mock) works.
+ * @param {string} name - Provider name used in the route
+ * @returns {Object} Provider definition
+ */
+const oidcProvider = (name) => {
+  const env = (key) => process.env[`OIDC_${name.toUpperCase().replace(/-/g, '_')}_${key}`];
+
+  return {
+    name,
+    label: env('LABEL') || name,
+    isConfigured: () => Boolean(
+      env('ISSUER') && env('AUTHORIZATION_URL') && env('TOKEN_URL') && env('CLIENT_ID')
+    ),
+    callbackURL: () => defaultCallbackURL(name),
+    scope: (env('SCOPE') || 'openid profile email').split(/[\s,]+/).filter(Boolean),
+    createStrategy(callbackURL, onProfile) {
+      return new OpenIDConnectStrategy({
+        issuer: env('ISSUER'),
+        authorizationURL: env('AUTHORIZATION_URL'),
+        tokenURL: env('TOKEN_URL'),
+        userInfoURL: env('USERINFO_URL'),
+        clientID: env('CLIENT_ID'),
+        clientSecret: env('CLIENT_SECRET'),
+        callbackURL,
+        scope: this.scope
+      }, (issuer, profile, done) => onProfile(profile, done));
+    },
+    toIdentity: (profile) => ({
+      id: profile.id,
+      email: firstEmail(profile),
+      emailVerified: profile._json?.email_verified === true,
+      name: profile.displayName || profile.username
+    })
+  };
+};
+
+const oidcProviderNames = () => (process.env.OIDC_PROVIDERS || '')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(name => /^[a-z0-9-]+$/.test(name));
+
+/**
+ * All providers whose credentials are configured
+ * @returns {Object[]} Provider definitions
+ */
+export const getEnabledOAuthProviders = () => {
+  const builtInNames = builtInProviders.map(provider => provider.name);
+  const oidcProviders = oidcProviderNames()
+    .filter(name => !builtInNames.includes(name))
+    .map(oidcProvider);
+
+  return [...builtInProviders, ...oidcProviders].filter(provider => provider.isConfigured());
+};
+
+let enabledProviders = null;
+
+/**
+ * Look up an enabled provider by route name
+ * @param {string} name - Provider name (e.g. "github")
+ * @returns {Object|null} Provider definition
+ */
+export const getOAuthProvider = (name) => {
+  enabledProviders = enabledProviders || getEnabledOAuthProviders();
+  return enabledProviders.find(provider => provider.name === name) || null;
+};
+
+export default {
+  getEnabledOAuthProviders,
+  getOAuthProvider
+};
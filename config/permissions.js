@@ -0,0 +1,78 @@
+// Permissions granted by a user's account role and by their role on a course.
+// Checked through can() in services/policyService.js.
+
+// Actions on one course that the people teaching it can take
+const TEACHING_PERMISSIONS = {
+  manage: [
+    'course:update',
+    'course:delete',
+    'course:manage_staff',
+    'course:transfer',
+    'course:announce',
+    'course:view_analytics',
+    'content:manage'
+  ],
+  assist: [
+    'course:view_draft',
+    'content:view',
+    'grades:view',
+    'submission:grade',
+    'enrollment:view',
+    // No discussion API exists yet; these are granted for it to check through can()
+    'discussion:reply',
+    'discussion:moderate'
+  ]
+};
+
+const OWNER_ONLY_PERMISSIONS = ['course:delete', 'course:transfer', 'course:manage_staff'];
+
+// Account roles (users.role); these apply to every course
+export const ROLE_PERMISSIONS = {
+  admin: [
+    ...TEACHING_PERMISSIONS.manage,
+    ...TEACHING_PERMISSIONS.assist,
+    'course:create',
+    'course:approve',
+    'course:reassign',
+    'course:feature',
+    'category:manage',
+    'tag:manage',
+    'enrollment:manage',
+    'notification:broadcast',
+    'review:moderate',
+    'user:manage',
+    'teaching:dashboard',
+    'catalog:view_unpublished'
+  ],
+  // catalog:view_unpublished lets GET /api/courses?published_only=false list unpublished courses
+  instructor: ['course:create', 'teaching:dashboard', 'catalog:view_unpublished'],
+  student: []
+};
+
+// Course roles: the owner (courses.instructor_id), staff from course_staff, and enrolled students
+export const COURSE_ROLE_PERMISSIONS = {
+  owner: [...TEACHING_PERMISSIONS.manage, ...TEACHING_PERMISSIONS.assist],
+  // Everything the owner can do except deleting, transferring the course and managing its staff
+  co_instructor: [
+    ...TEACHING_PERMISSIONS.manage.filter(action => !OWNER_ONLY_PERMISSIONS.includes(action)),
+    ...TEACHING_PERMISSIONS.assist
+  ],
+  teaching_assistant: [
+    'course:view_draft',
+    'content:view',
+    'grades:view',
+    'submission:grade',
+    'enrollment:view',
+    'discussion:reply'
+  ],
+  student: ['content:view', 'course:learn', 'discussion:reply']
+};
+
+// Roles that can be given to course_staff members
+export const COURSE_STAFF_ROLES = ['co_instructor', 'teaching_assistant'];
+
+export default {
+  ROLE_PERMISSIONS,
+  COURSE_ROLE_PERMISSIONS,
+  COURSE_STAFF_ROLES
+};
@@ -0,0 +1,56 @@
+// Scopes for personal access tokens and the API areas each one unlocks.
+// Requests with a personal access token are only allowed where a rule matches.
+
+export const TOKEN_SCOPES = {
+  'courses:read': 'Read courses, modules and lessons',
+  'courses:write': 'Create and edit courses, modules and lessons',
+  'enrollments:read': 'Read enrollments',
+  'enrollments:write': 'Enroll and unenroll',
+  'quizzes:read': 'Read quizzes',
+  'quizzes:write': 'Create and edit quizzes, submit attempts',
+  'assignments:read': 'Read assignments',
+  'assignments:write': 'Create and edit assignments, submit work',
+  'grades:read': 'Read submissions, quiz attempts and statistics',
+  'grades:write': 'Grade submissions',
+  'notifications:read': 'Read notifications and course announcements',
+  'notifications:write': 'Manage notifications and send announcements',
+  'analytics:read': 'Read instructor and course analytics'
+};
+
+// Checked in order, so more specific paths come first. A rule without a scope for the
+// method keeps tokens out of that area.
+const SCOPE_RULES = [
+  // Ownership transfers and staff membership need a signed-in session
+  { pattern: /^\/api\/courses\/(transfers|transfer-requests|staff-invitations)(\/|$)/ },
+  { pattern: /^\/api\/courses\/[^/]+\/(staff|owner)(\/|$)/ },
+  { pattern: /^\/api\/courses\/[^/]+\/announcements(\/|$)/, read: 'notifications:read', write: 'notifications:write' },
+  { pattern: /^\/api\/courses\/[^/]+\/analytics(\/|$)/, read: 'analytics:read' },
+  { pattern: /^\/api\/assignments\/submissions\/[^/]+\/grade$/, write: 'grades:write' },
+  { pattern: /^\/api\/assignments\/(.+\/)?(submissions|pending-submissions|statistics)(\/|$)/, read: 'grades:read' },
+  { pattern: /^\/api\/quizzes\/(.+\/)?(attempts|statistics)(\/|$)/, read: 'grades:read', write: 'quizzes:write' },
+  { pattern: /^\/api\/(courses|modules|lessons)(\/|$)/, read: 'courses:read', write: 'courses:write' },
+  { pattern: /^\/api\/enrollments(\/|$)/, read: 'enrollments:read', write: 'enrollments:write' },
+  { pattern: /^\/api\/quizzes(\/|$)/, read: 'quizzes:read', write: 'quizzes:write' },
+  { pattern: /^\/api\/assignments(\/|$)/, read: 'assignments:read', write: 'assignments:write' },
+  { pattern: /^\/api\/notifications(\/|$)/, read: 'notifications:read', write: 'notifications:write' },
+  { pattern: /^\/api\/instructor(\/|$)/, read: 'analytics:read' }
+];
+
+/**
+ * Scope a personal access token needs for a request
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path (without query string)
+ * @returns {string|null} Scope, or null when tokens may not call this endpoint
+ */
+export const requiredScopeFor = (method, path) => {
+  const rule = SCOPE_RULES.find(item => item.pattern.test(path));
+  if (!rule) return null;
+
+  const isRead = ['GET', 'HEAD', 'OPTIONS'].includes(method.toUpperCase());
+  return (isRead ? rule.read : rule.write) || null;
+};
+
+export default {
+  TOKEN_SCOPES,
+  requiredScopeFor
+};
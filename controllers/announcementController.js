@@ -0,0 +1,176 @@
+import AnnouncementModel from '../models/announcementModel.js';
+import CourseModel from '../models/courseModel.js';
+import { createResponse } from '../utils/helper.js';
+import { announcementSchema, updateAnnouncementSchema } from '../utils/validations.js';
+import { can } from '../services/policyService.js';
+import { createAnnouncement, publishAnnouncement } from '../services/announcementService.js';
+
+// Announcement that belongs to the course in the URL
+const findCourseAnnouncement = async (courseId, announcementId) => {
+  const announcement = await AnnouncementModel.findById(announcementId);
+  return announcement && String(announcement.course_id) === String(courseId) ? announcement : null;
+};
+
+const isScheduled = (announcement) => !announcement.published_at;
+
+const announcementController = {
+  // Learners see published announcements; course staff also see scheduled ones
+  async getAnnouncements(req, res) {
+    try {
+      const course = await CourseModel.findById(req.params.id);
+      if (!course) {
+        return res.status(404).json(createResponse(false, 'Course not found', null));
+      }
+
+      const canManage = await can(req.user, 'course:announce', course);
+      if (!canManage && !(await can(req.user, 'content:view', course))) {
+        return res.status(403).json(createResponse(false, 'Not authorized to view announcements for this course', null));
+      }
+
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const [announcements, total] = await Promise.all([
+        AnnouncementModel.findByCourse(course.id, { includeScheduled: canManage, limit, offset: (page - 1) * limit }),
+        AnnouncementModel.countByCourse(course.id, { includeScheduled: canManage })
+      ]);
+
+      return res.status(200).json(createResponse(true, 'Announcements retrieved successfully', {
+        announcements,
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }));
+    } catch (error) {
+      console.error('Error getting announcements:', error);
+      return res.status(500).json(createResponse(false, 'Failed to retrieve announcements', null));
+    }
+  },
+
+  async getAnnouncement(req, res) {
+    try {
+      const course = await CourseModel.findById(req.params.id);
+      if (!course) {
+        return res.status(404).json(createResponse(false, 'Course not found', null));
+      }
+
+      const canManage = await can(req.user, 'course:announce', course);
+      if (!canManage && !(await can(req.user, 'content:view', course))) {
+        return res.status(403).json(createResponse(false, 'Not authorized to view announcements for this course', null));
+      }
+
+      const announcement = await findCourseAnnouncement(course.id, req.params.announcementId);
+      if (!announcement || (!canManage && isScheduled(announcement))) {
+        return res.status(404).json(createResponse(false, 'Announcement not found', null));
+      }
+
+      return res.status(200).json(createResponse(true, 'Announcement retrieved successfully', announcement));
+    } catch (error) {
+      console.error('Error getting announcement:', error);
+      return res.status(500).json(createResponse(false, 'Failed to retrieve announcement', null));
+    }
+  },
+
+  // Post now, or schedule with publish_at; send_email also emails every learner
+  async createAnnouncement(req, res) {
+    try {
+      const { error, value } = announcementSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json(createResponse(false, error.details[0].message, null));
+      }
+
+      const course = await CourseModel.findById(req.params.id);
+      if (!course) {
+        return res.status(404).json(createResponse(false, 'Course not found', null));
+      }
+
+      if (!(await can(req.user, 'course:announce', course))) {
+        return res.status(403).json(createResponse(false, 'You can only create announcements for your own courses', null));
+      }
+
+      const announcement = await createAnnouncement({
+        ...value,
+        course_id: course.id,
+        author_id: req.user.id
+      });
+
+      return res.status(201).json(createResponse(
+        true,
+        announcement.published_at ? 'Announcement published successfully' : 'Announcement scheduled successfully',
+        announcement
+      ));
+    } catch (error) {
+      console.error('Error creating announcement:', error);
+      return res.status(500).json(createResponse(false, 'Failed to create announcement', null));
+    }
+  },
+
+  // Edits never re-notify learners; timing and email can only change before publishing
+  async updateAnnouncement(req, res) {
+    try {
+      const { error, value } = updateAnnouncementSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json(createResponse(false, error.details[0].message, null));
+      }
+
+      const course = await CourseModel.findById(req.params.id);
+      if (!course) {
+        return res.status(404).json(createResponse(false, 'Course not found', null));
+      }
+
+      if (!(await can(req.user, 'course:announce', course))) {
+        return res.status(403).json(createResponse(false, 'Not authorized to manage announcements for this course', null));
+      }
+
+      const announcement = await findCourseAnnouncement(course.id, req.params.announcementId);
+      if (!announcement) {
+        return res.status(404).json(createResponse(false, 'Announcement not found', null));
+      }
+
+      if (announcement.published_at && (value.publish_at !== undefined || value.send_email !== undefined)) {
+        return res.status(400).json(createResponse(
+          false,
+          'The publish time and email option cannot be changed after an announcement is published',
+          null
+        ));
+      }
+
+      await AnnouncementModel.update(announcement.id, value);
+
+      // Moving a scheduled announcement to now (or the past) publishes it right away
+      const updated = await publishAnnouncement(announcement.id) || await AnnouncementModel.findById(announcement.id);
+
+      return res.status(200).json(createResponse(true, 'Announcement updated successfully', updated));
+    } catch (error) {
+      console.error('Error updating announcement:', error);
+      return res.status(500).json(createResponse(false, 'Failed to update announcement', null));
+    }
+  },
+
+  async deleteAnnouncement(req, res) {
+    try {
+      const course = await CourseModel.findById(req.params.id);
+      if (!course) {
+        return res.status(404).json(createResponse(false, 'Course not found', null));
+      }
+
+      if (!(await can(req.user, 'course:announce', course))) {
+        return res.status(403).json(createResponse(false, 'Not authorized to manage announcements for this course', null));
+      }
+
+      const announcement = await findCourseAnnouncement(course.id, req.params.announcementId);
+      if (!announcement) {
+        return res.status(404).json(createResponse(false, 'Announcement not found', null));
+      }
+
+      await AnnouncementModel.delete(announcement.id);
+
+      return res.status(200).json(createResponse(true, 'Announcement deleted successfully', null));
+    } catch (error) {
+      console.error('Error deleting announcement:', error);
+      return res.status(500).json(createResponse(false, 'Failed to delete announcement', null));
+    }
+  }
+};
+
+export default announcementController;
@@ -4,6 +4,7 @@ import LessonModel from '../models/lessonModel.js';
 import CourseModel from '../models/courseModel.js';
 import NotificationModel from '../models/notificationModel.js';
 import { createResponse } from '../utils/helper.js';
+import { can } from '../services/policyService.js';
 import ModuleModel from '../models/moduleModel.js';
 import { query } from '../config/db.js';  
 
@@ -40,10 +41,7 @@ const assignmentController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check if user is authorized to add assignments to this lesson
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'content:manage', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to add assignments to this lesson', null));
       }
 
@@ -94,12 +92,11 @@ const assignmentController = {
       const module = await ModuleModel.findById(lesson.module_id);
       const course = await CourseModel.findById(module.course_id);
       
-      // Check if assignment is published or if user is admin/instructor
-      const isAdminOrInstructor = req.user && (req.user.role === 'admin' || req.user.role === 'instructor');
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      const isEnrolled = user_id ? await LessonModel.isUserEnrolledInCourse(user_id, module.course_id) : false;
+      // Check if assignment is published or if user teaches the course
+      const canViewDrafts = await can(req.user, 'course:view_draft', course);
+      const isEnrolled = await can(req.user, 'course:learn', course);
       
-      if (!assignment.is_published && !isAdminOrInstructor && !isInstructor) {
+      if (!assignment.is_published && !canViewDrafts) {
         return res.status(403).json(createResponse(false, 'This assignment is not available', null));
       }
 
@@ -136,14 +133,13 @@ const assignmentController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check authorization
-      const isAdminOrInstructor = req.user && (req.user.role === 'admin' || req.user.role === 'instructor');
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      const isEnrolled = user_id ? await LessonModel.isUserEnrolledInCourse(user_id, module.course_id) : false;
+      const canViewDrafts = await can(req.user, 'course:view_draft', course);
+      const isEnrolled = await can(req.user, 'course:learn', course);
 
       // Get assignments for this lesson
       let assignments;
-      if (isAdminOrInstructor || isInstructor) {
-        // Admins and instructors can see all assignments
+      if (canViewDrafts) {
+        // Admins and course staff can see all assignments
         assignments = await AssignmentModel.findByLesson(lesson_id);
       } else {
         // Students can only see published assignments
@@ -183,10 +179,7 @@ const assignmentController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check if user is authorized to update this assignment
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'content:manage', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to update this assignment', null));
       }
 
@@ -228,10 +221,7 @@ const assignmentController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check if user is authorized to delete this assignment
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'content:manage', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to delete this assignment', null));
       }
 
@@ -266,9 +256,9 @@ const assignmentController = {
       // Get lesson, module and course to check enrollment
       const lesson = await LessonModel.findById(assignment.lesson_id);
       const module = await ModuleModel.findById(lesson.module_id);
-      const isEnrolled = await LessonModel.isUserEnrolledInCourse(user_id, module.course_id);
+      const course = await CourseModel.findById(module.course_id);
 
-      if (!isEnrolled) {
+      if (!(await can(req.user, 'course:learn', course))) {
         return res.status(403).json(createResponse(false, 'You must be enrolled in this course to submit assignments', null));
       }
 
@@ -338,10 +328,7 @@ const assignmentController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check if user is authorized to grade this submission
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'submission:grade', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to grade this submission', null));
       }
 
@@ -396,10 +383,7 @@ const assignmentController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check if user is authorized to view submissions for this assignment
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'grades:view', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to view submissions for this assignment', null));
       }
 
@@ -419,11 +403,10 @@ const assignmentController = {
       const { user_id } = req.params;
       const { page = 1, limit = 10 } = req.query;
       const requestingUserId = req.user.id;
-      const isAdmin = req.user && req.user.role === 'admin';
       
       // Only allow users to view their own submissions unless they're an admin
       // Convert both to strings for comparison to handle type mismatches
-      if (String(user_id) !== String(requestingUserId) && !isAdmin) {
+      if (String(user_id) !== String(requestingUserId) && !(await can(req.user, 'grades:view'))) {
         return res.status(403).json(createResponse(false, 'Not authorized to view these submissions', null));
       }
 
@@ -450,10 +433,7 @@ const assignmentController = {
       }
 
       // Check if user is authorized to view pending submissions for this course
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'grades:view', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to view pending submissions for this course', null));
       }
 
@@ -484,10 +464,7 @@ const assignmentController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check if user is authorized to view statistics for this assignment
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'grades:view', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to view statistics for this assignment', null));
       }
 
@@ -518,10 +495,7 @@ const assignmentController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check if user is authorized to publish this assignment
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'content:manage', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to publish this assignment', null));
       }
 
@@ -570,10 +544,7 @@ const assignmentController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check if user is authorized to unpublish this assignment
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'content:manage', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to unpublish this assignment', null));
       }
 
@@ -786,12 +757,9 @@ const assignmentController = {
       // Get assignments for the course
       const assignments = await AssignmentModel.findByCourseId(course_id);
 
-      // Filter published assignments for students, show all for instructors/admins
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
+      // Filter published assignments for students, show all for course staff and admins
       let filteredAssignments = assignments;
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'course:view_draft', course))) {
         filteredAssignments = assignments.filter(assignment => assignment.is_published);
       }
 
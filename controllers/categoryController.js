@@ -0,0 +1,230 @@
+import CategoryModel from '../models/categoryModel.js';
+import { createResponse, slugify } from '../utils/helper.js';
+import { categorySchema, updateCategorySchema, mergeCategorySchema, idParamSchema } from '../utils/validations.js';
+import { can } from '../services/policyService.js';
+
+// Nest the flat list; total_course_count includes courses in every subcategory
+const buildCategoryTree = (categories) => {
+  const nodes = new Map(categories.map(category => [category.id, { ...category, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parent_id ? nodes.get(node.parent_id) : null;
+    (parent ? parent.children : roots).push(node);
+  }
+
+  const countCourses = (node) => {
+    node.total_course_count = node.children.reduce((sum, child) => sum + countCourses(child), node.course_count);
+    return node.total_course_count;
+  };
+  roots.forEach(countCourses);
+
+  return { roots, nodes };
+};
+
+// Empty strings from forms clear optional fields
+const normalizeOptionalFields = (value) => {
+  const normalized = { ...value };
+  for (const field of ['description', 'icon']) {
+    if (normalized[field] === '') normalized[field] = null;
+  }
+  return normalized;
+};
+
+const isUniqueViolation = (error) => error.code === '23505';
+
+const categoryController = {
+  // Public category tree with course counts
+  async getCategoryTree(req, res) {
+    try {
+      const categories = await CategoryModel.findAllWithCounts();
+      const { roots } = buildCategoryTree(categories);
+      return res.status(200).json(createResponse(true, 'Categories retrieved successfully', roots));
+    } catch (error) {
+      console.error('Error getting categories:', error);
+      return res.status(500).json(createResponse(false, 'Failed to retrieve categories', null));
+    }
+  },
+
+  // One category (by ID or slug) with its subcategories
+  async getCategory(req, res) {
+    try {
+      const category = await CategoryModel.resolve(req.params.idOrSlug);
+      if (!category) {
+        return res.status(404).json(createResponse(false, 'Category not found', null));
+      }
+
+      const { nodes } = buildCategoryTree(await CategoryModel.findAllWithCounts());
+      return res.status(200).json(createResponse(true, 'Category retrieved successfully', nodes.get(category.id)));
+    } catch (error) {
+      console.error('Error getting category:', error);
+      return res.status(500).json(createResponse(false, 'Failed to retrieve category', null));
+    }
+  },
+
+  async createCategory(req, res) {
+    try {
+      if (!(await can(req.user, 'category:manage'))) {
+        return res.status(403).json(createResponse(false, 'Only admins can manage categories', null));
+      }
+
+      const { error, value } = categorySchema.validate(req.body);
+      if (error) {
+        return res.status(400).json(createResponse(false, error.details[0].message, null));
+      }
+
+      const slug = value.slug || slugify(value.name);
+      if (!slug) {
+        return res.status(400).json(createResponse(false, 'Please provide a slug for this category name', null));
+      }
+
+      if (value.parent_id && !(await CategoryModel.findById(value.parent_id))) {
+        return res.status(400).json(createResponse(false, 'Parent category not found', null));
+      }
+
+      const category = await CategoryModel.create({ ...normalizeOptionalFields(value), slug });
+      return res.status(201).json(createResponse(true, 'Category created successfully', category));
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        return res.status(409).json(createResponse(false, 'A category with this name or slug already exists', null));
+      }
+      console.error('Error creating category:', error);
+      return res.status(500).json(createResponse(false, 'Failed to create category', null));
+    }
+  },
+
+  async updateCategory(req, res) {
+    try {
+      if (!(await can(req.user, 'category:manage'))) {
+        return res.status(403).json(createResponse(false, 'Only admins can manage categories', null));
+      }
+
+      const { error, value } = updateCategorySchema.validate(req.body);
+      if (error) {
+        return res.status(400).json(createResponse(false, error.details[0].message, null));
+      }
+
+      const { error: idError, value: id } = idParamSchema.validate(req.params.id);
+      if (idError) {
+        return res.status(400).json(createResponse(false, 'Invalid category ID', null));
+      }
+
+      const category = await CategoryModel.findById(id);
+      if (!category) {
+        return res.status(404).json(createResponse(false, 'Category not found', null));
+      }
+
+      if (value.parent_id) {
+        if (!(await CategoryModel.findById(value.parent_id))) {
+          return res.status(400).json(createResponse(false, 'Parent category not found', null));
+        }
+        const subtreeIds = await CategoryModel.findSubtreeIds(category.id);
+        if (subtreeIds.includes(value.parent_id)) {
+          return res.status(400).json(createResponse(false, 'A category cannot be moved under itself or its subcategories', null));
+        }
+      }
+
+      const updated = await CategoryModel.update(category.id, normalizeOptionalFields(value));
+      return res.status(200).json(createResponse(true, 'Category updated successfully', updated));
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        return res.status(409).json(createResponse(false, 'A category with this name or slug already exists', null));
+      }
+      console.error('Error updating category:', error);
+      return res.status(500).json(createResponse(false, 'Failed to update category', null));
+    }
+  },
+
+  // Move everything in a category into another one and remove it
+  async mergeCategory(req, res) {
+    try {
+      if (!(await can(req.user, 'category:manage'))) {
+        return res.status(403).json(createResponse(false, 'Only admins can manage categories', null));
+      }
+
+      const { error, value } = mergeCategorySchema.validate(req.body);
+      if (error) {
+        return res.status(400).json(createResponse(false, error.details[0].message, null));
+      }
+
+      const { error: idError, value: id } = idParamSchema.validate(req.params.id);
+      if (idError) {
+        return res.status(400).json(createResponse(false, 'Invalid category ID', null));
+      }
+
+      const source = await CategoryModel.findById(id);
+      if (!source) {
+        return res.status(404).json(createResponse(false, 'Category not found', null));
+      }
+
+      const target = await CategoryModel.findById(value.target_id);
+      if (!target) {
+        return res.status(400).json(createResponse(false, 'Target category not found', null));
+      }
+
+      const subtreeIds = await CategoryModel.findSubtreeIds(source.id);
+      if (subtreeIds.includes(target.id)) {
+        return res.status(400).json(createResponse(false, 'A category cannot be merged into itself or its subcategories', null));
+      }
+
+      const result = await CategoryModel.mergeInto(source.id, target.id);
+      return res.status(200).json(createResponse(true, `Category merged into ${target.name}`, { target, ...result }));
+    } catch (error) {
+      console.error('Error merging category:', error);
+      return res.status(500).json(createResponse(false, 'Failed to merge category', null));
+    }
+  },
+
+  // Courses and subcategories move to ?reassign_to, or to the parent category when it is omitted
+  async deleteCategory(req, res) {
+    try {
+      if (!(await can(req.user, 'category:manage'))) {
+        return res.status(403).json(createResponse(false, 'Only admins can manage categories', null));
+      }
+
+      const { error: idError, value: id } = idParamSchema.validate(req.params.id);
+      if (idError) {
+        return res.status(400).json(createResponse(false, 'Invalid category ID', null));
+      }
+
+      const category = await CategoryModel.findById(id);
+      if (!category) {
+        return res.status(404).json(createResponse(false, 'Category not found', null));
+      }
+
+      let targetId = category.parent_id;
+      if (req.query.reassign_to !== undefined) {
+        const { error: reassignError, value: reassignTo } = idParamSchema.validate(req.query.reassign_to);
+        if (reassignError) {
+          return res.status(400).json(createResponse(false, 'reassign_to must be a category ID', null));
+        }
+
+        const target = await CategoryModel.findById(reassignTo);
+        if (!target) {
+          return res.status(400).json(createResponse(false, 'Category to reassign to not found', null));
+        }
+        const subtreeIds = await CategoryModel.findSubtreeIds(category.id);
+        if (subtreeIds.includes(target.id)) {
+          return res.status(400).json(createResponse(false, 'Courses cannot be reassigned to the category being deleted or its subcategories', null));
+        }
+        targetId = target.id;
+      }
+
+      if (!targetId && (await CategoryModel.countCourses(category.id)) > 0) {
+        return res.status(409).json(createResponse(
+          false,
+          'This category still has courses. Pass reassign_to with the category they should move to.',
+          null
+        ));
+      }
+
+      const result = await CategoryModel.mergeInto(category.id, targetId);
+      return res.status(200).json(createResponse(true, 'Category deleted successfully', result));
+    } catch (error) {
+      console.error('Error deleting category:', error);
+      return res.status(500).json(createResponse(false, 'Failed to delete category', null));
+    }
+  }
+};
+
+export default categoryController;
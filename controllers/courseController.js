@@ -1,10 +1,29 @@
 
-import CourseModel, { ALLOWED_CATEGORIES } from '../models/courseModel.js';
+import CourseModel from '../models/courseModel.js';
+import CategoryModel from '../models/categoryModel.js';
 import ModuleModel from '../models/moduleModel.js';
 import EnrollmentModel from '../models/enrollmentModel.js';
 import ReviewModel from '../models/reviewModel.js';
 import { createResponse } from '../utils/helper.js';
 import NotificationModel from '../models/notificationModel.js';
+import { can } from '../services/policyService.js';
+import { getCourseAnalytics } from '../services/courseAnalyticsService.js';
+import { courseAnalyticsQuerySchema, courseTagsSchema } from '../utils/validations.js';
+import TagModel, { toTagSlug } from '../models/tagModel.js';
+
+// Columns an update may write; ownership, approval and publishing have their own endpoints.
+// category_id is set separately once the category has been resolved.
+const EDITABLE_COURSE_FIELDS = ['title', 'description', 'level'];
+
+// ?tags=react,node or ?tags=react&tags=node, as slugs; ?tag_match=all requires every tag
+const parseTagFilter = ({ tags, tag_match }) => {
+  const names = (Array.isArray(tags) ? tags : [tags])
+    .flatMap(value => String(value ?? '').split(','));
+  const slugs = [...new Set(names.map(toTagSlug).filter(Boolean))];
+  return slugs.length > 0
+    ? { tags: slugs, tagMatch: tag_match === 'all' ? 'all' : 'any' }
+    : {};
+};
 
 const courseController = {
   // Get all approved courses (for student enrollment)
@@ -21,6 +40,7 @@ const courseController = {
       } = req.query;
 
       const offset = (page - 1) * limit;
+      const tagFilter = parseTagFilter(req.query);
 
       // Get approved courses
       const courses = await CourseModel.findAll({
@@ -29,6 +49,7 @@ const courseController = {
         category_id: category_id ? parseInt(category_id) : undefined,
         level,
         search,
+        ...tagFilter,
         status: 'approved',
         sortBy: sort_by,
         sortOrder: sort_order
@@ -39,7 +60,8 @@ const courseController = {
         category_id: category_id ? parseInt(category_id) : undefined,
         level,
         is_approved: true,
-        is_published: true
+        is_published: true,
+        ...tagFilter
       };
       const totalCount = await CourseModel.count(countFilters, search);
       const totalPages = Math.ceil(totalCount / limit);
@@ -80,18 +102,19 @@ const courseController = {
         status
       } = req.query;
   
-      // Validate category filter
-      if (category && !ALLOWED_CATEGORIES.includes(category)) {
+      // Category filter: ID, slug or name; subcategories are included
+      const categoryFilter = category ? await CategoryModel.resolve(category) : null;
+      if (category && !categoryFilter) {
         return res.status(400).json(
           createResponse(false, 'Invalid category filter', null)
         );
       }
   
       const offset = (page - 1) * limit;
-      const filters = {};
+      const filters = parseTagFilter(req.query);
   
       // Build filters
-      if (category) filters.category = category;
+      if (categoryFilter) filters.category_id = categoryFilter.id;
       if (level) filters.level = level;
       if (instructor_id) filters.instructor_id = instructor_id;
       
@@ -99,7 +122,7 @@ const courseController = {
       // Handle status filter for pending courses
       if (status === 'pending') {
         // Only admins can view pending courses
-        if (req.user?.role !== 'admin') {
+        if (!(await can(req.user, 'course:approve'))) {
           return res.status(403).json(
             createResponse(false, 'Only admins can view pending courses', null)
           );
@@ -107,8 +130,7 @@ const courseController = {
         filters.is_approved = false;
       } else {
         // Handle published only filter
-        const isAdminOrInstructor = req.user?.role === 'admin' || req.user?.role === 'instructor';
-        if (published_only === 'true' || !isAdminOrInstructor) {
+        if (published_only === 'true' || !(await can(req.user, 'catalog:view_unpublished'))) {
           filters.is_published = true;
           filters.is_approved = true;
         }
@@ -118,7 +140,7 @@ const courseController = {
       const courses = await CourseModel.findAll({
         limit: parseInt(limit),
         offset: parseInt(offset),
-        filters,
+        ...filters,
         search,
         sortBy: sort_by,
         sortOrder: sort_order
@@ -151,7 +173,7 @@ const courseController = {
   async getPendingCourses(req, res) {
     try {
       // Only admins can view pending courses
-      if (req.user?.role !== 'admin') {
+      if (!(await can(req.user, 'course:approve'))) {
         return res.status(403).json(
           createResponse(false, 'Only admins can view pending courses', null)
         );
@@ -168,18 +190,19 @@ const courseController = {
         sort_order = 'DESC'
       } = req.query;
 
-      // Validate category filter
-      if (category && !ALLOWED_CATEGORIES.includes(category)) {
+      // Category filter: ID, slug or name; subcategories are included
+      const categoryFilter = category ? await CategoryModel.resolve(category) : null;
+      if (category && !categoryFilter) {
         return res.status(400).json(
           createResponse(false, 'Invalid category filter', null)
         );
       }
 
       const offset = (page - 1) * limit;
-      const filters = { status: 'pending' };
+      const filters = { status: 'pending', ...parseTagFilter(req.query) };
 
       // Build additional filters
-      if (category) filters.category = category;
+      if (categoryFilter) filters.category_id = categoryFilter.id;
       if (level) filters.level = level;
       if (instructor_id) filters.instructor_id = instructor_id;
 
@@ -250,6 +273,7 @@ const courseController = {
         description, 
         short_description,
         category, 
+        category_id,
         level,
         duration,
         language,
@@ -259,16 +283,24 @@ const courseController = {
         status
       } = req.body;
       const instructor_id = req.user.id;
+
+      if (!(await can(req.user, 'course:create'))) {
+        return res.status(403).json(
+          createResponse(false, 'Only instructors can create courses', null)
+        );
+      }
   
       // Validate required fields with trimming
-      if (!title?.trim() || !description?.trim() || !category?.trim() || !level?.trim()) {
+      const categoryValue = category_id ?? category;
+      if (!title?.trim() || !description?.trim() || !String(categoryValue ?? '').trim() || !level?.trim()) {
         return res.status(400).json(
           createResponse(false, 'Title, description, category and level are required', null)
         );
       }
   
-      // Validate category
-      if (category && !ALLOWED_CATEGORIES.includes(category)) {
+      // Validate category (ID, slug or name) against the categories table
+      const courseCategory = await CategoryModel.resolve(categoryValue);
+      if (!courseCategory) {
         return res.status(400).json(
           createResponse(false, 'Invalid category', null)
         );
@@ -294,19 +326,26 @@ const courseController = {
           createResponse(false, 'Invalid JSON format in requirements, learning_outcomes, or tags', null)
         );
       }
+
+      const { error: tagsError, value: validTags } = courseTagsSchema.validate(parsedTags);
+      if (tagsError) {
+        return res.status(400).json(
+          createResponse(false, tagsError.details[0].message, null)
+        );
+      }
   
       const courseData = {
         title: title.trim(),
         description: description.trim(),
         short_description: short_description?.trim() || '',
         instructor_id,
-        category: category.trim(),
+        category_id: courseCategory.id,
         level: level.trim(),
         duration: duration || '',
         language: language || 'English',
         requirements: parsedRequirements,
         learning_outcomes: parsedOutcomes,
-        tags: parsedTags,
+        tags: validTags,
         status: status || 'draft'
       };
   
@@ -341,8 +380,6 @@ const courseController = {
     try {
       const { id } = req.params;
       const updates = req.body;
-      const userId = req.user.id;
-      const userRole = req.user.role;
   
       // Check if course exists and user has permission
       const course = await CourseModel.findById(id);
@@ -352,28 +389,61 @@ const courseController = {
         );
       }
   
-      // Only instructor who owns the course or admin can update
-      if (userRole !== 'admin' && course.instructor_id !== userId) {
+      // The owner, co-instructors and admins can update
+      if (!(await can(req.user, 'course:update', course))) {
         return res.status(403).json(
-          createResponse(false, 'You can only update your own courses', null)
-        );
-      }
-  
-      // Validate category if provided
-      if (updates.category && !ALLOWED_CATEGORIES.includes(updates.category)) {
-        return res.status(400).json(
-          createResponse(false, 'Invalid category', null)
+          createResponse(false, 'You can only update courses you teach', null)
         );
       }
   
       // Trim string fields if they exist
-      const sanitizedUpdates = { ...updates };
+      const { category, tags } = updates;
+      const sanitizedUpdates = Object.fromEntries(
+        EDITABLE_COURSE_FIELDS
+          .filter(field => updates[field] !== undefined)
+          .map(field => [field, updates[field]])
+      );
       if (sanitizedUpdates.title) sanitizedUpdates.title = sanitizedUpdates.title.trim();
       if (sanitizedUpdates.description) sanitizedUpdates.description = sanitizedUpdates.description.trim();
-      if (sanitizedUpdates.category) sanitizedUpdates.category = sanitizedUpdates.category.trim();
       if (sanitizedUpdates.level) sanitizedUpdates.level = sanitizedUpdates.level.trim();
+
+      // Validate category (ID, slug or name) against the categories table
+      const categoryValue = updates.category_id ?? category;
+      if (categoryValue !== undefined) {
+        const courseCategory = await CategoryModel.resolve(categoryValue);
+        if (!courseCategory) {
+          return res.status(400).json(
+            createResponse(false, 'Invalid category', null)
+          );
+        }
+        sanitizedUpdates.category_id = courseCategory.id;
+      }
+
+      // Tags replace the course's current tags; an empty list removes them all
+      let courseTags;
+      if (tags !== undefined) {
+        let parsedTags;
+        try {
+          parsedTags = typeof tags === 'string' ? JSON.parse(tags) : tags;
+        } catch (parseError) {
+          return res.status(400).json(
+            createResponse(false, 'Invalid JSON format in tags', null)
+          );
+        }
+
+        const { error: tagsError, value } = courseTagsSchema.validate(parsedTags ?? []);
+        if (tagsError) {
+          return res.status(400).json(
+            createResponse(false, tagsError.details[0].message, null)
+          );
+        }
+        courseTags = value;
+      }
   
       const updatedCourse = await CourseModel.update(id, sanitizedUpdates);
+      if (courseTags) {
+        updatedCourse.tags = await TagModel.setCourseTags(course.id, courseTags);
+      }
   
       return res.status(200).json(
         createResponse(true, 'Course updated successfully', updatedCourse)
@@ -390,8 +460,6 @@ const courseController = {
   async deleteCourse(req, res) {
     try {
       const { id } = req.params;
-      const userId = req.user.id;
-      const userRole = req.user.role;
 
       // Check if course exists
       const course = await CourseModel.findById(id);
@@ -401,8 +469,8 @@ const courseController = {
         );
       }
 
-      // Only instructor who owns the course or admin can delete
-      if (userRole !== 'admin' && course.instructor_id !== userId) {
+      // Only the owner or an admin can delete
+      if (!(await can(req.user, 'course:delete', course))) {
         return res.status(403).json(
           createResponse(false, 'You can only delete your own courses', null)
         );
@@ -421,27 +489,10 @@ const courseController = {
     }
   },
 
-  // Get featured courses
-  async getFeaturedCourses(req, res) {
-    try {
-      const courses = await CourseModel.findFeatured();
-      return res.status(200).json(
-        createResponse(true, 'Featured courses retrieved successfully', courses)
-      );
-    } catch (error) {
-      console.error('Get featured courses error:', error);
-      return res.status(500).json(
-        createResponse(false, 'Failed to retrieve featured courses', null)
-      );
-    }
-  },
-
   // Publish course
   async publishCourse(req, res) {
     try {
       const { id } = req.params;
-      const userId = req.user.id;
-      const userRole = req.user.role;
 
       const course = await CourseModel.findById(id);
       if (!course) {
@@ -450,10 +501,10 @@ const courseController = {
         );
       }
 
-      // Only instructor who owns the course can publish
-      if (userRole !== 'admin' && course.instructor_id !== userId) {
+      // The owner, co-instructors and admins can publish
+      if (!(await can(req.user, 'course:update', course))) {
         return res.status(403).json(
-          createResponse(false, 'You can only publish your own courses', null)
+          createResponse(false, 'You can only publish courses you teach', null)
         );
       }
 
@@ -474,8 +525,6 @@ const courseController = {
   async unpublishCourse(req, res) {
     try {
       const { id } = req.params;
-      const userId = req.user.id;
-      const userRole = req.user.role;
 
       const course = await CourseModel.findById(id);
       if (!course) {
@@ -484,10 +533,10 @@ const courseController = {
         );
       }
 
-      // Only instructor who owns the course or admin can unpublish
-      if (userRole !== 'admin' && course.instructor_id !== userId) {
+      // The owner, co-instructors and admins can unpublish
+      if (!(await can(req.user, 'course:update', course))) {
         return res.status(403).json(
-          createResponse(false, 'You can only unpublish your own courses', null)
+          createResponse(false, 'You can only unpublish courses you teach', null)
         );
       }
 
@@ -510,6 +559,12 @@ const courseController = {
       const { id } = req.params;
       const { action, rejection_reason } = req.body; // 'approve' or 'reject'
 
+      if (!(await can(req.user, 'course:approve'))) {
+        return res.status(403).json(
+          createResponse(false, 'Only admins can review courses', null)
+        );
+      }
+
       const course = await CourseModel.findById(id);
       if (!course) {
         return res.status(404).json(
@@ -634,8 +689,6 @@ async getInstructorCourses(req, res) {
   async getCourseAnalytics(req, res) {
     try {
       const { id } = req.params;
-      const userId = req.user.id;
-      const userRole = req.user.role;
 
       const course = await CourseModel.findById(id);
       if (!course) {
@@ -644,14 +697,21 @@ async getInstructorCourses(req, res) {
         );
       }
 
-      // Only instructor who owns the course or admin can view analytics
-      if (userRole !== 'admin' && course.instructor_id !== userId) {
+      // The owner, co-instructors and admins can view analytics
+      if (!(await can(req.user, 'course:view_analytics', course))) {
         return res.status(403).json(
-          createResponse(false, 'You can only view analytics for your own courses', null)
+          createResponse(false, 'You can only view analytics for courses you teach', null)
         );
       }
 
-      const analytics = await CourseModel.getAnalytics(id);
+      const { error, value } = courseAnalyticsQuerySchema.validate(req.query);
+      if (error) {
+        return res.status(400).json(
+          createResponse(false, error.details[0].message, null)
+        );
+      }
+
+      const analytics = await getCourseAnalytics(course.id, value);
 
       return res.status(200).json(
         createResponse(true, 'Course analytics retrieved successfully', analytics)
@@ -664,41 +724,6 @@ async getInstructorCourses(req, res) {
     }
   },
 
-  // Create announcement
-  async createAnnouncement(req, res) {
-    try {
-      const { id } = req.params;
-      const { title, content } = req.body;
-      const userId = req.user.id;
-      const userRole = req.user.role;
-
-      const course = await CourseModel.findById(id);
-      if (!course) {
-        return res.status(404).json(
-          createResponse(false, 'Course not found', null)
-        );
-      }
-
-      // Only instructor who owns the course can create announcements
-      if (userRole !== 'admin' && course.instructor_id !== userId) {
-        return res.status(403).json(
-          createResponse(false, 'You can only create announcements for your own courses', null)
-        );
-      }
-
-      const announcement = await CourseModel.createAnnouncement(id, { title, content });
-
-      return res.status(201).json(
-        createResponse(true, 'Announcement created successfully', announcement)
-      );
-    } catch (error) {
-      console.error('Create announcement error:', error);
-      return res.status(500).json(
-        createResponse(false, 'Failed to create announcement', null)
-      );
-    }
-  },
-
   // Get rejected courses (for admin)
   async getRejectedCourses(req, res) {
     try {
@@ -714,7 +739,6 @@ async getInstructorCourses(req, res) {
   async resubmitCourse(req, res) {
     try {
       const { id } = req.params;
-      const userId = req.user.id;
       
       const course = await CourseModel.findById(id);
       if (!course) {
@@ -723,10 +747,10 @@ async getInstructorCourses(req, res) {
         );
       }
 
-      // Check if user is the instructor of this course
-      if (course.instructor_id !== userId) {
+      // The owner, co-instructors and admins can resubmit
+      if (!(await can(req.user, 'course:update', course))) {
         return res.status(403).json(
-          createResponse(false, 'You can only resubmit your own courses', null)
+          createResponse(false, 'You can only resubmit courses you teach', null)
         );
       }
 
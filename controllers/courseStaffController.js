@@ -0,0 +1,195 @@
+import CourseModel from '../models/courseModel.js';
+import CourseStaffModel from '../models/courseStaffModel.js';
+import UserModel from '../models/usermodel.js';
+import NotificationModel from '../models/notificationModel.js';
+import { createResponse } from '../utils/helper.js';
+import { courseStaffSchema } from '../utils/validations.js';
+import { can } from '../services/policyService.js';
+import { sendEmail } from '../services/emailService.js';
+
+const STAFF_ROLE_LABELS = {
+  co_instructor: 'co-instructor',
+  teaching_assistant: 'teaching assistant'
+};
+
+// Email and in-app notice for a new invitation; failures do not undo the invitation
+const notifyInvitation = async (course, user, role, invitedBy) => {
+  const roleLabel = STAFF_ROLE_LABELS[role];
+
+  try {
+    await NotificationModel.create({
+      user_id: user.id,
+      title: `Invitation to teach ${course.title}`,
+      message: `${invitedBy.name} invited you to join "${course.title}" as a ${roleLabel}.`,
+      type: 'course_staff',
+      related_id: course.id
+    });
+
+    await sendEmail({
+      to: user.email,
+      userId: user.id,
+      notificationType: 'course_staff',
+      subject: `Invitation to teach ${course.title}`,
+      template: 'course-staff-invitation',
+      context: {
+        name: user.name,
+        invitedBy: invitedBy.name,
+        courseTitle: course.title,
+        roleLabel,
+        invitationLink: `${process.env.BASE_URL || 'http://localhost:3000'}/courses/${course.id}/staff-invitation`
+      }
+    });
+  } catch (error) {
+    console.error('Failed to send course staff invitation:', error);
+  }
+};
+
+const courseStaffController = {
+  // List the course owner, staff and pending invitations
+  async getStaff(req, res) {
+    try {
+      const course = await CourseModel.findById(req.params.id);
+      if (!course) {
+        return res.status(404).json(createResponse(false, 'Course not found', null));
+      }
+
+      if (!(await can(req.user, 'course:view_draft', course))) {
+        return res.status(403).json(createResponse(false, 'Not authorized to view staff for this course', null));
+      }
+
+      const staff = await CourseStaffModel.findByCourse(course.id);
+      return res.status(200).json(createResponse(true, 'Course staff retrieved successfully', {
+        owner: { user_id: course.instructor_id, name: course.instructor_name, role: 'owner' },
+        staff
+      }));
+    } catch (error) {
+      console.error('Error getting course staff:', error);
+      return res.status(500).json(createResponse(false, 'Failed to retrieve course staff', null));
+    }
+  },
+
+  // Invite a user by ID or email, or change an existing member's role
+  async inviteStaff(req, res) {
+    try {
+      const { error, value } = courseStaffSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json(createResponse(false, error.details[0].message, null));
+      }
+
+      const course = await CourseModel.findById(req.params.id);
+      if (!course) {
+        return res.status(404).json(createResponse(false, 'Course not found', null));
+      }
+
+      if (!(await can(req.user, 'course:manage_staff', course))) {
+        return res.status(403).json(createResponse(false, 'Not authorized to manage staff for this course', null));
+      }
+
+      const user = value.user_id
+        ? await UserModel.findById(value.user_id)
+        : await UserModel.findByEmail(value.email);
+      if (!user || user.is_active === false) {
+        return res.status(404).json(createResponse(false, 'User not found', null));
+      }
+
+      if (user.id === course.instructor_id) {
+        return res.status(400).json(createResponse(false, 'The course owner cannot be added as staff', null));
+      }
+
+      if (value.role === 'co_instructor' && user.role === 'student') {
+        return res.status(400).json(createResponse(false, 'Co-instructors must have an instructor account', null));
+      }
+
+      const existing = await CourseStaffModel.findMember(course.id, user.id);
+      const member = await CourseStaffModel.invite({
+        course_id: course.id,
+        user_id: user.id,
+        role: value.role,
+        invited_by: req.user.id
+      });
+
+      if (!existing) {
+        await notifyInvitation(course, user, value.role, req.user);
+      }
+
+      return res.status(existing ? 200 : 201).json(createResponse(
+        true,
+        existing ? 'Staff role updated successfully' : 'Invitation sent successfully',
+        { ...member, name: user.name, email: user.email }
+      ));
+    } catch (error) {
+      console.error('Error inviting course staff:', error);
+      return res.status(500).json(createResponse(false, 'Failed to invite staff member', null));
+    }
+  },
+
+  // The invited user accepts and gets their role on the course
+  async acceptInvitation(req, res) {
+    try {
+      const course = await CourseModel.findById(req.params.id);
+      if (!course) {
+        return res.status(404).json(createResponse(false, 'Course not found', null));
+      }
+
+      const member = await CourseStaffModel.accept(course.id, req.user.id);
+      if (!member) {
+        return res.status(404).json(createResponse(false, 'No pending invitation for this course', null));
+      }
+
+      try {
+        await NotificationModel.create({
+          user_id: course.instructor_id,
+          title: 'Staff invitation accepted',
+          message: `${req.user.name} joined "${course.title}" as a ${STAFF_ROLE_LABELS[member.role]}.`,
+          type: 'course_staff',
+          related_id: course.id
+        });
+      } catch (notificationError) {
+        console.error('Failed to notify course owner:', notificationError);
+      }
+
+      return res.status(200).json(createResponse(true, 'Invitation accepted successfully', member));
+    } catch (error) {
+      console.error('Error accepting course staff invitation:', error);
+      return res.status(500).json(createResponse(false, 'Failed to accept invitation', null));
+    }
+  },
+
+  // Pending invitations for the current user
+  async getMyInvitations(req, res) {
+    try {
+      const invitations = await CourseStaffModel.findPendingByUser(req.user.id);
+      return res.status(200).json(createResponse(true, 'Invitations retrieved successfully', invitations));
+    } catch (error) {
+      console.error('Error getting course staff invitations:', error);
+      return res.status(500).json(createResponse(false, 'Failed to retrieve invitations', null));
+    }
+  },
+
+  // Remove a member or cancel an invitation; members may also remove themselves
+  async removeStaff(req, res) {
+    try {
+      const course = await CourseModel.findById(req.params.id);
+      if (!course) {
+        return res.status(404).json(createResponse(false, 'Course not found', null));
+      }
+
+      const isSelf = String(req.params.userId) === String(req.user.id);
+      if (!isSelf && !(await can(req.user, 'course:manage_staff', course))) {
+        return res.status(403).json(createResponse(false, 'Not authorized to manage staff for this course', null));
+      }
+
+      const removed = await CourseStaffModel.remove(course.id, req.params.userId);
+      if (!removed) {
+        return res.status(404).json(createResponse(false, 'Staff member not found', null));
+      }
+
+      return res.status(200).json(createResponse(true, 'Staff member removed successfully', removed));
+    } catch (error) {
+      console.error('Error removing course staff:', error);
+      return res.status(500).json(createResponse(false, 'Failed to remove staff member', null));
+    }
+  }
+};
+
+export default courseStaffController;
@@ -0,0 +1,285 @@
+import CourseModel from '../models/courseModel.js';
+import CourseTransferModel from '../models/courseTransferModel.js';
+import CourseHistoryModel from '../models/courseHistoryModel.js';
+import UserModel from '../models/usermodel.js';
+import NotificationModel from '../models/notificationModel.js';
+import { createResponse } from '../utils/helper.js';
+import {
+  courseOwnerSchema,
+  bulkCourseTransferSchema,
+  courseTransferRequestSchema,
+  idParamSchema
+} from '../utils/validations.js';
+import { can } from '../services/policyService.js';
+import { resolveNewOwner, transferCourses } from '../services/courseTransferService.js';
+
+// Request IDs come from the URL; anything else would only fail in the database
+const findRequest = async (requestId) => {
+  const { error, value: id } = idParamSchema.validate(requestId);
+  return error ? null : await CourseTransferModel.findRequestById(id);
+};
+
+// Courses a user owns (findByInstructor also lists courses they only teach)
+const findOwnedCourseIds = async (userId) => {
+  const courses = await CourseModel.findByInstructor(userId);
+  return courses.filter(course => course.staff_role === 'owner').map(course => course.id);
+};
+
+// The previous owner may already be deleted; notifications still need a name
+const findPreviousOwner = async (userId) => {
+  return await UserModel.findById(userId) || { id: userId, name: 'the previous instructor' };
+};
+
+const courseTransferController = {
+  // Admin: give one course to another instructor
+  async transferCourse(req, res) {
+    try {
+      const { error, value } = courseOwnerSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json(createResponse(false, error.details[0].message, null));
+      }
+
+      if (!(await can(req.user, 'course:reassign'))) {
+        return res.status(403).json(createResponse(false, 'Only admins can reassign courses', null));
+      }
+
+      const course = await CourseModel.findById(req.params.id);
+      if (!course) {
+        return res.status(404).json(createResponse(false, 'Course not found', null));
+      }
+
+      const newOwner = await resolveNewOwner(value.to_instructor_id, course.instructor_id);
+      if (newOwner.error) {
+        return res.status(400).json(createResponse(false, newOwner.error, null));
+      }
+
+      const courses = await transferCourses({
+        courseIds: [course.id],
+        fromUser: await findPreviousOwner(course.instructor_id),
+        toUser: newOwner.user,
+        actor: req.user
+      });
+
+      return res.status(200).json(createResponse(true, 'Course transferred successfully', { courses }));
+    } catch (error) {
+      console.error('Error transferring course:', error);
+      return res.status(500).json(createResponse(false, 'Failed to transfer course', null));
+    }
+  },
+
+  // Admin: give all of an instructor's courses to another instructor
+  async transferAllCourses(req, res) {
+    try {
+      const { error, value } = bulkCourseTransferSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json(createResponse(false, error.details[0].message, null));
+      }
+
+      if (!(await can(req.user, 'course:reassign'))) {
+        return res.status(403).json(createResponse(false, 'Only admins can reassign courses', null));
+      }
+
+      const newOwner = await resolveNewOwner(value.to_instructor_id, value.from_instructor_id);
+      if (newOwner.error) {
+        return res.status(400).json(createResponse(false, newOwner.error, null));
+      }
+
+      const courseIds = await findOwnedCourseIds(value.from_instructor_id);
+      if (courseIds.length === 0) {
+        return res.status(404).json(createResponse(false, 'This instructor does not own any courses', null));
+      }
+
+      const courses = await transferCourses({
+        courseIds,
+        fromUser: await findPreviousOwner(value.from_instructor_id),
+        toUser: newOwner.user,
+        actor: req.user
+      });
+
+      return res.status(200).json(createResponse(true, `${courses.length} course(s) transferred successfully`, { courses }));
+    } catch (error) {
+      console.error('Error transferring courses:', error);
+      return res.status(500).json(createResponse(false, 'Failed to transfer courses', null));
+    }
+  },
+
+  // Owner: ask another instructor to take over one course or all of their courses
+  async createTransferRequest(req, res) {
+    try {
+      const { error, value } = courseTransferRequestSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json(createResponse(false, error.details[0].message, null));
+      }
+
+      let courseIds;
+      if (value.course_id) {
+        const course = await CourseModel.findById(value.course_id);
+        if (!course) {
+          return res.status(404).json(createResponse(false, 'Course not found', null));
+        }
+        if (course.instructor_id !== req.user.id || !(await can(req.user, 'course:transfer', course))) {
+          return res.status(403).json(createResponse(false, 'You can only transfer your own courses', null));
+        }
+        courseIds = [course.id];
+      } else {
+        courseIds = await findOwnedCourseIds(req.user.id);
+        if (courseIds.length === 0) {
+          return res.status(400).json(createResponse(false, 'You do not own any courses', null));
+        }
+      }
+
+      const newOwner = await resolveNewOwner(value.to_instructor_id, req.user.id);
+      if (newOwner.error) {
+        return res.status(400).json(createResponse(false, newOwner.error, null));
+      }
+
+      const pendingIds = await CourseTransferModel.findPendingCourseIds(courseIds);
+      if (pendingIds.length > 0) {
+        return res.status(409).json(
+          createResponse(false, 'A transfer is already pending for one or more of these courses', { course_ids: pendingIds })
+        );
+      }
+
+      const request = await CourseTransferModel.createRequest({
+        from_user_id: req.user.id,
+        to_user_id: newOwner.user.id,
+        course_ids: courseIds,
+        message: value.message || null
+      });
+
+      try {
+        await NotificationModel.create({
+          user_id: newOwner.user.id,
+          title: 'Course transfer request',
+          message: `${req.user.name} would like to transfer ${courseIds.length} course(s) to you.`,
+          type: 'course_transfer',
+          related_id: request.id
+        });
+      } catch (notificationError) {
+        console.error('Failed to send course transfer request notification:', notificationError);
+      }
+
+      return res.status(201).json(createResponse(true, 'Transfer request sent successfully', request));
+    } catch (error) {
+      console.error('Error creating course transfer request:', error);
+      return res.status(500).json(createResponse(false, 'Failed to create transfer request', null));
+    }
+  },
+
+  // Pending requests sent or received by the current user
+  async getTransferRequests(req, res) {
+    try {
+      const requests = await CourseTransferModel.findPendingByUser(req.user.id);
+      return res.status(200).json(createResponse(true, 'Transfer requests retrieved successfully', requests));
+    } catch (error) {
+      console.error('Error getting course transfer requests:', error);
+      return res.status(500).json(createResponse(false, 'Failed to retrieve transfer requests', null));
+    }
+  },
+
+  async acceptTransferRequest(req, res) {
+    try {
+      const request = await findRequest(req.params.requestId);
+      if (!request || request.to_user_id !== req.user.id) {
+        return res.status(404).json(createResponse(false, 'Transfer request not found', null));
+      }
+
+      const newOwner = await resolveNewOwner(req.user.id, request.from_user_id);
+      if (newOwner.error) {
+        return res.status(400).json(createResponse(false, newOwner.error, null));
+      }
+
+      // The request is settled in the same transaction as the transfer
+      const courses = await transferCourses({
+        courseIds: request.course_ids,
+        fromUser: await findPreviousOwner(request.from_user_id),
+        toUser: newOwner.user,
+        actor: req.user,
+        requestId: request.id
+      });
+      if (!courses) {
+        return res.status(400).json(createResponse(false, 'This transfer request is no longer pending', null));
+      }
+
+      return res.status(200).json(createResponse(true, 'Transfer request accepted', { courses }));
+    } catch (error) {
+      console.error('Error accepting course transfer request:', error);
+      return res.status(500).json(createResponse(false, 'Failed to accept transfer request', null));
+    }
+  },
+
+  async declineTransferRequest(req, res) {
+    try {
+      const request = await findRequest(req.params.requestId);
+      if (!request || request.to_user_id !== req.user.id) {
+        return res.status(404).json(createResponse(false, 'Transfer request not found', null));
+      }
+
+      const declined = await CourseTransferModel.respond(request.id, 'declined');
+      if (!declined) {
+        return res.status(400).json(createResponse(false, 'This transfer request is no longer pending', null));
+      }
+
+      try {
+        await NotificationModel.create({
+          user_id: request.from_user_id,
+          title: 'Course transfer declined',
+          message: `${req.user.name} declined your course transfer request.`,
+          type: 'course_transfer',
+          related_id: request.id
+        });
+      } catch (notificationError) {
+        console.error('Failed to send course transfer notification:', notificationError);
+      }
+
+      return res.status(200).json(createResponse(true, 'Transfer request declined', declined));
+    } catch (error) {
+      console.error('Error declining course transfer request:', error);
+      return res.status(500).json(createResponse(false, 'Failed to decline transfer request', null));
+    }
+  },
+
+  async cancelTransferRequest(req, res) {
+    try {
+      const request = await findRequest(req.params.requestId);
+      if (!request || request.from_user_id !== req.user.id) {
+        return res.status(404).json(createResponse(false, 'Transfer request not found', null));
+      }
+
+      const cancelled = await CourseTransferModel.respond(request.id, 'cancelled');
+      if (!cancelled) {
+        return res.status(400).json(createResponse(false, 'This transfer request is no longer pending', null));
+      }
+
+      return res.status(200).json(createResponse(true, 'Transfer request cancelled', cancelled));
+    } catch (error) {
+      console.error('Error cancelling course transfer request:', error);
+      return res.status(500).json(createResponse(false, 'Failed to cancel transfer request', null));
+    }
+  },
+
+  // Ownership changes and other recorded events for a course
+  async getCourseHistory(req, res) {
+    try {
+      const course = await CourseModel.findById(req.params.id);
+      if (!course) {
+        return res.status(404).json(createResponse(false, 'Course not found', null));
+      }
+
+      if (!(await can(req.user, 'course:update', course))) {
+        return res.status(403).json(createResponse(false, 'Not authorized to view history for this course', null));
+      }
+
+      const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+      const offset = parseInt(req.query.offset) || 0;
+      const history = await CourseHistoryModel.findByCourse(course.id, { limit, offset });
+
+      return res.status(200).json(createResponse(true, 'Course history retrieved successfully', history));
+    } catch (error) {
+      console.error('Error getting course history:', error);
+      return res.status(500).json(createResponse(false, 'Failed to retrieve course history', null));
+    }
+  }
+};
+
+export default courseTransferController;
@@ -0,0 +1,60 @@
+import DataExportModel from '../models/dataExportModel.js';
+import { createResponse } from '../utils/helper.js';
+import { requestDataExport, getDownloadableExport } from '../services/dataExportService.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const dataExportController = {
+  // Request an archive of all personal data; a notification follows when it is ready
+  async requestExport(req, res) {
+    try {
+      const { export: dataExport, alreadyInProgress } = await requestDataExport(req.user);
+
+      return res.status(202).json(createResponse(
+        true,
+        alreadyInProgress
+          ? 'An export is already being prepared. You will be notified when it is ready.'
+          : 'Your data export is being prepared. You will be notified when it is ready.',
+        dataExport
+      ));
+    } catch (error) {
+      console.error('Error requesting data export:', error);
+      return res.status(500).json(createResponse(false, 'Failed to request data export', null));
+    }
+  },
+
+  // List the current user's exports and their status
+  async getMyExports(req, res) {
+    try {
+      const exports = await DataExportModel.findByUser(req.user.id);
+      return res.status(200).json(createResponse(true, 'Data exports retrieved successfully', exports));
+    } catch (error) {
+      console.error('Error getting data exports:', error);
+      return res.status(500).json(createResponse(false, 'Failed to retrieve data exports', null));
+    }
+  },
+
+  // Download an archive with the link from the notification
+  async download(req, res) {
+    try {
+      const { exportId } = req.params;
+      const { token } = req.query;
+
+      const dataExport = UUID_PATTERN.test(exportId) && typeof token === 'string'
+        && await getDownloadableExport(exportId, token);
+      if (!dataExport) {
+        return res.status(404).json(createResponse(false, 'Download link is invalid or has expired', null));
+      }
+
+      const filename = `lms-data-export-${new Date(dataExport.requested_at).toISOString().slice(0, 10)}.json`;
+      res.set('Content-Type', 'application/json; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.status(200).send(JSON.stringify(dataExport.archive, null, 2));
+    } catch (error) {
+      console.error('Error downloading data export:', error);
+      return res.status(500).json(createResponse(false, 'Failed to download data export', null));
+    }
+  }
+};
+
+export default dataExportController;
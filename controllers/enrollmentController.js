@@ -3,6 +3,7 @@ import CourseModel from '../models/courseModel.js';
 import LessonModel from '../models/lessonModel.js';
 import NotificationModel from '../models/notificationModel.js';
 import { createResponse } from '../utils/helper.js';
+import { can } from '../services/policyService.js';
 
 const enrollmentController = {
   // Enroll a user in a course
@@ -100,11 +101,10 @@ const enrollmentController = {
       }
 
       // Check if user is authorized to view this enrollment
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && enrollment.instructor_id === req.user.id;
       const isEnrolledUser = req.user && enrollment.user_id === req.user.id;
+      const course = await CourseModel.findById(enrollment.course_id);
       
-      if (!isAdmin && !isInstructor && !isEnrolledUser) {
+      if (!isEnrolledUser && !(await can(req.user, 'enrollment:view', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to view this enrollment', null));
       }
 
@@ -129,10 +129,7 @@ const enrollmentController = {
       }
 
       // Check if user is authorized to view enrollments for this course
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'enrollment:view', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to view enrollments for this course', null));
       }
 
@@ -268,9 +265,7 @@ const enrollmentController = {
       }
 
       // Check if user is authorized to delete this enrollment
-      const isAdmin = req.user && req.user.role === 'admin';
-      
-      if (enrollment.user_id !== user_id && !isAdmin) {
+      if (enrollment.user_id !== user_id && !(await can(req.user, 'enrollment:manage'))) {
         return res.status(403).json(createResponse(false, 'Not authorized to unenroll from this course', null));
       }
 
@@ -289,10 +284,8 @@ const enrollmentController = {
     try {
       const { limit = 5 } = req.query;
 
-      // Check if user is admin
-      const isAdmin = req.user && req.user.role === 'admin';
-      
-      if (!isAdmin) {
+      // Enrollments across all courses are for admins
+      if (!(await can(req.user, 'enrollment:view'))) {
         return res.status(403).json(createResponse(false, 'Not authorized to view recent enrollments', null));
       }
 
@@ -309,10 +302,8 @@ const enrollmentController = {
   // Get enrollment statistics
   async getEnrollmentStatistics(req, res) {
     try {
-      // Check if user is admin
-      const isAdmin = req.user && req.user.role === 'admin';
-      
-      if (!isAdmin) {
+      // Enrollments across all courses are for admins
+      if (!(await can(req.user, 'enrollment:view'))) {
         return res.status(403).json(createResponse(false, 'Not authorized to view enrollment statistics', null));
       }
 
@@ -334,10 +325,7 @@ const enrollmentController = {
       const offset = (page - 1) * limit;
 
       // Check if user is instructor or admin
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && req.user.role === 'instructor';
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'teaching:dashboard'))) {
         return res.status(403).json(createResponse(false, 'Not authorized to view instructor enrollments', null));
       }
 
@@ -372,10 +360,7 @@ const enrollmentController = {
       const instructor_id = req.user.id;
       
       // Check if user is instructor or admin
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && req.user.role === 'instructor';
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'teaching:dashboard'))) {
         return res.status(403).json(createResponse(false, 'Not authorized to view instructor stats', null));
       }
 
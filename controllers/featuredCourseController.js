@@ -0,0 +1,93 @@
+import CourseModel from '../models/courseModel.js';
+import FeaturedCourseModel from '../models/featuredCourseModel.js';
+import { createResponse } from '../utils/helper.js';
+import { featureCourseSchema } from '../utils/validations.js';
+import { can } from '../services/policyService.js';
+
+const featuredCourseController = {
+  // Public list: curated courses, or the top courses when nothing is curated right now
+  async getFeaturedCourses(req, res) {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 6, 1), 24);
+
+      const curated = await FeaturedCourseModel.findActive(limit);
+      const courses = curated.length > 0
+        ? curated.map(course => ({ ...course, featured_source: 'curated' }))
+        : (await FeaturedCourseModel.findTopCourses(limit)).map(course => ({ ...course, featured_source: 'algorithmic' }));
+
+      return res.status(200).json(createResponse(true, 'Featured courses retrieved successfully', courses));
+    } catch (error) {
+      console.error('Get featured courses error:', error);
+      return res.status(500).json(createResponse(false, 'Failed to retrieve featured courses', null));
+    }
+  },
+
+  // Admin: every curated entry, including scheduled and expired ones
+  async getCuratedCourses(req, res) {
+    try {
+      if (!(await can(req.user, 'course:feature'))) {
+        return res.status(403).json(createResponse(false, 'Only admins can manage featured courses', null));
+      }
+
+      const entries = await FeaturedCourseModel.findAll();
+      return res.status(200).json(createResponse(true, 'Curated courses retrieved successfully', entries));
+    } catch (error) {
+      console.error('Get curated courses error:', error);
+      return res.status(500).json(createResponse(false, 'Failed to retrieve curated courses', null));
+    }
+  },
+
+  // Admin: feature an approved course, or update its order and window
+  async featureCourse(req, res) {
+    try {
+      const { error, value } = featureCourseSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json(createResponse(false, error.details[0].message, null));
+      }
+
+      if (!(await can(req.user, 'course:feature'))) {
+        return res.status(403).json(createResponse(false, 'Only admins can manage featured courses', null));
+      }
+
+      const course = await CourseModel.findById(req.params.id);
+      if (!course) {
+        return res.status(404).json(createResponse(false, 'Course not found', null));
+      }
+
+      if (!course.is_approved || course.status !== 'approved') {
+        return res.status(400).json(createResponse(false, 'Only approved courses can be featured', null));
+      }
+
+      const entry = await FeaturedCourseModel.upsert({
+        ...value,
+        course_id: course.id,
+        featured_by: req.user.id
+      });
+
+      return res.status(200).json(createResponse(true, 'Course featured successfully', entry));
+    } catch (error) {
+      console.error('Feature course error:', error);
+      return res.status(500).json(createResponse(false, 'Failed to feature course', null));
+    }
+  },
+
+  async unfeatureCourse(req, res) {
+    try {
+      if (!(await can(req.user, 'course:feature'))) {
+        return res.status(403).json(createResponse(false, 'Only admins can manage featured courses', null));
+      }
+
+      const removed = await FeaturedCourseModel.remove(req.params.id);
+      if (!removed) {
+        return res.status(404).json(createResponse(false, 'Course is not featured', null));
+      }
+
+      return res.status(200).json(createResponse(true, 'Course unfeatured successfully', removed));
+    } catch (error) {
+      console.error('Unfeature course error:', error);
+      return res.status(500).json(createResponse(false, 'Failed to unfeature course', null));
+    }
+  }
+};
+
+export default featuredCourseController;
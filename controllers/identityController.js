@@ -0,0 +1,109 @@
+import IdentityModel from '../models/identityModel.js';
+import UserModel from '../models/usermodel.js';
+import { createResponse } from '../utils/helper.js';
+import { getEnabledOAuthProviders, getOAuthProvider } from '../config/oauthProviders.js';
+import { createLinkIntent, confirmLink, OAUTH_FAILURES } from '../services/oauthAccountService.js';
+
+const identityController = {
+  // List the current user's linked providers and which others can be linked
+  async getMyIdentities(req, res) {
+    try {
+      const [identities, user] = await Promise.all([
+        IdentityModel.findByUser(req.user.id),
+        UserModel.findById(req.user.id)
+      ]);
+      const linkedProviders = identities.map(identity => identity.provider);
+
+      return res.status(200).json(createResponse(true, 'Linked accounts retrieved successfully', {
+        has_password: user.has_password,
+        identities,
+        available_providers: getEnabledOAuthProviders()
+          .filter(provider => !linkedProviders.includes(provider.name))
+          .map(provider => ({ name: provider.name, label: provider.label }))
+      }));
+    } catch (error) {
+      console.error('Error getting linked accounts:', error);
+      return res.status(500).json(createResponse(false, 'Failed to retrieve linked accounts', null));
+    }
+  },
+
+  // Start linking a provider; the client sends the browser to the returned URL
+  async startLink(req, res) {
+    try {
+      const provider = getOAuthProvider(req.params.provider);
+      if (!provider) {
+        return res.status(404).json(createResponse(false, 'Sign-in provider not found', null));
+      }
+
+      const identities = await IdentityModel.findByUser(req.user.id);
+      if (identities.some(identity => identity.provider === provider.name)) {
+        return res.status(409).json(createResponse(false, `${provider.label} account is already linked`, null));
+      }
+
+      const linkToken = createLinkIntent(req.user.id, provider.name);
+
+      return res.status(200).json(createResponse(true, `Continue to ${provider.label} to link your account`, {
+        url: `/api/auth/${provider.name}?link_token=${encodeURIComponent(linkToken)}`
+      }));
+    } catch (error) {
+      console.error('Error starting account link:', error);
+      return res.status(500).json(createResponse(false, 'Failed to start account link', null));
+    }
+  },
+
+  // Unlink a provider, keeping at least one way to sign in
+  async unlink(req, res) {
+    try {
+      const { provider } = req.params;
+
+      const identities = await IdentityModel.findByUser(req.user.id);
+      if (!identities.some(identity => identity.provider === provider)) {
+        return res.status(404).json(createResponse(false, 'Linked account not found', null));
+      }
+
+      const removed = await IdentityModel.deleteIfNotLastSignInMethod(req.user.id, provider);
+      if (!removed) {
+        return res.status(400).json(createResponse(
+          false,
+          'This is your only way to sign in. Set a password or link another account before unlinking it.',
+          null
+        ));
+      }
+
+      return res.status(200).json(createResponse(true, 'Account unlinked successfully', removed));
+    } catch (error) {
+      console.error('Error unlinking account:', error);
+      return res.status(500).json(createResponse(false, 'Failed to unlink account', null));
+    }
+  },
+
+  // Confirm an email-match link from the emailed token
+  async confirmLink(req, res) {
+    try {
+      const { token } = req.body;
+      if (!token || typeof token !== 'string') {
+        return res.status(400).json(createResponse(false, 'Confirmation token is required', null));
+      }
+
+      const result = await confirmLink(token);
+      if (!result) {
+        return res.status(400).json(createResponse(false, 'Invalid or expired confirmation link', null));
+      }
+      if (result.failure === OAUTH_FAILURES.ALREADY_LINKED) {
+        return res.status(409).json(createResponse(false, 'This account is already linked', null));
+      }
+      if (result.failure) {
+        return res.status(409).json(createResponse(false, 'This external account is linked to another user', null));
+      }
+
+      return res.status(200).json(
+        createResponse(true, 'Account linked. You can now sign in with it.', result.identity)
+      );
+    } catch (error) {
+      console.error('Error confirming account link:', error);
+      return res.status(500).json(createResponse(false, 'Failed to confirm account link', null));
+    }
+  }
+};
+
+export default identityController;
@@ -0,0 +1,107 @@
+import ImpersonationModel from '../models/impersonationModel.js';
+import UserModel from '../models/usermodel.js';
+import { createResponse } from '../utils/helper.js';
+import { impersonationSchema, idParamSchema } from '../utils/validations.js';
+import { startImpersonation } from '../services/impersonationService.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const impersonationController = {
+  // Admin: get a short-lived token to act as another user
+  async start(req, res) {
+    try {
+      const { error, value } = impersonationSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json(createResponse(false, error.details[0].message, null));
+      }
+
+      const { error: idError, value: id } = idParamSchema.validate(req.params.id);
+      if (idError) {
+        return res.status(400).json(createResponse(false, 'Invalid user ID', null));
+      }
+
+      const target = await UserModel.findById(id);
+      if (!target) {
+        return res.status(404).json(createResponse(false, 'User not found', null));
+      }
+      if (target.id === req.user.id || target.role === 'admin') {
+        return res.status(403).json(createResponse(false, 'Admin accounts cannot be impersonated', null));
+      }
+
+      const { token, impersonation } = await startImpersonation(req.user, target, value.reason);
+
+      return res.status(201).json(createResponse(true, `You are now viewing the platform as ${target.name}`, {
+        accessToken: token,
+        impersonation_id: impersonation.id,
+        expires_at: impersonation.expires_at,
+        user: { id: target.id, name: target.name, email: target.email, role: target.role }
+      }));
+    } catch (error) {
+      console.error('Error starting impersonation:', error);
+      return res.status(500).json(createResponse(false, 'Failed to start impersonation', null));
+    }
+  },
+
+  // End the impersonation the request is made with
+  async end(req, res) {
+    try {
+      if (!req.impersonationId) {
+        return res.status(400).json(createResponse(false, 'Not impersonating a user', null));
+      }
+
+      await ImpersonationModel.end(req.impersonationId);
+
+      return res.status(200).json(createResponse(true, 'Impersonation ended', null));
+    } catch (error) {
+      console.error('Error ending impersonation:', error);
+      return res.status(500).json(createResponse(false, 'Failed to end impersonation', null));
+    }
+  },
+
+  // Admin: list impersonation sessions (filter by admin_id / user_id)
+  async getSessions(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+      const { sessions, total } = await ImpersonationModel.findSessions({
+        admin_id: parseInt(req.query.admin_id) || undefined,
+        user_id: parseInt(req.query.user_id) || undefined,
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      return res.status(200).json(createResponse(true, 'Impersonation sessions retrieved successfully', {
+        sessions,
+        pagination: {
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit)
+        }
+      }));
+    } catch (error) {
+      console.error('Error getting impersonation sessions:', error);
+      return res.status(500).json(createResponse(false, 'Failed to retrieve impersonation sessions', null));
+    }
+  },
+
+  // Admin: every request made during one impersonation session
+  async getSessionRequests(req, res) {
+    try {
+      const { impersonationId } = req.params;
+      if (!UUID_PATTERN.test(impersonationId)) {
+        return res.status(404).json(createResponse(false, 'Impersonation session not found', null));
+      }
+
+      const requests = await ImpersonationModel.findRequests(impersonationId);
+
+      return res.status(200).json(createResponse(true, 'Impersonation requests retrieved successfully', requests));
+    } catch (error) {
+      console.error('Error getting impersonation requests:', error);
+      return res.status(500).json(createResponse(false, 'Failed to retrieve impersonation requests', null));
+    }
+  }
+};
+
+export default impersonationController;
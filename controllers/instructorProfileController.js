@@ -0,0 +1,42 @@
+import UserModel from '../models/usermodel.js';
+import CourseModel from '../models/courseModel.js';
+import { createResponse } from '../utils/helper.js';
+
+const instructorProfileController = {
+  // Public instructor page: profile, published courses and rating summary
+  async getInstructorProfile(req, res) {
+    try {
+      const { id } = req.params;
+      if (!/^\d+$/.test(id)) {
+        return res.status(404).json(createResponse(false, 'Instructor not found', null));
+      }
+
+      const instructor = await UserModel.findPublicInstructorProfile(id);
+      if (!instructor) {
+        return res.status(404).json(createResponse(false, 'Instructor not found', null));
+      }
+
+      const [courses, stats] = await Promise.all([
+        CourseModel.findPublicByInstructor(id),
+        CourseModel.getInstructorStats(id)
+      ]);
+
+      return res.status(200).json(createResponse(true, 'Instructor profile retrieved successfully', {
+        ...instructor,
+        social_links: instructor.social_links || {},
+        courses,
+        stats: {
+          total_courses: courses.length,
+          total_students: stats.total_students,
+          average_rating: stats.average_rating,
+          review_count: stats.review_count
+        }
+      }));
+    } catch (error) {
+      console.error('Error getting instructor profile:', error);
+      return res.status(500).json(createResponse(false, 'Failed to retrieve instructor profile', null));
+    }
+  }
+};
+
+export default instructorProfileController;
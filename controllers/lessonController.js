@@ -5,6 +5,7 @@ import ModuleModel from '../models/moduleModel.js';
 import CourseModel from '../models/courseModel.js';
 import NotificationModel from '../models/notificationModel.js';
 import { createResponse } from '../utils/helper.js';
+import { can } from '../services/policyService.js';
 
 const lessonController = {
   // Create a new lesson
@@ -27,6 +28,12 @@ const lessonController = {
         return res.status(404).json(createResponse(false, 'Module not found', null));
       }
 
+      // Check authorization
+      const course = await CourseModel.findById(module.course_id);
+      if (!(await can(req.user, 'content:manage', course))) {
+        return res.status(403).json(createResponse(false, 'Not authorized to add lessons to this module', null));
+      }
+
       // Determine content type if not provided
       let finalContentType = content_type;
       if (!finalContentType) {
@@ -104,7 +111,8 @@ const lessonController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check if user has access to this lesson
-      if (!course.is_published && (!user_id || (user_id !== course.instructor_id && req.user?.role !== 'admin'))) {
+      const canViewDrafts = await can(req.user, 'course:view_draft', course);
+      if (!course.is_published && !canViewDrafts) {
         return res.status(403).json(createResponse(false, 'Access denied to unpublished course content', null));
       }
 
@@ -114,11 +122,8 @@ const lessonController = {
           return res.status(401).json(createResponse(false, 'Authentication required', null));
         }
         
-        // Check if user is enrolled, instructor, or admin
-        const isEnrolled = await LessonModel.isUserEnrolledInCourse(user_id, course.id);
-        const hasAccess = isEnrolled || user_id === course.instructor_id || req.user?.role === 'admin';
-        
-        if (!hasAccess) {
+        // Check if user is enrolled or teaches the course
+        if (!canViewDrafts && !(await can(req.user, 'content:view', course))) {
           return res.status(403).json(createResponse(false, 'Enrollment required to access this lesson', null));
         }
       }
@@ -135,8 +140,6 @@ const lessonController = {
     try {
       const { id } = req.params;
       const { title, content, order_index, duration } = req.body;
-      const user_id = req.user.id;
-      const user_role = req.user.role;
       const parsedId = parseInt(id);
 
       // Get lesson
@@ -149,8 +152,8 @@ const lessonController = {
       const module = await ModuleModel.findById(lesson.module_id);
       const course = await CourseModel.findById(module.course_id);
 
-      // Check authorization (only instructor of the course or admin can update)
-      if (user_role !== 'admin' && user_id !== course.instructor_id) {
+      // Check authorization (only course staff who manage content or admins can update)
+      if (!(await can(req.user, 'content:manage', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to update this lesson', null));
       }
 
@@ -173,8 +176,6 @@ const lessonController = {
   async deleteLesson(req, res) {
     try {
       const { id } = req.params;
-      const user_id = req.user.id;
-      const user_role = req.user.role;
       const parsedId = parseInt(id);
 
       // Get lesson
@@ -187,8 +188,8 @@ const lessonController = {
       const module = await ModuleModel.findById(lesson.module_id);
       const course = await CourseModel.findById(module.course_id);
 
-      // Check authorization (only instructor of the course or admin can delete)
-      if (user_role !== 'admin' && user_id !== course.instructor_id) {
+      // Check authorization (only course staff who manage content or admins can delete)
+      if (!(await can(req.user, 'content:manage', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to delete this lesson', null));
       }
 
@@ -207,8 +208,6 @@ const lessonController = {
     try {
       const { module_id } = req.params;
       const { lesson_orders } = req.body; // Array of { lesson_id, order_index }
-      const user_id = req.user.id;
-      const user_role = req.user.role;
       const parsedModuleId = parseInt(module_id);
 
       // Check if module exists
@@ -220,8 +219,8 @@ const lessonController = {
       // Get course to check authorization
       const course = await CourseModel.findById(module.course_id);
 
-      // Check authorization (only instructor of the course or admin can reorder)
-      if (user_role !== 'admin' && user_id !== course.instructor_id) {
+      // Check authorization (only course staff who manage content or admins can reorder)
+      if (!(await can(req.user, 'content:manage', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to reorder lessons', null));
       }
 
@@ -254,9 +253,9 @@ const lessonController = {
 
       // Get module and course to check enrollment
       const module = await ModuleModel.findById(lesson.module_id);
-      const isEnrolled = await LessonModel.isUserEnrolledInCourse(user_id, module.course_id);
+      const course = await CourseModel.findById(module.course_id);
 
-      if (!isEnrolled) {
+      if (!(await can(req.user, 'course:learn', course))) {
         return res.status(403).json(createResponse(false, 'You must be enrolled in this course to mark lessons as completed', null));
       }
 
@@ -310,8 +309,7 @@ const lessonController = {
       }
 
       // Check if user is enrolled in the course
-      const isEnrolled = await LessonModel.isUserEnrolledInCourse(user_id, course_id);
-      if (!isEnrolled) {
+      if (!(await can(req.user, 'course:learn', course))) {
         return res.status(403).json(createResponse(false, 'You must be enrolled in this course to view progress', null));
       }
 
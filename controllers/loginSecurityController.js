@@ -0,0 +1,77 @@
+import LoginAttemptModel from '../models/loginAttemptModel.js';
+import UserModel from '../models/usermodel.js';
+import { createResponse } from '../utils/helper.js';
+import { loginAttemptQuerySchema, idParamSchema } from '../utils/validations.js';
+
+const DEFAULT_SUMMARY_HOURS = 24;
+
+const loginSecurityController = {
+  // Admin: browse recorded login attempts
+  async getLoginAttempts(req, res) {
+    try {
+      const { error, value } = loginAttemptQuerySchema.validate(req.query);
+      if (error) {
+        return res.status(400).json(createResponse(false, error.details[0].message, null));
+      }
+
+      const { page, limit, ...filters } = value;
+      const { attempts, total } = await LoginAttemptModel.findAll({
+        ...filters,
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      return res.status(200).json(createResponse(true, 'Login attempts retrieved successfully', {
+        attempts,
+        pagination: {
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit)
+        }
+      }));
+    } catch (error) {
+      console.error('Error getting login attempts:', error);
+      return res.status(500).json(createResponse(false, 'Failed to retrieve login attempts', null));
+    }
+  },
+
+  // Admin: top failing IPs and emails, plus currently locked accounts
+  async getLoginAttemptSummary(req, res) {
+    try {
+      const hours = parseInt(req.query.hours) || DEFAULT_SUMMARY_HOURS;
+      const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+      const summary = await LoginAttemptModel.getFailureSummary(since);
+
+      return res.status(200).json(
+        createResponse(true, 'Login attempt summary retrieved successfully', { since, ...summary })
+      );
+    } catch (error) {
+      console.error('Error getting login attempt summary:', error);
+      return res.status(500).json(createResponse(false, 'Failed to retrieve login attempt summary', null));
+    }
+  },
+
+  // Admin: lift a lockout and clear the failure counter
+  async unlockUser(req, res) {
+    try {
+      const { error: idError, value: id } = idParamSchema.validate(req.params.id);
+      if (idError) {
+        return res.status(400).json(createResponse(false, 'Invalid user ID', null));
+      }
+
+      const user = await UserModel.resetLoginFailures(id);
+      if (!user) {
+        return res.status(404).json(createResponse(false, 'User not found', null));
+      }
+
+      return res.status(200).json(createResponse(true, 'User account unlocked successfully', user));
+    } catch (error) {
+      console.error('Error unlocking user:', error);
+      return res.status(500).json(createResponse(false, 'Failed to unlock user account', null));
+    }
+  }
+};
+
+export default loginSecurityController;
@@ -3,6 +3,7 @@ import ModuleModel from '../models/moduleModel.js';
 import CourseModel from '../models/courseModel.js';
 import NotificationModel from '../models/notificationModel.js';
 import { createResponse } from '../utils/helper.js';
+import { can } from '../services/policyService.js';
 
 const moduleController = {
   // Create a new module
@@ -31,9 +32,7 @@ const moduleController = {
       }
   
       // 4. Check authorization
-      const isAdmin = req.user?.role === 'admin';
-      const isInstructor = course.instructor_id === req.user?.id;
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'content:manage', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized', null));
       }
   
@@ -102,11 +101,8 @@ const moduleController = {
       // Get course to check authorization
       const course = await CourseModel.findById(module.course_id);
       
-      // Check if course is published or if user is admin/instructor
-      const isAdminOrInstructor = req.user && (req.user.role === 'admin' || req.user.role === 'instructor');
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!course.is_published && !isAdminOrInstructor && !isInstructor) {
+      // Check if course is published or if user teaches it
+      if (!course.is_published && !(await can(req.user, 'course:view_draft', course))) {
         return res.status(403).json(createResponse(false, 'This module is not available', null));
       }
 
@@ -134,10 +130,7 @@ const moduleController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check if user is authorized to update this module
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'content:manage', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to update this module', null));
       }
 
@@ -167,10 +160,7 @@ const moduleController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check if user is authorized to delete this module
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'content:manage', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to delete this module', null));
       }
 
@@ -202,10 +192,7 @@ const moduleController = {
       }
 
       // Check if user is authorized to reorder modules for this course
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'content:manage', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to reorder modules for this course', null));
       }
 
@@ -1,6 +1,8 @@
 import { createResponse } from '../utils/helper.js';
 import NotificationModel from '../models/notificationModel.js';
 import CourseModel from '../models/courseModel.js';
+import { can } from '../services/policyService.js';
+import { createAnnouncement } from '../services/announcementService.js';
 
 const notificationController = {
   // Get notifications for the current user
@@ -161,8 +163,7 @@ const notificationController = {
       }
 
       // Check if user is an admin
-      const isAdmin = req.user && req.user.role === 'admin';
-      if (!isAdmin) {
+      if (!(await can(req.user, 'notification:broadcast'))) {
         return res.status(403).json(createResponse(false, 'Only administrators can create system notifications', null));
       }
 
@@ -198,19 +199,16 @@ const notificationController = {
       }
 
       // Check if user is authorized to create announcements for this course
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'course:announce', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to create announcements for this course', null));
       }
 
-      // Create course announcement notification
-      await NotificationModel.createCourseAnnouncement({
-        course_id,
+      // Stored like announcements posted under /api/courses/:id/announcements
+      await createAnnouncement({
+        course_id: course.id,
+        author_id: req.user.id,
         title,
-        message,
-        instructor_id: req.user.id
+        content: message
       });
 
       return res.status(201).json(createResponse(true, 'Course announcement created successfully', null));
@@ -1,79 +1,142 @@
 
 
 import passport from 'passport';
-import jwt from 'jsonwebtoken';
-import { generateToken, generateRefreshToken } from '../utils/helper.js';
 import { sanitizeUser, createResponse } from '../utils/helper.js';
+import { rotateRefreshToken, revokeRefreshToken } from '../services/tokenService.js';
+import { beginSignIn } from '../services/twoFactorService.js';
+import { resolveOAuthUser, linkIdentity, verifyLinkIntent } from '../services/oauthAccountService.js';
+import { getEnabledOAuthProviders, getOAuthProvider } from '../config/oauthProviders.js';
 
-// Start Google OAuth flow
-export const googleAuth = passport.authenticate('google', {
-  scope: ['profile', 'email']
-});
+// Set the auth cookies used by the SPA after OAuth sign-in or token refresh
+export const setAuthCookies = (res, { access, refresh }) => {
+  const secure = process.env.NODE_ENV === 'production';
 
-// Handle Google OAuth callback
-export const googleCallback = (req, res, next) => {
-  passport.authenticate('google', { failureRedirect: '/login' }, async (err, user) => {
+  // HTTP-only cookies for security
+  res.cookie('accessToken', access, {
+    httpOnly: true,
+    secure,
+    sameSite: 'lax',
+    maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+  });
 
+  res.cookie('refreshToken', refresh, {
+    httpOnly: true,
+    secure,
+    sameSite: 'lax',
+    maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
+  });
 
-    if (err) {
-      console.error('Google OAuth error:', err);
-      return res.redirect(`${process.env.CLIENT_URL}/login?error=oauth_error`);
+  // Also set accessible cookies for client-side auth (less secure but needed for SPA)
+  res.cookie('clientAccessToken', access, {
+    httpOnly: false,
+    secure,
+    sameSite: 'lax',
+    maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+  });
+
+  res.cookie('clientRefreshToken', refresh, {
+    httpOnly: false,
+    secure,
+    sameSite: 'lax',
+    maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
+  });
+};
+
+// Finish an OAuth sign-in: set cookies and redirect, or hand the client a
+// two-factor challenge when a second step is needed
+export const completeOAuthSignIn = async (req, res, user) => {
+  if (user.is_active === false) {
+    return res.redirect(`${process.env.CLIENT_URL}/login?error=account_suspended`);
+  }
+
+  try {
+    const signIn = await beginSignIn(user, req);
+
+    // The challenge goes in the fragment, which browsers never send to servers or in Referer headers
+    if (signIn.challengeToken) {
+      const mode = signIn.twoFactorSetupRequired ? 'setup' : 'verify';
+      return res.redirect(
+        `${process.env.CLIENT_URL}/login/2fa#mode=${mode}&challenge=${encodeURIComponent(signIn.challengeToken)}`
+      );
     }
-    
-    if (!user) {
-      console.warn('No user returned from passport');
-      return res.redirect(`${process.env.CLIENT_URL}/login?error=oauth_failed`);
+
+    setAuthCookies(res, signIn.tokens);
+  } catch (tokenError) {
+    console.error('Token issue error:', tokenError);
+    return res.redirect(`${process.env.CLIENT_URL}/login?error=processing_error`);
+  }
+
+  // Redirect to OAuth success page for token handling
+  return res.redirect(`${process.env.CLIENT_URL}/oauth/success`);
+};
+
+// List the sign-in providers enabled on this server (for login buttons)
+export const listOAuthProviders = (req, res) => {
+  const providers = getEnabledOAuthProviders().map(provider => ({
+    name: provider.name,
+    label: provider.label,
+    url: `/api/auth/${provider.name}`
+  }));
+  return res.json(createResponse(true, 'OAuth providers retrieved successfully', providers));
+};
+
+const LINKED_ACCOUNTS_URL = () => `${process.env.CLIENT_URL}/settings/linked-accounts`;
+
+// Start the OAuth flow for :provider; unknown providers fall through to 404.
+// With ?link_token=... (from POST /api/users/identities/:provider) the flow links
+// the provider to the signed-in user instead of signing in.
+export const oauthAuthorize = (req, res, next) => {
+  const provider = getOAuthProvider(req.params.provider);
+  if (!provider) return next();
+
+  if (req.query.link_token) {
+    const userId = verifyLinkIntent(req.query.link_token, provider.name);
+    if (!userId) {
+      return res.redirect(`${LINKED_ACCOUNTS_URL()}?error=invalid_link_request`);
     }
-    
+    req.session.oauthLink = { userId, provider: provider.name };
+  }
+
+  return passport.authenticate(provider.name, { scope: provider.scope, session: false })(req, res, next);
+};
+
+// Handle the provider callback: finish a link request or sign in
+export const oauthCallback = (req, res, next) => {
+  const provider = getOAuthProvider(req.params.provider);
+  if (!provider) return next();
+
+  passport.authenticate(provider.name, { session: false }, async (err, identity) => {
+    const linkRequest = req.session?.oauthLink?.provider === provider.name ? req.session.oauthLink : null;
+    if (req.session) delete req.session.oauthLink;
+
+    if (err || !identity) {
+      if (err) console.error(`${provider.label} OAuth error:`, err);
+      const reason = err ? 'oauth_error' : 'oauth_failed';
+      return res.redirect(
+        linkRequest ? `${LINKED_ACCOUNTS_URL()}?error=${reason}` : `${process.env.CLIENT_URL}/login?error=${reason}`
+      );
+    }
+
+    let user;
     try {
-      // Log user in with session
-      req.logIn(user, (err) => {
-        if (err) {
-          console.error('Login error:', err);
-          return res.redirect(`${process.env.CLIENT_URL}/login?error=login_failed`);
-        }
-        
-        // Generate JWT tokens
-        const accessToken = generateToken(user.id, user.role);
-        const refreshToken = generateRefreshToken(user.id, user.role);
-        
-        // Set HTTP-only cookies for security
-        res.cookie('accessToken', accessToken, {
-          httpOnly: true,
-          secure: process.env.NODE_ENV === 'production',
-          sameSite: 'lax',
-          maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-        });
-        
-        res.cookie('refreshToken', refreshToken, {
-          httpOnly: true,
-          secure: process.env.NODE_ENV === 'production',
-          sameSite: 'lax',
-          maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
-        });
-        
-        // Also set accessible cookies for client-side auth (less secure but needed for SPA)
-        res.cookie('clientAccessToken', accessToken, {
-          httpOnly: false,
-          secure: process.env.NODE_ENV === 'production',
-          sameSite: 'lax',
-          maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-        });
-        
-        res.cookie('clientRefreshToken', refreshToken, {
-          httpOnly: false,
-          secure: process.env.NODE_ENV === 'production',
-          sameSite: 'lax',
-          maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
-        });
-        
-        // Redirect to OAuth success page for token handling
-        return res.redirect(`${process.env.CLIENT_URL}/oauth/success`);
-      });
+      if (linkRequest) {
+        const { failure } = await linkIdentity(linkRequest.userId, provider, identity);
+        return res.redirect(
+          `${LINKED_ACCOUNTS_URL()}?${failure ? `error=${failure}` : `linked=${provider.name}`}`
+        );
+      }
+
+      const result = await resolveOAuthUser(provider, identity);
+      if (result.failure) {
+        return res.redirect(`${process.env.CLIENT_URL}/login?oauth=fail&reason=${result.failure}`);
+      }
+      user = result.user;
     } catch (error) {
-      console.error('Callback processing error:', error);
+      console.error(`${provider.label} account resolution error:`, error);
       return res.redirect(`${process.env.CLIENT_URL}/login?error=processing_error`);
     }
+
+    return completeOAuthSignIn(req, res, user);
   })(req, res, next);
 };
 
@@ -98,9 +161,14 @@ export const getCurrentUser = (req, res) => {
   }
 };
 
-// Logout user
-export const logout = (req, res) => {
+// Logout user and revoke the presented refresh token server-side
+export const logout = async (req, res) => {
   try {
+    const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+    if (refreshToken) {
+      await revokeRefreshToken(refreshToken);
+    }
+
     req.logout((err) => {
       if (err) {
         console.error('Logout error:', err);
@@ -118,6 +186,8 @@ export const logout = (req, res) => {
         // Clear cookies
         res.clearCookie('accessToken');
         res.clearCookie('refreshToken');
+        res.clearCookie('clientAccessToken');
+        res.clearCookie('clientRefreshToken');
         res.clearCookie('sessionId');
         
         return res.json(
@@ -133,10 +203,10 @@ export const logout = (req, res) => {
   }
 };
 
-// Refresh access token
-export const refreshToken = (req, res) => {
+// Refresh access token, rotating the refresh token
+export const refreshToken = async (req, res) => {
   try {
-    const { refreshToken } = req.cookies;
+    const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
     
     if (!refreshToken) {
       return res.status(401).json(
@@ -144,28 +214,20 @@ export const refreshToken = (req, res) => {
       );
     }
     
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
-    
-    // Generate new access token
-    const newAccessToken = generateToken({ id: decoded.id, email: decoded.email });
-    
-    // Set new access token cookie
-    res.cookie('accessToken', newAccessToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
+    const tokens = await rotateRefreshToken(refreshToken, req);
+    setAuthCookies(res, tokens);
     
     return res.json(
-      createResponse(true, 'Token refreshed successfully', { accessToken: newAccessToken })
+      createResponse(true, 'Token refreshed successfully', {
+        accessToken: tokens.access,
+        refreshToken: tokens.refresh
+      })
     );
     
   } catch (error) {
     console.error('Token refresh error:', error);
-    return res.status(403).json(
+    return res.status(error.statusCode === 401 ? 401 : 403).json(
       createResponse(false, 'Invalid refresh token', null, error.message)
     );
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,83 @@
+import PersonalAccessTokenModel from '../models/personalAccessTokenModel.js';
+import { createResponse } from '../utils/helper.js';
+import { personalAccessTokenSchema } from '../utils/validations.js';
+import { TOKEN_SCOPES } from '../config/tokenScopes.js';
+import { createPersonalAccessToken } from '../services/personalAccessTokenService.js';
+
+const MAX_ACTIVE_TOKENS = 50;
+
+const personalAccessTokenController = {
+  // List the scopes a token can be granted
+  async getScopes(req, res) {
+    const scopes = Object.entries(TOKEN_SCOPES).map(([name, description]) => ({ name, description }));
+    return res.status(200).json(createResponse(true, 'Token scopes retrieved successfully', scopes));
+  },
+
+  // List the current user's tokens (never the token values)
+  async getMyTokens(req, res) {
+    try {
+      const tokens = await PersonalAccessTokenModel.findByUser(req.user.id);
+      return res.status(200).json(createResponse(true, 'Access tokens retrieved successfully', tokens));
+    } catch (error) {
+      console.error('Error getting access tokens:', error);
+      return res.status(500).json(createResponse(false, 'Failed to retrieve access tokens', null));
+    }
+  },
+
+  // Create a named, scoped token; the value is shown once
+  async createToken(req, res) {
+    try {
+      const { error, value } = personalAccessTokenSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json(createResponse(false, error.details[0].message, null));
+      }
+
+      const unknownScopes = value.scopes.filter(scope => !TOKEN_SCOPES[scope]);
+      if (unknownScopes.length > 0) {
+        return res.status(400).json(createResponse(false, `Unknown scopes: ${unknownScopes.join(', ')}`, null));
+      }
+
+      if (await PersonalAccessTokenModel.countActiveByUser(req.user.id) >= MAX_ACTIVE_TOKENS) {
+        return res.status(400).json(
+          createResponse(false, `You can have at most ${MAX_ACTIVE_TOKENS} active tokens. Revoke one first.`, null)
+        );
+      }
+
+      // Every token expires; there is no option for tokens that live forever
+      const expiresAt = new Date(Date.now() + value.expires_in_days * 24 * 60 * 60 * 1000);
+
+      const { token, record } = await createPersonalAccessToken(req.user.id, {
+        name: value.name,
+        scopes: value.scopes,
+        expiresAt
+      });
+
+      return res.status(201).json(createResponse(
+        true,
+        'Access token created. Copy it now; it will not be shown again.',
+        { ...record, token }
+      ));
+    } catch (error) {
+      console.error('Error creating access token:', error);
+      return res.status(500).json(createResponse(false, 'Failed to create access token', null));
+    }
+  },
+
+  // Revoke one of the current user's tokens
+  async revokeToken(req, res) {
+    try {
+      const tokenId = parseInt(req.params.tokenId);
+      const revoked = tokenId && await PersonalAccessTokenModel.revoke(tokenId, req.user.id);
+      if (!revoked) {
+        return res.status(404).json(createResponse(false, 'Access token not found', null));
+      }
+
+      return res.status(200).json(createResponse(true, 'Access token revoked successfully', revoked));
+    } catch (error) {
+      console.error('Error revoking access token:', error);
+      return res.status(500).json(createResponse(false, 'Failed to revoke access token', null));
+    }
+  }
+};
+
+export default personalAccessTokenController;
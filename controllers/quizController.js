@@ -6,6 +6,7 @@ import ModuleModel from '../models/moduleModel.js';
 import CourseModel from '../models/courseModel.js';
 import NotificationModel from '../models/notificationModel.js';
 import { createResponse } from '../utils/helper.js';
+import { can } from '../services/policyService.js';
 
 const quizController = {
   // Create a new quiz
@@ -29,10 +30,7 @@ const quizController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check if user is authorized to add quizzes to this lesson
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'content:manage', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to add quizzes to this lesson', null));
       }
 
@@ -71,12 +69,11 @@ const quizController = {
       const module = await ModuleModel.findById(lesson.module_id);
       const course = await CourseModel.findById(module.course_id);
       
-      // Check if quiz is published or if user is admin/instructor
-      const isAdminOrInstructor = req.user && (req.user.role === 'admin' || req.user.role === 'instructor');
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      const isEnrolled = user_id ? await LessonModel.isUserEnrolledInCourse(user_id, module.course_id) : false;
+      // Check if quiz is published or if user teaches the course
+      const canViewDrafts = await can(req.user, 'course:view_draft', course);
+      const isEnrolled = await can(req.user, 'course:learn', course);
       
-      if (!quiz.is_published && !isAdminOrInstructor && !isInstructor) {
+      if (!quiz.is_published && !canViewDrafts) {
         return res.status(403).json(createResponse(false, 'This quiz is not available', null));
       }
 
@@ -92,7 +89,7 @@ const quizController = {
       }
 
       // For students, don't include correct answers if they haven't completed the quiz yet
-      if (!isAdminOrInstructor && !isInstructor) {
+      if (!canViewDrafts) {
         // Check if user has a completed attempt
         const hasCompletedAttempt = userAttempts && userAttempts.some(attempt => attempt.completed_at !== null);
         
@@ -134,14 +131,13 @@ const quizController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check authorization
-      const isAdminOrInstructor = req.user && (req.user.role === 'admin' || req.user.role === 'instructor');
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      const isEnrolled = user_id ? await LessonModel.isUserEnrolledInCourse(user_id, module.course_id) : false;
+      const canViewDrafts = await can(req.user, 'course:view_draft', course);
+      const isEnrolled = await can(req.user, 'course:learn', course);
 
       // Get quizzes for this lesson
       let quizzes;
-      if (isAdminOrInstructor || isInstructor) {
-        // Admins and instructors can see all quizzes
+      if (canViewDrafts) {
+        // Admins and course staff can see all quizzes
         quizzes = await QuizModel.findByLesson(lesson_id);
       } else {
         // Students can only see published quizzes
@@ -180,25 +176,22 @@ const quizController = {
       }
 
       // Check authorization
-      const isAdminOrInstructor = req.user && (req.user.role === 'admin' || req.user.role === 'instructor');
-      const isInstructor = req.user && course.instructor_id === req.user.id;
+      const canViewDrafts = await can(req.user, 'course:view_draft', course);
       
       let isEnrolled = false;
       try {
-        isEnrolled = user_id ? await LessonModel.isUserEnrolledInCourse(user_id, course_id) : false;
+        isEnrolled = await can(req.user, 'course:learn', course);
         console.log('Enrollment check successful:', isEnrolled);
       } catch (enrollmentError) {
         console.error('Error checking enrollment:', enrollmentError);
         isEnrolled = false;
       }
-      
-      console.log('Authorization - Admin/Instructor:', isAdminOrInstructor, 'Is Course Instructor:', isInstructor, 'Is Enrolled:', isEnrolled);
 
       // Get quizzes for this course
       console.log('Fetching quizzes for course...');
       let quizzes;
-      if (isAdminOrInstructor || isInstructor) {
-        // Admins and instructors can see all quizzes
+      if (canViewDrafts) {
+        // Admins and course staff can see all quizzes
         quizzes = await QuizModel.findByCourseId(course_id);
       } else {
         // Students can only see published quizzes
@@ -267,10 +260,7 @@ const quizController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check if user is authorized to update this quiz
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'content:manage', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to update this quiz', null));
       }
 
@@ -302,10 +292,7 @@ const quizController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check if user is authorized to delete this quiz
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'content:manage', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to delete this quiz', null));
       }
 
@@ -342,10 +329,7 @@ const quizController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check if user is authorized to add questions to this quiz
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'content:manage', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to add questions to this quiz', null));
       }
 
@@ -402,10 +386,7 @@ const quizController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check if user is authorized to update this question
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'content:manage', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to update this question', null));
       }
 
@@ -437,10 +418,7 @@ const quizController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check if user is authorized to delete this question
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'content:manage', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to delete this question', null));
       }
 
@@ -478,10 +456,7 @@ const quizController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check if user is authorized to add options to this question
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'content:manage', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to add options to this question', null));
       }
 
@@ -515,10 +490,7 @@ const quizController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check if user is authorized to update this option
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'content:manage', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to update this option', null));
       }
 
@@ -551,10 +523,7 @@ const quizController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check if user is authorized to delete this option
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'content:manage', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to delete this option', null));
       }
 
@@ -591,10 +560,7 @@ const quizController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check if user is authorized
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'content:manage', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to add questions to this quiz', null));
       }
 
@@ -645,10 +611,7 @@ const quizController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check authorization
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'content:manage', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to update this question', null));
       }
 
@@ -692,10 +655,7 @@ const quizController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check authorization
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'content:manage', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to delete this question', null));
       }
 
@@ -735,9 +695,9 @@ const quizController = {
       // Get lesson, module and course to check enrollment
       const lesson = await LessonModel.findById(quiz.lesson_id);
       const module = await ModuleModel.findById(lesson.module_id);
-      const isEnrolled = await LessonModel.isUserEnrolledInCourse(user_id, module.course_id);
+      const course = await CourseModel.findById(module.course_id);
 
-      if (!isEnrolled) {
+      if (!(await can(req.user, 'course:learn', course))) {
         return res.status(403).json(createResponse(false, 'You must be enrolled in this course to take quizzes', null));
       }
 
@@ -853,11 +813,10 @@ const quizController = {
       }
       
       const requestingUserId = req.user.id;
-      const isAdmin = req.user && req.user.role === 'admin';
       
       // Only allow users to view their own attempts unless they're an admin
       // Convert both to strings for comparison to handle type mismatches
-      if (String(user_id) !== String(requestingUserId) && !isAdmin) {
+      if (String(user_id) !== String(requestingUserId) && !(await can(req.user, 'grades:view'))) {
         return res.status(403).json(createResponse(false, 'Not authorized to view these quiz attempts', null));
       }
 
@@ -891,10 +850,7 @@ const quizController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check if user is authorized to view attempts for this quiz
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'grades:view', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to view attempts for this quiz', null));
       }
 
@@ -925,10 +881,7 @@ const quizController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check if user is authorized to view statistics for this quiz
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'grades:view', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to view statistics for this quiz', null));
       }
 
@@ -959,10 +912,7 @@ const quizController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check if user is authorized to publish this quiz
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'content:manage', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to publish this quiz', null));
       }
 
@@ -1007,10 +957,7 @@ const quizController = {
       const course = await CourseModel.findById(module.course_id);
 
       // Check if user is authorized to unpublish this quiz
-      const isAdmin = req.user && req.user.role === 'admin';
-      const isInstructor = req.user && course.instructor_id === req.user.id;
-      
-      if (!isAdmin && !isInstructor) {
+      if (!(await can(req.user, 'content:manage', course))) {
         return res.status(403).json(createResponse(false, 'Not authorized to unpublish this quiz', null));
       }
 
@@ -1,15 +1,21 @@
 import ReviewModel from '../models/reviewModel.js';
 import CourseModel from '../models/courseModel.js';
 import { createResponse } from '../utils/helper.js';
+import { can } from '../services/policyService.js';
+import { reviewSchema, updateReviewSchema } from '../utils/validations.js';
 
 const reviewController = {
   // Create a new review
   async createReview(req, res) {
     try {
       const { course_id } = req.params;
-      const { content } = req.body;
       const user_id = req.user.id;
 
+      const { error, value } = reviewSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json(createResponse(false, error.details[0].message, null));
+      }
+
       // Check if course exists
       const course = await CourseModel.findById(course_id);
       if (!course) {
@@ -18,15 +24,19 @@ const reviewController = {
 
       // Check if user can review this course
       const canReview = await ReviewModel.canUserReviewCourse(user_id, course_id);
-      if (!canReview.can_review) {
-        return res.status(403).json(createResponse(false, canReview.message, null));
+      if (!canReview.canReview) {
+        const message = canReview.reason === 'already_reviewed'
+          ? 'You have already reviewed this course'
+          : 'You must be enrolled in the course to review it';
+        return res.status(403).json(createResponse(false, message, null));
       }
 
       // Create review
       const review = await ReviewModel.create({
         user_id,
-        course_id,
-        content
+        course_id: course.id,
+        rating: value.rating,
+        review: value.review || null
       });
 
 
@@ -51,18 +61,20 @@ const reviewController = {
       }
 
       // Get reviews
-      const reviews = await ReviewModel.findByCourse(course_id, {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        sort_by,
-        sort_order
-      });
-
-
+      const [reviews, total, statistics] = await Promise.all([
+        ReviewModel.findByCourse(course.id, {
+          limit: parseInt(limit),
+          offset: (parseInt(page) - 1) * parseInt(limit),
+          sortBy: sort_by,
+          sortOrder: sort_order
+        }),
+        ReviewModel.countByCourse(course.id),
+        ReviewModel.getCourseStatistics(course.id)
+      ]);
 
       return res.status(200).json(createResponse(true, 'Reviews retrieved successfully', {
-        reviews: reviews.reviews,
-        total: reviews.total,
+        reviews,
+        total,
         statistics
       }));
     } catch (error) {
@@ -94,9 +106,13 @@ const reviewController = {
   async updateReview(req, res) {
     try {
       const { id } = req.params;
-      const updates = req.body;
       const user_id = req.user.id;
 
+      const { error, value: updates } = updateReviewSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json(createResponse(false, error.details[0].message, null));
+      }
+
       // Get the current review
       const review = await ReviewModel.findById(id);
       
@@ -126,7 +142,6 @@ const reviewController = {
     try {
       const { id } = req.params;
       const user_id = req.user.id;
-      const isAdmin = req.user && req.user.role === 'admin';
 
       // Get the current review
       const review = await ReviewModel.findById(id);
@@ -136,7 +151,7 @@ const reviewController = {
       }
 
       // Check if review belongs to the user or user is admin
-      if (review.user_id !== user_id && !isAdmin) {
+      if (review.user_id !== user_id && !(await can(req.user, 'review:moderate'))) {
         return res.status(403).json(createResponse(false, 'Not authorized to delete this review', null));
       }
 
@@ -166,7 +181,7 @@ const reviewController = {
       }
 
       // Check if user has already marked this review as helpful
-      const hasMarked = await ReviewModel.hasUserMarkedReviewAsHelpful(user_id, id);
+      const hasMarked = await ReviewModel.isMarkedHelpful(review.id, user_id);
       if (hasMarked) {
         return res.status(400).json(createResponse(false, 'You have already marked this review as helpful', null));
       }
@@ -187,16 +202,18 @@ const reviewController = {
       const { user_id } = req.params;
       const { page = 1, limit = 10 } = req.query;
       const requestingUserId = req.user.id;
-      const isAdmin = req.user && req.user.role === 'admin';
       
       // Only allow users to view their own reviews unless they're an admin
       // Convert both to strings for comparison to handle type mismatches
-      if (String(user_id) !== String(requestingUserId) && !isAdmin) {
+      if (String(user_id) !== String(requestingUserId) && !(await can(req.user, 'review:moderate'))) {
         return res.status(403).json(createResponse(false, 'Not authorized to view these reviews', null));
       }
 
       // Get reviews
-      const reviews = await ReviewModel.findByUser(user_id, parseInt(page), parseInt(limit));
+      const reviews = await ReviewModel.findByUser(user_id, {
+        limit: parseInt(limit),
+        offset: (parseInt(page) - 1) * parseInt(limit)
+      });
 
       return res.status(200).json(createResponse(true, 'Reviews retrieved successfully', reviews));
     } catch (error) {
@@ -0,0 +1,139 @@
+import SessionModel from '../models/sessionModel.js';
+import UserModel from '../models/usermodel.js';
+import { createResponse } from '../utils/helper.js';
+import { idParamSchema } from '../utils/validations.js';
+import { revokeAllUserTokens } from '../services/tokenService.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Flag the session the request was made with
+const withCurrentFlag = (sessions, currentSessionId) => {
+  return sessions.map(session => ({
+    ...session,
+    is_current: session.id === currentSessionId
+  }));
+};
+
+const sessionController = {
+  // List the current user's active sign-ins
+  async getMySessions(req, res) {
+    try {
+      const sessions = await SessionModel.findActiveByUser(req.user.id);
+      return res.status(200).json(
+        createResponse(true, 'Sessions retrieved successfully', withCurrentFlag(sessions, req.sessionId))
+      );
+    } catch (error) {
+      console.error('Error getting sessions:', error);
+      return res.status(500).json(createResponse(false, 'Failed to retrieve sessions', null));
+    }
+  },
+
+  // Revoke one of the current user's sessions
+  async revokeMySession(req, res) {
+    try {
+      const { sessionId } = req.params;
+
+      const session = UUID_PATTERN.test(sessionId) && await SessionModel.findById(sessionId);
+      if (!session || session.user_id !== req.user.id) {
+        return res.status(404).json(createResponse(false, 'Session not found', null));
+      }
+
+      await SessionModel.revoke(sessionId);
+
+      return res.status(200).json(createResponse(true, 'Session revoked successfully', null));
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      return res.status(500).json(createResponse(false, 'Failed to revoke session', null));
+    }
+  },
+
+  // Revoke every session except the one making the request
+  async revokeOtherSessions(req, res) {
+    try {
+      if (!req.sessionId) {
+        return res.status(400).json(
+          createResponse(false, 'Current session could not be determined. Please sign in again.', null)
+        );
+      }
+
+      const revoked = await revokeAllUserTokens(req.user.id, req.sessionId);
+
+      return res.status(200).json(
+        createResponse(true, 'Other sessions revoked successfully', { revoked })
+      );
+    } catch (error) {
+      console.error('Error revoking other sessions:', error);
+      return res.status(500).json(createResponse(false, 'Failed to revoke sessions', null));
+    }
+  },
+
+  // Admin: list a user's active sessions
+  async getUserSessions(req, res) {
+    try {
+      const { error, value: id } = idParamSchema.validate(req.params.id);
+      if (error) {
+        return res.status(400).json(createResponse(false, 'Invalid user ID', null));
+      }
+
+      const user = await UserModel.findById(id);
+      if (!user) {
+        return res.status(404).json(createResponse(false, 'User not found', null));
+      }
+
+      const sessions = await SessionModel.findActiveByUser(user.id);
+      return res.status(200).json(createResponse(true, 'Sessions retrieved successfully', sessions));
+    } catch (error) {
+      console.error('Error getting user sessions:', error);
+      return res.status(500).json(createResponse(false, 'Failed to retrieve sessions', null));
+    }
+  },
+
+  // Admin: revoke one session of a user
+  async revokeUserSession(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const { error, value: id } = idParamSchema.validate(req.params.id);
+      if (error) {
+        return res.status(400).json(createResponse(false, 'Invalid user ID', null));
+      }
+
+      const session = UUID_PATTERN.test(sessionId) && await SessionModel.findById(sessionId);
+      if (!session || session.user_id !== id) {
+        return res.status(404).json(createResponse(false, 'Session not found', null));
+      }
+
+      await SessionModel.revoke(sessionId);
+
+      return res.status(200).json(createResponse(true, 'Session revoked successfully', null));
+    } catch (error) {
+      console.error('Error revoking user session:', error);
+      return res.status(500).json(createResponse(false, 'Failed to revoke session', null));
+    }
+  },
+
+  // Admin: sign a user out of every device
+  async revokeAllUserSessions(req, res) {
+    try {
+      const { error, value: id } = idParamSchema.validate(req.params.id);
+      if (error) {
+        return res.status(400).json(createResponse(false, 'Invalid user ID', null));
+      }
+
+      const user = await UserModel.findById(id);
+      if (!user) {
+        return res.status(404).json(createResponse(false, 'User not found', null));
+      }
+
+      const revoked = await revokeAllUserTokens(user.id);
+
+      return res.status(200).json(
+        createResponse(true, 'All sessions revoked successfully', { revoked })
+      );
+    } catch (error) {
+      console.error('Error revoking user sessions:', error);
+      return res.status(500).json(createResponse(false, 'Failed to revoke sessions', null));
+    }
+  }
+};
+
+export default sessionController;
@@ -0,0 +1,187 @@
+import TagModel, { toTagSlug } from '../models/tagModel.js';
+import CourseModel from '../models/courseModel.js';
+import { createResponse } from '../utils/helper.js';
+import { renameTagSchema, mergeTagSchema, idParamSchema } from '../utils/validations.js';
+import { can } from '../services/policyService.js';
+
+const isUniqueViolation = (error) => error.code === '23505';
+
+const tagController = {
+  // Tags with course counts; ?q=<prefix> for autocomplete
+  async getTags(req, res) {
+    try {
+      const prefix = String(req.query.q ?? '').trim();
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+      const [tags, total] = await Promise.all([
+        TagModel.findAll({ prefix, limit, offset: (page - 1) * limit }),
+        TagModel.count({ prefix })
+      ]);
+
+      return res.status(200).json(createResponse(true, 'Tags retrieved successfully', {
+        tags,
+        pagination: {
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit)
+        }
+      }));
+    } catch (error) {
+      console.error('Error getting tags:', error);
+      return res.status(500).json(createResponse(false, 'Failed to retrieve tags', null));
+    }
+  },
+
+  // Published, approved courses with a tag
+  async getTagCourses(req, res) {
+    try {
+      const tag = await TagModel.findBySlug(req.params.slug);
+      if (!tag) {
+        return res.status(404).json(createResponse(false, 'Tag not found', null));
+      }
+
+      const {
+        page = 1,
+        limit = 10,
+        level,
+        sort_by = 'created_at',
+        sort_order = 'DESC'
+      } = req.query;
+
+      const filters = {
+        tags: [tag.slug],
+        level,
+        is_published: true,
+        is_approved: true
+      };
+
+      const [courses, total] = await Promise.all([
+        CourseModel.findAll({
+          ...filters,
+          limit: parseInt(limit),
+          offset: (page - 1) * limit,
+          sortBy: sort_by,
+          sortOrder: sort_order
+        }),
+        CourseModel.count(filters)
+      ]);
+
+      return res.status(200).json(createResponse(true, 'Courses retrieved successfully', {
+        tag,
+        courses,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(total / limit)
+        }
+      }));
+    } catch (error) {
+      console.error('Error getting tag courses:', error);
+      return res.status(500).json(createResponse(false, 'Failed to retrieve courses', null));
+    }
+  },
+
+  // The slug follows the new name unless one is given
+  async renameTag(req, res) {
+    try {
+      if (!(await can(req.user, 'tag:manage'))) {
+        return res.status(403).json(createResponse(false, 'Only admins can manage tags', null));
+      }
+
+      const { error, value } = renameTagSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json(createResponse(false, error.details[0].message, null));
+      }
+
+      const { error: idError, value: id } = idParamSchema.validate(req.params.id);
+      if (idError) {
+        return res.status(400).json(createResponse(false, 'Invalid tag ID', null));
+      }
+
+      const tag = await TagModel.findById(id);
+      if (!tag) {
+        return res.status(404).json(createResponse(false, 'Tag not found', null));
+      }
+
+      const slug = value.slug || toTagSlug(value.name);
+      if (!slug) {
+        return res.status(400).json(createResponse(false, 'Please provide a slug for this tag name', null));
+      }
+
+      const updated = await TagModel.rename(tag.id, { name: value.name, slug });
+      return res.status(200).json(createResponse(true, 'Tag renamed successfully', updated));
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        return res.status(409).json(createResponse(false, 'A tag with this name or slug already exists. Merge the tags instead.', null));
+      }
+      console.error('Error renaming tag:', error);
+      return res.status(500).json(createResponse(false, 'Failed to rename tag', null));
+    }
+  },
+
+  // Retag every course with the target tag and remove this one
+  async mergeTag(req, res) {
+    try {
+      if (!(await can(req.user, 'tag:manage'))) {
+        return res.status(403).json(createResponse(false, 'Only admins can manage tags', null));
+      }
+
+      const { error, value } = mergeTagSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json(createResponse(false, error.details[0].message, null));
+      }
+
+      const { error: idError, value: id } = idParamSchema.validate(req.params.id);
+      if (idError) {
+        return res.status(400).json(createResponse(false, 'Invalid tag ID', null));
+      }
+
+      const source = await TagModel.findById(id);
+      if (!source) {
+        return res.status(404).json(createResponse(false, 'Tag not found', null));
+      }
+
+      const target = await TagModel.findById(value.target_id);
+      if (!target) {
+        return res.status(400).json(createResponse(false, 'Target tag not found', null));
+      }
+      if (target.id === source.id) {
+        return res.status(400).json(createResponse(false, 'A tag cannot be merged into itself', null));
+      }
+
+      const result = await TagModel.mergeInto(source.id, target.id);
+      return res.status(200).json(createResponse(true, `Tag merged into ${target.name}`, { target, ...result }));
+    } catch (error) {
+      console.error('Error merging tag:', error);
+      return res.status(500).json(createResponse(false, 'Failed to merge tag', null));
+    }
+  },
+
+  async deleteTag(req, res) {
+    try {
+      if (!(await can(req.user, 'tag:manage'))) {
+        return res.status(403).json(createResponse(false, 'Only admins can manage tags', null));
+      }
+
+      const { error: idError, value: id } = idParamSchema.validate(req.params.id);
+      if (idError) {
+        return res.status(400).json(createResponse(false, 'Invalid tag ID', null));
+      }
+
+      const tag = await TagModel.delete(id);
+      if (!tag) {
+        return res.status(404).json(createResponse(false, 'Tag not found', null));
+      }
+
+      return res.status(200).json(createResponse(true, 'Tag deleted successfully', tag));
+    } catch (error) {
+      console.error('Error deleting tag:', error);
+      return res.status(500).json(createResponse(false, 'Failed to delete tag', null));
+    }
+  }
+};
+
+export default tagController;
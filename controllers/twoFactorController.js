@@ -0,0 +1,219 @@
+import TwoFactorModel from '../models/twoFactorModel.js';
+import SettingsModel from '../models/settingsModel.js';
+import { createResponse } from '../utils/helper.js';
+import { generateSecret, buildOtpAuthUri } from '../utils/totp.js';
+import {
+  TWO_FACTOR_POLICY_KEY,
+  CHALLENGE_PURPOSES,
+  getTwoFactorPolicy,
+  isTwoFactorRequired,
+  consumeTotpCode,
+  verifySecondFactor,
+  generateRecoveryCodes
+} from '../services/twoFactorService.js';
+import { issueAuthTokens, revokeAllUserTokens } from '../services/tokenService.js';
+import {
+  checkLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  sendLoginBlocked
+} from '../services/loginProtectionService.js';
+import {
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
+  twoFactorPolicySchema
+} from '../utils/validations.js';
+
+const twoFactorController = {
+  // Get the current user's two-factor status
+  async getStatus(req, res) {
+    try {
+      const state = await TwoFactorModel.findByUserId(req.user.id);
+      const required = await isTwoFactorRequired(req.user);
+
+      return res.status(200).json(createResponse(true, 'Two-factor status retrieved successfully', {
+        enabled: Boolean(state.two_factor_enabled_at),
+        enabled_at: state.two_factor_enabled_at,
+        required,
+        recovery_codes_remaining: state.recovery_codes_remaining
+      }));
+    } catch (error) {
+      console.error('Error getting two-factor status:', error);
+      return res.status(500).json(createResponse(false, 'Failed to retrieve two-factor status', null));
+    }
+  },
+
+  // Start enrollment: create a secret and return the provisioning URI for the QR code
+  async setup(req, res) {
+    try {
+      const state = await TwoFactorModel.findByUserId(req.user.id);
+      if (state.two_factor_enabled_at) {
+        return res.status(400).json(createResponse(false, 'Two-factor authentication is already enabled', null));
+      }
+
+      const secret = generateSecret();
+      await TwoFactorModel.setPendingSecret(req.user.id, secret);
+
+      return res.status(200).json(createResponse(true, 'Scan the QR code with your authenticator app', {
+        secret,
+        otpauth_uri: buildOtpAuthUri({ secret, accountName: req.user.email })
+      }));
+    } catch (error) {
+      console.error('Error starting two-factor setup:', error);
+      return res.status(500).json(createResponse(false, 'Failed to start two-factor setup', null));
+    }
+  },
+
+  // Finish enrollment with a code from the app. During a required setup at login,
+  // this also completes the sign-in.
+  async enable(req, res) {
+    try {
+      const { error, value } = twoFactorCodeSchema.validate({ code: req.body.code });
+      if (error) {
+        return res.status(400).json(createResponse(false, error.details[0].message, null));
+      }
+
+      const state = await TwoFactorModel.findByUserId(req.user.id);
+      if (state.two_factor_enabled_at) {
+        return res.status(400).json(createResponse(false, 'Two-factor authentication is already enabled', null));
+      }
+      if (!state.two_factor_secret) {
+        return res.status(400).json(createResponse(false, 'Start two-factor setup first', null));
+      }
+      if (!(await consumeTotpCode(req.user.id, state.two_factor_secret, value.code))) {
+        return res.status(400).json(createResponse(false, 'Invalid verification code', null));
+      }
+
+      await TwoFactorModel.enable(req.user.id);
+      const recoveryCodes = await generateRecoveryCodes(req.user.id);
+
+      // Sessions signed in with the password alone end; the one enabling 2FA stays signed in
+      await revokeAllUserTokens(req.user.id, req.sessionId || null);
+
+      const data = { recovery_codes: recoveryCodes };
+      if (req.twoFactorChallenge === CHALLENGE_PURPOSES.SETUP) {
+        data.tokens = await issueAuthTokens(req.user, req);
+      }
+
+      return res.status(200).json(
+        createResponse(true, 'Two-factor authentication enabled. Store your recovery codes somewhere safe.', data)
+      );
+    } catch (error) {
+      console.error('Error enabling two-factor authentication:', error);
+      return res.status(500).json(createResponse(false, 'Failed to enable two-factor authentication', null));
+    }
+  },
+
+  // Turn off two-factor authentication (not allowed when the policy requires it)
+  async disable(req, res) {
+    try {
+      const { error, value } = twoFactorCodeSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json(createResponse(false, error.details[0].message, null));
+      }
+
+      if (await isTwoFactorRequired(req.user)) {
+        return res.status(403).json(
+          createResponse(false, 'Two-factor authentication is required for your role', null)
+        );
+      }
+
+      if (!(await verifySecondFactor(req.user.id, { code: value.code }))) {
+        return res.status(400).json(createResponse(false, 'Invalid verification code', null));
+      }
+
+      await TwoFactorModel.disable(req.user.id);
+
+      return res.status(200).json(createResponse(true, 'Two-factor authentication disabled', null));
+    } catch (error) {
+      console.error('Error disabling two-factor authentication:', error);
+      return res.status(500).json(createResponse(false, 'Failed to disable two-factor authentication', null));
+    }
+  },
+
+  // Replace the recovery codes (the old ones stop working)
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const { error, value } = twoFactorCodeSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json(createResponse(false, error.details[0].message, null));
+      }
+
+      if (!(await verifySecondFactor(req.user.id, { code: value.code }))) {
+        return res.status(400).json(createResponse(false, 'Invalid verification code', null));
+      }
+
+      const recoveryCodes = await generateRecoveryCodes(req.user.id);
+
+      return res.status(200).json(
+        createResponse(true, 'Recovery codes regenerated', { recovery_codes: recoveryCodes })
+      );
+    } catch (error) {
+      console.error('Error regenerating recovery codes:', error);
+      return res.status(500).json(createResponse(false, 'Failed to regenerate recovery codes', null));
+    }
+  },
+
+  // Second login step: exchange the challenge token and a code for real tokens
+  async verifyLogin(req, res) {
+    try {
+      const { error, value } = twoFactorLoginSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json(createResponse(false, error.details[0].message, null));
+      }
+
+      // Code guesses count toward the same lockout as password failures
+      const { block, attempt } = await checkLoginAllowed({ user: req.user, ip: req.ip });
+      if (block) {
+        return sendLoginBlocked(res, block);
+      }
+
+      const isValid = await verifySecondFactor(req.user.id, {
+        code: value.code,
+        recoveryCode: value.recoveryCode
+      });
+      if (!isValid) {
+        await recordFailedLogin({ user: req.user, email: req.user.email, req, reason: 'invalid_2fa_code', attempt });
+        return res.status(401).json(createResponse(false, 'Invalid verification code', null));
+      }
+
+      await recordSuccessfulLogin({ user: req.user, req });
+      const tokens = await issueAuthTokens(req.user, req);
+
+      return res.status(200).json(createResponse(true, 'Login successful', { tokens }));
+    } catch (error) {
+      console.error('Error verifying two-factor login:', error);
+      return res.status(500).json(createResponse(false, 'Failed to verify two-factor login', null));
+    }
+  },
+
+  // Admin: view the two-factor policy
+  async getPolicy(req, res) {
+    try {
+      const policy = await getTwoFactorPolicy();
+      return res.status(200).json(createResponse(true, 'Two-factor policy retrieved successfully', policy));
+    } catch (error) {
+      console.error('Error getting two-factor policy:', error);
+      return res.status(500).json(createResponse(false, 'Failed to retrieve two-factor policy', null));
+    }
+  },
+
+  // Admin: choose which roles must use two-factor authentication
+  async updatePolicy(req, res) {
+    try {
+      const { error, value } = twoFactorPolicySchema.validate(req.body);
+      if (error) {
+        return res.status(400).json(createResponse(false, error.details[0].message, null));
+      }
+
+      const setting = await SettingsModel.set(TWO_FACTOR_POLICY_KEY, value, req.user.id);
+
+      return res.status(200).json(createResponse(true, 'Two-factor policy updated successfully', setting.value));
+    } catch (error) {
+      console.error('Error updating two-factor policy:', error);
+      return res.status(500).json(createResponse(false, 'Failed to update two-factor policy', null));
+    }
+  }
+};
+
+export default twoFactorController;
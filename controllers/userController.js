@@ -1,11 +1,13 @@
 import UserModel from "../models/usermodel.js";
+import ActionTokenModel from "../models/actionTokenModel.js";
 import {
-  generateToken,
-  generateRefreshToken,
   verifyPassword,
   hashPassword,
+  generatePasswordResetToken,
+  verifyPasswordResetToken,
   generateVerificationToken,
-  verifyVerificationToken
+  verifyVerificationToken,
+  hashToken
 } from "../utils/helper.js";
 import {
   registerSchema,
@@ -14,13 +16,42 @@ import {
   updateProfileSchema,
   forgotPasswordSchema,
   resetPasswordSchema,
-  adminRegisterSchema
+  adminRegisterSchema,
+  userDirectoryQuerySchema,
+  suspendUserSchema,
+  magicLinkRequestSchema,
+  magicLinkVerifySchema,
+  idParamSchema
 } from "../utils/validations.js";
 import { sendEmail } from "../services/emailService.js";
+import { revokeAllUserTokens } from "../services/tokenService.js";
+import { beginSignIn } from "../services/twoFactorService.js";
+import { can } from "../services/policyService.js";
+import { sendMagicLink, consumeMagicLink } from "../services/magicLinkService.js";
+import {
+  countBlockingCourses,
+  scheduleAccountDeletion
+} from "../services/accountDeletionService.js";
+import {
+  checkLoginAllowed,
+  recordFailedLogin,
+  releaseLoginAttempt,
+  recordSuccessfulLogin,
+  sendLoginBlocked
+} from "../services/loginProtectionService.js";
 import rateLimit from "express-rate-limit";
 
 // Constants
-const USER_RESPONSE_FIELDS = ['id', 'email', 'name', 'role', 'isVerified', 'avatar'];
+const USER_RESPONSE_FIELDS = [
+  'id', 'email', 'name', 'role', 'isVerified', 'headline', 'bio', 'avatar_url', 'website_url', 'social_links',
+  'deletion_scheduled_for'
+];
+const INSTRUCTOR_PROFILE_FIELDS = ['headline', 'bio', 'avatar_url', 'website_url', 'social_links'];
+const ADMIN_USER_RESPONSE_FIELDS = [
+  ...USER_RESPONSE_FIELDS,
+  'oauth_provider', 'is_active', 'suspended_at', 'suspension_reason', 'anonymized_at', 'last_login', 'created_at'
+];
+const PASSWORD_RESET_PURPOSE = 'password_reset';
 const AUTH_RATE_LIMITER = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 100,
@@ -35,6 +66,33 @@ const formatUserResponse = (user) => {
   }, {});
 };
 
+// Directory entries for admins carry account status as well
+const formatAdminUserResponse = (user) => {
+  return ADMIN_USER_RESPONSE_FIELDS.reduce((obj, field) => {
+    if (user[field] !== undefined) obj[field] = user[field];
+    return obj;
+  }, {});
+};
+
+// Email a verification link; failures are logged so they never block the caller
+const sendVerificationEmail = async (user) => {
+  const verificationToken = generateVerificationToken(user.id, user.email);
+  try {
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+    await sendEmail({
+      to: user.email,
+      subject: 'Verify Your Email',
+      template: 'verify-email',
+      context: {
+        name: user.name,
+        verificationLink: `${baseUrl}/verify-email?token=${verificationToken}`
+      }
+    });
+  } catch (emailError) {
+    console.error('Failed to send verification email:', emailError);
+  }
+};
+
 const UserController = {
   /**
    * Register a new student or constructor
@@ -75,35 +133,16 @@ const UserController = {
         role 
       });
 
-      // Generate verification token and send email
-      const verificationToken = generateVerificationToken(newUser.id);
-      try {
-        const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
-        await sendEmail({
-          to: email,
-          subject: 'Verify Your Email',
-          template: 'verify-email',
-          context: {
-            name,
-            verificationLink: `${baseUrl}/verify-email?token=${verificationToken}`
-          }
-        });
-      } catch (emailError) {
-        console.error('Failed to send verification email:', emailError);
-      }
+      await sendVerificationEmail(newUser);
 
-      // Generate auth tokens
-      const accessToken = generateToken(newUser.id);
-      const refreshToken = generateRefreshToken(newUser.id);
+      // Generate auth tokens (or a two-factor setup challenge if the policy requires it)
+      const signIn = await beginSignIn(newUser, req);
 
       return res.status(201).json({
         success: true,
         data: {
           user: formatUserResponse(newUser),
-          tokens: {
-            access: accessToken,
-            refresh: refreshToken
-          },
+          ...signIn,
           message: 'Registration successful. Please check your email for verification instructions.'
         }
       });
@@ -145,18 +184,14 @@ const UserController = {
         name 
       });
 
-      // Generate tokens (admin gets immediate access)
-      const accessToken = generateToken(adminUser.id);
-      const refreshToken = generateRefreshToken(adminUser.id);
+      // Generate tokens (admin gets immediate access unless the 2FA policy covers admins)
+      const signIn = await beginSignIn(adminUser, req);
 
       return res.status(201).json({
         success: true,
         data: {
           user: formatUserResponse(adminUser),
-          tokens: {
-            access: accessToken,
-            refresh: refreshToken
-          },
+          ...signIn,
           message: 'Admin account created successfully'
         }
       });
@@ -166,7 +201,8 @@ const UserController = {
   },
 
   /**
-   * Login for all user types WITHOUT isVerified check
+   * Login for all user types. Unverified users may sign in; specific actions
+   * can require verification through the requireVerifiedEmail middleware.
    */
   login: [async (req, res, next) => {
     try {
@@ -181,37 +217,55 @@ const UserController = {
       
       const { email, password } = value;
       const user = await UserModel.findByEmail(email);
+
+      // Locked accounts, progressive delays and noisy IPs are refused before checking the password
+      const { block, attempt } = await checkLoginAllowed({ user, ip: req.ip });
+      if (block) {
+        return sendLoginBlocked(res, block);
+      }
       
       if (!user) {
+        await recordFailedLogin({ user: null, email, req, reason: 'unknown_email' });
         return res.status(401).json({
           success: false,
           message: 'Invalid credentials'
         });
       }
       
-      // Removed the isVerified check here
-      
       const isPasswordValid = await UserModel.validatePassword(email, password);
       if (!isPasswordValid) {
+        await recordFailedLogin({ user, email, req, reason: 'invalid_password', attempt });
         return res.status(401).json({
           success: false,
           message: 'Invalid credentials'
         });
       }
 
+      if (user.is_active === false) {
+        await releaseLoginAttempt({ user, attempt });
+        return res.status(403).json({
+          success: false,
+          message: 'Your account has been suspended. Please contact support.'
+        });
+      }
+
       await UserModel.update(user.id, { last_login: new Date() });
 
-      const accessToken = generateToken(user.id);
-      const refreshToken = generateRefreshToken(user.id);
+      // Users with two-factor authentication get a challenge instead of tokens
+      const signIn = await beginSignIn(user, req);
+
+      // With a second factor pending, failures keep counting until the code is verified
+      if (signIn.twoFactorRequired) {
+        await releaseLoginAttempt({ user, attempt });
+      } else {
+        await recordSuccessfulLogin({ user, req });
+      }
 
       res.json({
         success: true,
         data: {
           user: formatUserResponse(user),
-          tokens: {
-            access: accessToken,
-            refresh: refreshToken
-          }
+          ...signIn
         }
       });
     } catch (error) {
@@ -219,6 +273,93 @@ const UserController = {
     }
   }],
 
+  /**
+   * Email a single-use sign-in link (passwordless login)
+   */
+  async requestMagicLink(req, res, next) {
+    try {
+      const { error, value } = magicLinkRequestSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          details: error.details
+        });
+      }
+
+      await sendMagicLink(value.email);
+
+      // Same response whether or not a link was sent, to avoid leaking registered emails
+      res.json({
+        success: true,
+        message: 'If an account exists for this email, a sign-in link has been sent.'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Exchange a sign-in link for the same tokens (or 2FA challenge) as login
+   */
+  async verifyMagicLink(req, res, next) {
+    try {
+      const { error, value } = magicLinkVerifySchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          details: error.details
+        });
+      }
+
+      const user = await consumeMagicLink(value.token);
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired sign-in link'
+        });
+      }
+
+      // A locked account stays locked whichever way the user signs in
+      const { block, attempt } = await checkLoginAllowed({ user, ip: req.ip });
+      if (block) {
+        return sendLoginBlocked(res, block);
+      }
+
+      if (user.is_active === false) {
+        await releaseLoginAttempt({ user, attempt });
+        return res.status(403).json({
+          success: false,
+          message: 'Your account has been suspended. Please contact support.'
+        });
+      }
+
+      await UserModel.update(user.id, { last_login: new Date() });
+      // The link was emailed, so using it proves the address
+      if (!user.email_verified_at) {
+        await UserModel.markEmailVerified(user.id);
+      }
+
+      const signIn = await beginSignIn(user, req);
+      if (signIn.twoFactorRequired) {
+        await releaseLoginAttempt({ user, attempt });
+      } else {
+        await recordSuccessfulLogin({ user, req });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          user: formatUserResponse({ ...user, isVerified: true }),
+          ...signIn
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
   /**
    * Change password for any user
    */
@@ -246,6 +387,166 @@ const UserController = {
     }
   },
 
+  /**
+   * Confirm an email address from the link sent on registration
+   */
+  async verifyEmail(req, res, next) {
+    try {
+      const { token } = req.query;
+      const decoded = token ? verifyVerificationToken(token) : null;
+      const account = decoded && await UserModel.findById(decoded.id);
+
+      // Links sent to an earlier address no longer verify the account
+      if (!account || decoded.email_hash !== hashToken(account.email.toLowerCase())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired verification token'
+        });
+      }
+
+      const user = await UserModel.markEmailVerified(account.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Email verified successfully',
+        data: {
+          user: formatUserResponse({ ...user, isVerified: true })
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Send a fresh verification email to the current user
+   */
+  async resendVerificationEmail(req, res, next) {
+    try {
+      const user = await UserModel.findById(req.user.id);
+      if (!user) throw new Error('User not found');
+
+      if (user.email_verified_at) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email is already verified'
+        });
+      }
+
+      await sendVerificationEmail(user);
+
+      res.json({
+        success: true,
+        message: 'Verification email sent'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Email a single-use password reset link
+   */
+  async forgotPassword(req, res, next) {
+    try {
+      const { error, value } = forgotPasswordSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          details: error.details
+        });
+      }
+
+      // Same response whether or not the account exists, to avoid leaking registered emails
+      const genericResponse = {
+        success: true,
+        message: 'If an account exists for this email, a password reset link has been sent.'
+      };
+
+      const user = await UserModel.findByEmail(value.email);
+      if (!user) {
+        return res.json(genericResponse);
+      }
+
+      // Only the most recently requested link stays valid
+      await ActionTokenModel.invalidateForUser(user.id, PASSWORD_RESET_PURPOSE);
+
+      const resetToken = generatePasswordResetToken(user.id);
+      const { exp } = verifyPasswordResetToken(resetToken);
+      await ActionTokenModel.create({
+        user_id: user.id,
+        purpose: PASSWORD_RESET_PURPOSE,
+        token: resetToken,
+        expires_at: new Date(exp * 1000)
+      });
+
+      const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+      await sendEmail({
+        to: user.email,
+        subject: 'Reset Your Password',
+        template: 'password-reset',
+        context: {
+          name: user.name,
+          resetLink: `${baseUrl}/reset-password?token=${resetToken}`
+        }
+      });
+
+      res.json(genericResponse);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Set a new password using a reset token and sign out other devices
+   */
+  async resetPassword(req, res, next) {
+    try {
+      const { error, value } = resetPasswordSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          details: error.details
+        });
+      }
+
+      const { token, newPassword } = value;
+      const decoded = verifyPasswordResetToken(token);
+      const storedToken = decoded && await ActionTokenModel.consume(token, PASSWORD_RESET_PURPOSE);
+
+      if (!storedToken || storedToken.user_id !== decoded.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired reset token'
+        });
+      }
+
+      await UserModel.updatePassword(storedToken.user_id, newPassword);
+      await ActionTokenModel.invalidateForUser(storedToken.user_id, PASSWORD_RESET_PURPOSE);
+      await UserModel.resetLoginFailures(storedToken.user_id);
+      // The link was emailed, so using it proves the address (this also covers invitations)
+      await UserModel.markEmailVerified(storedToken.user_id);
+
+      // Sign out every device in case the account was compromised
+      await revokeAllUserTokens(storedToken.user_id);
+
+      res.json({
+        success: true,
+        message: 'Password has been reset. Please log in with your new password.'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
   /**
    * Get current user profile
    */
@@ -273,7 +574,7 @@ const UserController = {
       const { error, value } = updateProfileSchema.validate(req.body);
       if (error) throw new Error(error.details[0].message);
       
-      const { name, email, avatar } = value;
+      const { name, email } = value;
       const userId = req.user.id;
 
       // Prevent role changes through this endpoint
@@ -281,12 +582,33 @@ const UserController = {
         throw new Error('Cannot change role through this endpoint');
       }
 
+      // Public profile fields are shown on instructor pages only
+      const profileFields = INSTRUCTOR_PROFILE_FIELDS.filter(field => value[field] !== undefined);
+      if (profileFields.length > 0 && req.user.role === 'student') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only instructors can edit instructor profile fields'
+        });
+      }
+      const profile = profileFields.reduce((obj, field) => {
+        obj[field] = value[field] === '' ? null : value[field];
+        return obj;
+      }, {});
+
+      // A new email address has to be verified again
+      const emailChanged = email && email !== req.user.email;
+
       const updatedUser = await UserModel.update(userId, { 
         name,
         email,
-        avatar
+        ...profile,
+        email_verified_at: emailChanged ? null : undefined
       });
 
+      if (emailChanged) {
+        await sendVerificationEmail(updatedUser);
+      }
+
       res.json({
         success: true,
         message: 'Profile updated successfully',
@@ -300,30 +622,40 @@ const UserController = {
   },
 
   /**
-   * Admin-only: Get all users
+   * Admin-only: Search, filter and sort users
    */
   async getUsers(req, res, next) {
     try {
-      if (req.user.role !== 'admin') {
+      if (!(await can(req.user, 'user:manage'))) {
         throw new Error('Unauthorized');
       }
       
-      const { page = 1, limit = 20 } = req.query;
+      const { error, value } = userDirectoryQuerySchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          details: error.details
+        });
+      }
+
+      const { page, limit, ...filters } = value;
       const offset = (page - 1) * limit;
       
       const { users, total } = await UserModel.findAllWithPagination({
-        limit: parseInt(limit),
-        offset: parseInt(offset)
+        ...filters,
+        limit,
+        offset
       });
       
       res.json({
         success: true,
         data: {
-          users: users.map(user => formatUserResponse(user)),
+          users: users.map(user => formatAdminUserResponse(user)),
           pagination: {
             total,
-            page: parseInt(page),
-            limit: parseInt(limit),
+            page,
+            limit,
             totalPages: Math.ceil(total / limit)
           }
         }
@@ -334,11 +666,95 @@ const UserController = {
   },
 
   /**
-   * Admin-only: Update user roles
+   * Suspend a user account (admin only). The user is signed out everywhere.
    */
+  async suspendUser(req, res, next) {
+    try {
+      const { error, value } = suspendUserSchema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          details: error.details
+        });
+      }
+
+      const { error: idError, value: id } = idParamSchema.validate(req.params.id);
+      if (idError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid user ID'
+        });
+      }
+
+      if (String(id) === String(req.user.id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot suspend your own account'
+        });
+      }
+
+      const user = await UserModel.suspend(id, {
+        reason: value.reason || null,
+        suspendedBy: req.user.id
+      });
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      await revokeAllUserTokens(user.id);
+
+      res.json({
+        success: true,
+        message: 'User suspended successfully',
+        data: {
+          user: formatAdminUserResponse(user)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Reactivate a suspended user account (admin only)
+   */
+  async reactivateUser(req, res, next) {
+    try {
+      const { error: idError, value: id } = idParamSchema.validate(req.params.id);
+      if (idError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid user ID'
+        });
+      }
+
+      const user = await UserModel.reactivate(id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'User reactivated successfully',
+        data: {
+          user: formatAdminUserResponse(user)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
   async updateUserRole(req, res, next) {
     try {
-      if (req.user.role !== 'admin') {
+      if (!(await can(req.user, 'user:manage'))) {
         throw new Error('Unauthorized');
       }
       
@@ -355,6 +771,9 @@ const UserController = {
       }
       
       const updatedUser = await UserModel.update(userId, { role });
+
+      // Force a new sign-in so tokens carry the new role
+      await revokeAllUserTokens(userId);
       
       res.json({
         success: true,
@@ -369,22 +788,55 @@ const UserController = {
   },
 
   /**
-   * Delete user's own account
+   * Schedule deletion of the user's own account. Personal data is anonymized
+   * after the grace period unless the user cancels.
    */
   async deleteAccount(req, res, next) {
     try {
-      const userId = req.user.id;
-      
-      // Soft delete the user account
-      const deletedUser = await UserModel.softDelete(userId);
-      
-      if (!deletedUser) {
-        throw new Error('Failed to delete account');
+      const blockingCourses = await countBlockingCourses(req.user);
+      if (blockingCourses > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Transfer ownership of your ${blockingCourses} active course(s) before deleting your account`
+        });
       }
-      
+
+      const scheduled = await scheduleAccountDeletion(req.user);
+      if (!scheduled) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Account scheduled for deletion. You can cancel it from your account settings until the deletion date.',
+        data: {
+          deletion_scheduled_for: scheduled.deletion_scheduled_for
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  /**
+   * Cancel a scheduled account deletion during the grace period
+   */
+  async cancelAccountDeletion(req, res, next) {
+    try {
+      const user = await UserModel.cancelDeletion(req.user.id);
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: 'Account is not scheduled for deletion'
+        });
+      }
+
       res.json({
         success: true,
-        message: 'Account deleted successfully'
+        message: 'Account deletion cancelled'
       });
     } catch (error) {
       next(error);
@@ -392,22 +844,39 @@ const UserController = {
   },
 
   /**
-   * Admin-only: Delete a user by ID
+   * Admin-only: Delete a user by ID. Personal data is anonymized right away.
    */
   async deleteUser(req, res, next) {
     try {
-      if (req.user.role !== 'admin') {
+      if (!(await can(req.user, 'user:manage'))) {
         throw new Error('Unauthorized');
       }
       
       const { id } = req.params;
       
       // Prevent admin from deleting their own account through this endpoint
-      if (id === req.user.id) {
+      if (String(id) === String(req.user.id)) {
         throw new Error('Cannot delete your own account through this endpoint');
       }
+
+      const user = await UserModel.findById(id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const blockingCourses = await countBlockingCourses(user);
+      if (blockingCourses > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Transfer ownership of this user's ${blockingCourses} active course(s) first`
+        });
+      }
       
-      const deletedUser = await UserModel.softDelete(id);
+      await revokeAllUserTokens(id);
+      const deletedUser = await UserModel.anonymize(id);
       
       if (!deletedUser) {
         throw new Error('User not found or could not be deleted');
@@ -421,32 +890,6 @@ const UserController = {
       next(error);
     }
   },
-
-  async findByGoogleId(googleId) {
-    const { rows } = await query(
-      `SELECT id, email, name, role, avatar, provider, google_id, created_at
-       FROM users WHERE google_id = $1 AND provider = 'google'`,
-      [googleId]
-    );
-    return rows[0] || null;
-  },
-
-  async createGoogleUser({ google_id, email, name, avatar, provider }) {
-    try {
-      const { rows } = await query(
-        `INSERT INTO users (google_id, email, name, avatar, provider, role)
-         VALUES ($1, $2, $3, $4, $5, 'student')
-         RETURNING id, email, name, role, avatar, provider, google_id, created_at`,
-        [google_id, email, name, avatar, provider]
-      );
-      return rows[0];
-    } catch (error) {
-      if (error.code === "23505") {
-        throw new Error("Email already exists");
-      }
-      throw error;
-    }
-  },
 };
 
 export default UserController;
@@ -0,0 +1,133 @@
+import UserModel from '../models/usermodel.js';
+import CourseModel from '../models/courseModel.js';
+import { createResponse } from '../utils/helper.js';
+import { parseCsv, toCsv } from '../utils/csv.js';
+import { userImportOptionsSchema, userDirectoryQuerySchema } from '../utils/validations.js';
+import {
+  USER_IMPORT_MAX_ROWS,
+  validateImportRows,
+  importUsers
+} from '../services/userImportService.js';
+
+const REQUIRED_IMPORT_HEADERS = ['name', 'email'];
+const EXPORT_COLUMNS = [
+  'id', 'name', 'email', 'role', 'is_active', 'isVerified', 'oauth_provider',
+  'last_login', 'suspended_at', 'created_at'
+];
+const EXPORT_PAGE_SIZE = 500;
+
+const userImportController = {
+  // Admin: import users from a CSV file (columns: name, email, role, optional password)
+  async importUsers(req, res) {
+    try {
+      if (!req.file) {
+        return res.status(400).json(createResponse(false, 'CSV file is required (field "file")', null));
+      }
+
+      const { error, value: options } = userImportOptionsSchema.validate({
+        dry_run: req.body.dry_run ?? req.query.dry_run,
+        send_invitations: req.body.send_invitations,
+        course_ids: req.body.course_ids
+      });
+      if (error) {
+        return res.status(400).json(createResponse(false, error.details[0].message, null));
+      }
+
+      const { headers, rows } = parseCsv(req.file.buffer.toString('utf8'));
+      const missingHeaders = REQUIRED_IMPORT_HEADERS.filter(header => !headers.includes(header));
+      if (missingHeaders.length > 0) {
+        return res.status(400).json(
+          createResponse(false, `CSV is missing required columns: ${missingHeaders.join(', ')}`, null)
+        );
+      }
+      if (rows.length === 0) {
+        return res.status(400).json(createResponse(false, 'CSV file has no rows', null));
+      }
+      if (rows.length > USER_IMPORT_MAX_ROWS) {
+        return res.status(400).json(
+          createResponse(false, `CSV file has more than ${USER_IMPORT_MAX_ROWS} rows`, null)
+        );
+      }
+
+      const courses = await Promise.all(options.course_ids.map(id => CourseModel.findById(id)));
+      const unknownCourseIds = options.course_ids.filter((id, index) => !courses[index]);
+      if (unknownCourseIds.length > 0) {
+        return res.status(400).json(
+          createResponse(false, `Courses not found: ${unknownCourseIds.join(', ')}`, null)
+        );
+      }
+
+      const { validRows, errors } = await validateImportRows(rows);
+      const report = {
+        dry_run: options.dry_run,
+        total_rows: rows.length,
+        valid_rows: validRows.length,
+        invalid_rows: errors.length,
+        errors
+      };
+
+      if (options.dry_run) {
+        return res.status(200).json(createResponse(true, 'Dry run completed. No users were created.', report));
+      }
+
+      // Nothing is created unless every row is valid
+      if (errors.length > 0) {
+        return res.status(422).json(
+          createResponse(false, 'Fix the invalid rows and upload the file again. No users were created.', report)
+        );
+      }
+
+      const results = await importUsers(validRows, {
+        courseIds: options.course_ids,
+        sendInvitations: options.send_invitations,
+        invitedBy: req.user
+      });
+      const created = results.filter(result => result.status === 'created').length;
+
+      return res.status(201).json(createResponse(true, `${created} users imported`, {
+        ...report,
+        created,
+        failed: results.length - created,
+        results
+      }));
+    } catch (error) {
+      console.error('Error importing users:', error);
+      return res.status(500).json(createResponse(false, 'Failed to import users', null));
+    }
+  },
+
+  // Admin: download the user directory as CSV (same filters as GET /api/users)
+  async exportUsers(req, res) {
+    try {
+      const { error, value } = userDirectoryQuerySchema.validate(req.query);
+      if (error) {
+        return res.status(400).json(createResponse(false, error.details[0].message, null));
+      }
+
+      const { page, limit, ...filters } = value;
+      const users = [];
+      let total = Infinity;
+
+      while (users.length < total) {
+        const result = await UserModel.findAllWithPagination({
+          ...filters,
+          limit: EXPORT_PAGE_SIZE,
+          offset: users.length
+        });
+        total = result.total;
+        if (result.users.length === 0) break;
+        users.push(...result.users);
+      }
+
+      const filename = `users-${new Date().toISOString().slice(0, 10)}.csv`;
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.status(200).send(toCsv(users, EXPORT_COLUMNS));
+    } catch (error) {
+      console.error('Error exporting users:', error);
+      return res.status(500).json(createResponse(false, 'Failed to export users', null));
+    }
+  }
+};
+
+export default userImportController;
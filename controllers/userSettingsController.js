@@ -0,0 +1,61 @@
+import UserSettingsModel from '../models/userSettingsModel.js';
+import { createResponse } from '../utils/helper.js';
+import { userSettingsSchema } from '../utils/validations.js';
+import { NOTIFICATION_TYPES, resolveNotificationPreferences } from '../config/notificationTypes.js';
+
+// Settings as the client sees them, with defaults filled in
+const formatSettings = (settings) => ({
+  notification_preferences: resolveNotificationPreferences(settings?.notification_preferences),
+  theme: settings?.theme || 'light',
+  language: settings?.language || 'en',
+  updated_at: settings?.updated_at || null
+});
+
+const userSettingsController = {
+  async getMySettings(req, res) {
+    try {
+      const settings = await UserSettingsModel.findByUser(req.user.id);
+      return res.status(200).json(createResponse(true, 'Settings retrieved successfully', {
+        ...formatSettings(settings),
+        notification_types: Object.entries(NOTIFICATION_TYPES).map(([type, definition]) => ({
+          type,
+          description: definition.description,
+          required: Boolean(definition.required)
+        }))
+      }));
+    } catch (error) {
+      console.error('Error getting settings:', error);
+      return res.status(500).json(createResponse(false, 'Failed to retrieve settings', null));
+    }
+  },
+
+  // Partial update; notification preferences are merged per type and channel
+  async updateMySettings(req, res) {
+    try {
+      const { error, value } = userSettingsSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json(createResponse(false, error.details[0].message, null));
+      }
+
+      const current = await UserSettingsModel.findByUser(req.user.id);
+      const storedPreferences = current?.notification_preferences || {};
+      const notificationPreferences = { ...storedPreferences };
+      for (const [type, channels] of Object.entries(value.notification_preferences || {})) {
+        notificationPreferences[type] = { ...storedPreferences[type], ...channels };
+      }
+
+      const settings = await UserSettingsModel.upsert(req.user.id, {
+        notification_preferences: notificationPreferences,
+        theme: value.theme,
+        language: value.language
+      });
+
+      return res.status(200).json(createResponse(true, 'Settings updated successfully', formatSettings(settings)));
+    } catch (error) {
+      console.error('Error updating settings:', error);
+      return res.status(500).json(createResponse(false, 'Failed to update settings', null));
+    }
+  }
+};
+
+export default userSettingsController;
@@ -0,0 +1,23 @@
+-- One-off upgrade for databases created before user_identities existed.
+-- Moves each user's single OAuth link (users.oauth_provider / users.oauth_id) into
+-- user_identities, then drops users.oauth_id. Run once, after creating the user_identities
+-- table from schema.sql:
+--
+--   psql "$DATABASE_URL" -f db/migrations/move-oauth-links-to-user-identities.sql
+--
+-- Does nothing on a database that never had users.oauth_id.
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'users' AND column_name = 'oauth_id'
+    ) THEN
+        INSERT INTO user_identities (user_id, provider, provider_user_id, email)
+        SELECT id, oauth_provider, oauth_id, email
+        FROM users
+        WHERE oauth_provider IS NOT NULL AND oauth_id IS NOT NULL
+        ON CONFLICT DO NOTHING;
+
+        ALTER TABLE users DROP COLUMN oauth_id;
+    END IF;
+END $$;
@@ -1,11 +1,29 @@
 -- Database schema for LMS (Learning Management System)
 
--- Categories table (referenced by courses)
+-- Categories table (referenced by courses). parent_id nests categories into a tree.
 CREATE TABLE categories (
     id SERIAL PRIMARY KEY,
-    name VARCHAR(100) NOT NULL UNIQUE
+    name VARCHAR(100) NOT NULL UNIQUE,
+    slug VARCHAR(120) NOT NULL UNIQUE,
+    description TEXT,
+    icon VARCHAR(100),
+    parent_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (parent_id IS NULL OR parent_id <> id)
 );
 
+CREATE INDEX idx_categories_parent ON categories(parent_id);
+
+-- Starting categories (the values courses accepted before categories were managed by admins)
+INSERT INTO categories (name, slug) VALUES
+    ('Programming', 'programming'),
+    ('Design', 'design'),
+    ('Business', 'business'),
+    ('Marketing', 'marketing'),
+    ('Data Science', 'data-science'),
+    ('Other', 'other');
+
 -- Users table
 CREATE TABLE users (
     id SERIAL PRIMARY KEY,
@@ -13,14 +31,186 @@ CREATE TABLE users (
     email VARCHAR(255) UNIQUE NOT NULL,
     password_hash VARCHAR(255),
     role VARCHAR(20) DEFAULT 'student' CHECK (role IN ('student', 'instructor', 'admin')),
-    oauth_provider VARCHAR(50),
-    oauth_id VARCHAR(100),
+    headline VARCHAR(150), -- public instructor profile
+    bio TEXT,
+    avatar_url VARCHAR(500),
+    website_url VARCHAR(500),
+    social_links JSONB, -- e.g. {"linkedin": "https://...", "github": "https://..."}
+    oauth_provider VARCHAR(50), -- provider the account was created with, if any
+    email_verified_at TIMESTAMP,
+    two_factor_secret VARCHAR(64), -- base32 TOTP secret, set during enrollment
+    two_factor_enabled_at TIMESTAMP,
+    two_factor_last_step BIGINT, -- last TOTP time step accepted; a code is never accepted twice
+    failed_login_count INTEGER DEFAULT 0,
+    last_failed_login_at TIMESTAMP,
+    locked_until TIMESTAMP,
     last_login TIMESTAMP,
+    password_changed_at TIMESTAMP,
     is_active BOOLEAN DEFAULT TRUE,
+    suspended_at TIMESTAMP,
+    suspended_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    suspension_reason TEXT,
+    deletion_requested_at TIMESTAMP,
+    deletion_scheduled_for TIMESTAMP, -- personal data is anonymized after this
+    anonymized_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Personal data exports requested by users; the archive is cleared once the link expires
+CREATE TABLE data_exports (
+    id UUID PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'ready', 'failed', 'expired')),
+    archive JSONB,
+    download_token_hash CHAR(64) UNIQUE,
+    error TEXT,
+    requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+    expires_at TIMESTAMP,
+    downloaded_at TIMESTAMP
+);
+
+CREATE INDEX idx_data_exports_user ON data_exports(user_id, requested_at);
+
+-- Personal access tokens for scripts and integrations (only the hash is stored)
+CREATE TABLE personal_access_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    token_prefix VARCHAR(16) NOT NULL, -- first characters, shown so users can tell tokens apart
+    scopes TEXT[] NOT NULL DEFAULT '{}',
+    expires_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    last_used_ip VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP
+);
+
+CREATE INDEX idx_personal_access_tokens_user ON personal_access_tokens(user_id);
+
+-- Admin "view as user" sessions; rows are kept as an audit trail
+CREATE TABLE impersonation_sessions (
+    id UUID PRIMARY KEY,
+    admin_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reason TEXT NOT NULL,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    ended_at TIMESTAMP
+);
+
+CREATE INDEX idx_impersonation_sessions_admin ON impersonation_sessions(admin_id);
+CREATE INDEX idx_impersonation_sessions_user ON impersonation_sessions(user_id);
+
+-- Every request made with an impersonation token
+CREATE TABLE impersonation_audit_log (
+    id SERIAL PRIMARY KEY,
+    impersonation_id UUID NOT NULL REFERENCES impersonation_sessions(id) ON DELETE CASCADE,
+    admin_id INTEGER,
+    user_id INTEGER,
+    method VARCHAR(10) NOT NULL,
+    path TEXT NOT NULL,
+    status_code INTEGER,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_impersonation_audit_session ON impersonation_audit_log(impersonation_id, created_at);
+
+-- External sign-in identities (Google, GitHub, OIDC, ...); a user can have several
+CREATE TABLE user_identities (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL,
+    provider_user_id VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP,
+    UNIQUE (provider, provider_user_id),
+    UNIQUE (user_id, provider)
+);
+
+CREATE INDEX idx_user_identities_user ON user_identities(user_id);
+
+-- Every login attempt, kept so admins can review attack patterns
+CREATE TABLE login_attempts (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255),
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    succeeded BOOLEAN NOT NULL,
+    failure_reason VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_login_attempts_email ON login_attempts(email, created_at);
+CREATE INDEX idx_login_attempts_ip ON login_attempts(ip_address, created_at);
+
+-- One-time backup codes for users with two-factor authentication
+CREATE TABLE two_factor_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash CHAR(64) NOT NULL, -- SHA-256 of the code
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_two_factor_recovery_codes_user ON two_factor_recovery_codes(user_id);
+
+-- Platform-wide settings managed by admins (e.g. two-factor policy)
+CREATE TABLE system_settings (
+    key VARCHAR(100) PRIMARY KEY,
+    value JSONB NOT NULL,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Single-use tokens for emailed account actions (password reset, etc.)
+CREATE TABLE user_action_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(50) NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE, -- SHA-256 of the token sent to the user
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_user_action_tokens_user_purpose ON user_action_tokens(user_id, purpose);
+
+-- Sign-ins (one per device/browser). Shown to users as their active sessions.
+CREATE TABLE user_sessions (
+    id UUID PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    user_agent TEXT,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP
+);
+
+CREATE INDEX idx_user_sessions_user ON user_sessions(user_id);
+
+-- Issued refresh tokens. Rotation keeps every token of a sign-in in the same family,
+-- and the family is the user session it belongs to.
+CREATE TABLE refresh_tokens (
+    id UUID PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    family_id UUID NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+    token_hash CHAR(64) NOT NULL UNIQUE, -- SHA-256 of the issued token
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    replaced_by UUID, -- set when the token was rotated
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_refresh_tokens_user ON refresh_tokens(user_id);
+CREATE INDEX idx_refresh_tokens_family ON refresh_tokens(family_id);
+
 CREATE TABLE courses (
     id SERIAL PRIMARY KEY,
     title VARCHAR(255) NOT NULL,
@@ -47,6 +237,86 @@ CREATE TABLE enrollments (
     UNIQUE(user_id, course_id)
 );
 
+CREATE INDEX idx_enrollments_course_enrolled ON enrollments(course_id, enrolled_at);
+
+-- Courses curated by admins for the featured list. A missing start or end means
+-- the course is featured from now on or until it is unfeatured.
+CREATE TABLE featured_courses (
+    id SERIAL PRIMARY KEY,
+    course_id INTEGER NOT NULL UNIQUE REFERENCES courses(id) ON DELETE CASCADE,
+    display_order INTEGER NOT NULL DEFAULT 0,
+    starts_at TIMESTAMP,
+    ends_at TIMESTAMP,
+    featured_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (starts_at IS NULL OR ends_at IS NULL OR ends_at > starts_at)
+);
+
+-- Course-scoped roles; the course owner stays in courses.instructor_id.
+-- Invited members get their role once they accept (status 'active').
+CREATE TABLE course_staff (
+    id SERIAL PRIMARY KEY,
+    course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(30) NOT NULL CHECK (role IN ('co_instructor', 'teaching_assistant')),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'active')),
+    invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    accepted_at TIMESTAMP,
+    UNIQUE(course_id, user_id)
+);
+
+CREATE INDEX idx_course_staff_user ON course_staff(user_id);
+
+-- Audit trail of changes to a course (ownership transfers, ...)
+CREATE TABLE course_history (
+    id SERIAL PRIMARY KEY,
+    course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    event_type VARCHAR(50) NOT NULL,
+    actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    details JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_course_history_course ON course_history(course_id, created_at);
+
+-- Owner-initiated ownership transfers, waiting for the new owner to accept
+CREATE TABLE course_transfer_requests (
+    id SERIAL PRIMARY KEY,
+    from_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    to_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    course_ids INTEGER[] NOT NULL,
+    message TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    responded_at TIMESTAMP
+);
+
+CREATE INDEX idx_course_transfer_requests_to ON course_transfer_requests(to_user_id, status);
+
+-- Course announcements. publish_at may be in the future; published_at is set once
+-- enrolled learners have been notified (and emailed when send_email is set).
+CREATE TABLE course_announcements (
+    id SERIAL PRIMARY KEY,
+    course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    title VARCHAR(255) NOT NULL,
+    content TEXT NOT NULL,
+    is_pinned BOOLEAN DEFAULT FALSE,
+    send_email BOOLEAN DEFAULT FALSE,
+    publish_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    published_at TIMESTAMP,
+    emailed_at TIMESTAMP, -- set when the scheduler picks up the email to learners
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_course_announcements_course ON course_announcements(course_id, publish_at);
+CREATE INDEX idx_course_announcements_due ON course_announcements(publish_at) WHERE published_at IS NULL;
+CREATE INDEX idx_course_announcements_email_due ON course_announcements(published_at)
+    WHERE send_email = TRUE AND emailed_at IS NULL AND published_at IS NOT NULL;
+
 -- Modules table
 CREATE TABLE modules (
     id SERIAL PRIMARY KEY,
@@ -193,12 +463,23 @@ CREATE TABLE course_reviews (
     id SERIAL PRIMARY KEY,
     course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
     user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
     review TEXT,
+    helpful_count INTEGER DEFAULT 0,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(course_id, user_id)
 );
 
+-- Learners who found a review helpful (one vote each)
+CREATE TABLE review_helpful (
+    id SERIAL PRIMARY KEY,
+    review_id INTEGER NOT NULL REFERENCES course_reviews(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(review_id, user_id)
+);
+
 -- Notifications table
 CREATE TABLE notifications (
     id SERIAL PRIMARY KEY,
@@ -215,9 +496,13 @@ CREATE TABLE notifications (
 CREATE TABLE tags (
     id SERIAL PRIMARY KEY,
     name VARCHAR(50) NOT NULL UNIQUE,
+    slug VARCHAR(60) NOT NULL UNIQUE, -- tags are matched by slug, so "React" and "react" are one tag
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Prefix autocomplete on tag names
+CREATE INDEX idx_tags_name_prefix ON tags (LOWER(name) text_pattern_ops);
+
 -- Course tags relationship table
 CREATE TABLE course_tags (
     course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
@@ -225,6 +510,8 @@ CREATE TABLE course_tags (
     PRIMARY KEY (course_id, tag_id)
 );
 
+CREATE INDEX idx_course_tags_tag ON course_tags(tag_id);
+
 -- User settings table
 CREATE TABLE user_settings (
     user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
@@ -234,12 +521,20 @@ CREATE TABLE user_settings (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Course analytics table
+-- Daily course analytics snapshots, written once a day has ended. Live figures
+-- are computed on request; these rows keep historical trends cheap to query.
 CREATE TABLE course_analytics (
     id SERIAL PRIMARY KEY,
     course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
-    views INTEGER DEFAULT 0,
-    enrollments INTEGER DEFAULT 0,
+    snapshot_date DATE NOT NULL,
+    enrollments INTEGER DEFAULT 0, -- total at the end of snapshot_date
+    new_enrollments INTEGER DEFAULT 0, -- enrolled on snapshot_date
+    active_learners INTEGER DEFAULT 0, -- active in the 7 days up to snapshot_date
+    completions INTEGER DEFAULT 0,
     completion_rate DECIMAL(5, 2) DEFAULT 0.00,
-    last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    quiz_pass_rate DECIMAL(5, 2),
+    assignment_submission_rate DECIMAL(5, 2),
+    avg_completion_days DECIMAL(8, 2),
+    last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(course_id, snapshot_date)
 );
\ No newline at end of file
@@ -1,13 +1,53 @@
 // server/middleware/auth.js
 import jwt from 'jsonwebtoken';
 import UserModel from "../models/usermodel.js";
+import SessionModel from "../models/sessionModel.js";
+import ImpersonationModel from "../models/impersonationModel.js";
+import PersonalAccessTokenModel from "../models/personalAccessTokenModel.js";
+import { auditImpersonatedRequest } from '../services/impersonationService.js';
+import { verifyChallengeToken } from '../services/twoFactorService.js';
+import {
+  isPersonalAccessToken,
+  findActivePersonalAccessToken
+} from '../services/personalAccessTokenService.js';
+import { requiredScopeFor } from '../config/tokenScopes.js';
 import { 
   AuthError,
   NotFoundError,
   ForbiddenError
 } from './errorHandler.js';
 
-// Main authentication middleware
+// Authenticate a personal access token; the endpoint must be covered by one of its scopes
+const authenticatePersonalAccessToken = async (req, token) => {
+  const accessToken = await findActivePersonalAccessToken(token);
+  if (!accessToken) {
+    throw new AuthError("Invalid or expired access token");
+  }
+
+  const requiredScope = requiredScopeFor(req.method, req.originalUrl.split('?')[0]);
+  if (!requiredScope) {
+    throw new ForbiddenError("Personal access tokens cannot be used for this endpoint");
+  }
+  if (!accessToken.scopes.includes(requiredScope)) {
+    throw new ForbiddenError(`Access token is missing the ${requiredScope} scope`);
+  }
+
+  const user = await UserModel.findById(accessToken.user_id);
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+  if (user.is_active === false) {
+    throw new ForbiddenError("Account suspended");
+  }
+
+  await PersonalAccessTokenModel.touch(accessToken.id, req.ip || null);
+
+  req.user = user;
+  req.sessionId = null;
+  req.personalAccessToken = { id: accessToken.id, scopes: accessToken.scopes };
+};
+
+// Main authentication middleware (JWT access tokens and personal access tokens)
 export const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers["authorization"];
@@ -22,14 +62,54 @@ export const authenticateToken = async (req, res, next) => {
       throw new AuthError("No token provided");
     }
 
+    if (isPersonalAccessToken(token)) {
+      await authenticatePersonalAccessToken(req, token);
+      return next();
+    }
+
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Purpose-bound tokens (2FA challenges, email links) are never access tokens
+    if (decoded.purpose) {
+      throw new AuthError("Invalid token");
+    }
+
     const user = await UserModel.findById(decoded.id);
     
     if (!user) {
       throw new NotFoundError("User not found");
     }
+
+    // Admins may look at a suspended account while impersonating it
+    if (user.is_active === false && !decoded.imp) {
+      throw new ForbiddenError("Account suspended");
+    }
+
+    // Access tokens of a revoked session stop working immediately
+    if (decoded.sid && !(await SessionModel.isActive(decoded.sid))) {
+      throw new AuthError("Session has been revoked");
+    }
     
     req.user = user;
+    req.sessionId = decoded.sid || null;
+
+    // Impersonation token: the admin (imp) must still be an admin and the session still open
+    if (decoded.imp) {
+      const impersonation = await ImpersonationModel.findActive(decoded.imp_sid);
+      if (!impersonation || impersonation.admin_id !== decoded.imp || impersonation.user_id !== user.id) {
+        throw new AuthError("Impersonation session has ended");
+      }
+
+      const admin = await UserModel.findById(decoded.imp);
+      if (!admin || admin.role !== 'admin' || admin.is_active === false) {
+        throw new AuthError("Impersonation session has ended");
+      }
+
+      req.impersonator = admin;
+      req.impersonationId = impersonation.id;
+      auditImpersonatedRequest(req, res);
+    }
+
     next();
   } catch (err) {
     
@@ -43,6 +123,32 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Authenticate with a two-factor challenge token from the login step (req.body.challengeToken)
+export const authenticateChallenge = (purpose) => {
+  return async (req, res, next) => {
+    try {
+      const userId = verifyChallengeToken(req.body?.challengeToken || '', purpose);
+      if (!userId) {
+        throw new AuthError("Invalid or expired challenge token");
+      }
+
+      const user = await UserModel.findById(userId);
+      if (!user) {
+        throw new NotFoundError("User not found");
+      }
+      if (user.is_active === false) {
+        throw new ForbiddenError("Account suspended");
+      }
+
+      req.user = user;
+      req.twoFactorChallenge = purpose;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+};
+
 // Role-based authorization
 export const authorizeRoles = (...roles) => {
   return (req, res, next) => {
@@ -56,13 +162,48 @@ export const authorizeRoles = (...roles) => {
   };
 };
 
+// Email verification gate for selected actions.
+// EMAIL_VERIFICATION_REQUIRED_FOR is a comma separated list, e.g. "enrollment,course_creation".
+export const requireVerifiedEmail = (action) => {
+  return (req, res, next) => {
+    const requiredFor = (process.env.EMAIL_VERIFICATION_REQUIRED_FOR || '')
+      .split(',')
+      .map(item => item.trim())
+      .filter(Boolean);
+
+    if (!requiredFor.includes(action) || req.user?.email_verified_at) {
+      return next();
+    }
+
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address before continuing.'
+    });
+  };
+};
+
+// Account-changing actions (password, deletion, 2FA, ...) are off limits while impersonating
+export const blockDuringImpersonation = (req, res, next) => {
+  if (!req.impersonator) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: 'This action is not available while impersonating a user.'
+  });
+};
+
 // Specific role middlewares
 export const authorizeAdmin = authorizeRoles('admin');
 export const authorizeInstructor = authorizeRoles('instructor', 'admin');
 
 export default {
   authenticateToken,
+  authenticateChallenge,
   authorizeRoles,
+  requireVerifiedEmail,
+  blockDuringImpersonation,
   authorizeAdmin,
   authorizeInstructor
 };
\ No newline at end of file
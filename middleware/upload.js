@@ -91,6 +91,23 @@ const upload = multer({
   },
 });
 
+// CSV files for admin imports are parsed in memory, never stored
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const isCsv = file.mimetype === 'text/csv'
+      || file.mimetype === 'application/vnd.ms-excel'
+      || path.extname(file.originalname).toLowerCase() === '.csv';
+    if (!isCsv) {
+      return cb(new Error('Only CSV files are allowed'), false);
+    }
+    cb(null, true);
+  },
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB
+  },
+});
+
 // Export both upload middleware and allowed file types for validation
 export default upload;
-export { allowedFileTypes };
+export { allowedFileTypes, csvUpload };
@@ -40,7 +40,7 @@ export const validateRequest = (schema, source = 'body') => {
 export const courseSchema = Joi.object({
   title: Joi.string().min(5).max(100).required(),
   description: Joi.string().min(20).max(1000).required(),
-  category: Joi.string().required().valid('frontend', 'backend', 'devops'), // Add allowed categories
+  category: Joi.string().required(), // Checked against the categories table by the controller
   level: Joi.string().valid('beginner', 'intermediate', 'advanced').required(),
 
   instructorId: Joi.number().required()  // Keep this as number
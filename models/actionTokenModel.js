@@ -0,0 +1,52 @@
+import { query } from "../config/db.js";
+import { hashToken } from "../utils/helper.js";
+
+// Single-use tokens that are emailed to users. Only the SHA-256 hash is stored.
+const ActionTokenModel = {
+  async create({ user_id, purpose, token, expires_at }) {
+    const { rows } = await query(
+      `INSERT INTO user_action_tokens (user_id, purpose, token_hash, expires_at)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, user_id, purpose, expires_at, created_at`,
+      [user_id, purpose, hashToken(token), expires_at]
+    );
+    return rows[0];
+  },
+
+  // Marks the token as used and returns it, or null if it is unknown, expired or already used
+  async consume(token, purpose) {
+    const { rows } = await query(
+      `UPDATE user_action_tokens
+       SET used_at = CURRENT_TIMESTAMP
+       WHERE token_hash = $1 AND purpose = $2
+         AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       RETURNING id, user_id, purpose, expires_at`,
+      [hashToken(token), purpose]
+    );
+    return rows[0] || null;
+  },
+
+  // Invalidate every outstanding token of a purpose for a user
+  async invalidateForUser(userId, purpose) {
+    const { rowCount } = await query(
+      `UPDATE user_action_tokens
+       SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+      [userId, purpose]
+    );
+    return rowCount;
+  },
+
+  // How many tokens of a purpose were issued to a user since a given time (used for rate limits)
+  async countCreatedSince(userId, purpose, since) {
+    const { rows } = await query(
+      `SELECT COUNT(*)::int AS count
+       FROM user_action_tokens
+       WHERE user_id = $1 AND purpose = $2 AND created_at > $3`,
+      [userId, purpose, since]
+    );
+    return rows[0].count;
+  }
+};
+
+export default ActionTokenModel;
@@ -0,0 +1,125 @@
+import { query } from "../config/db.js";
+
+const ANNOUNCEMENT_FIELDS = `a.id, a.course_id, a.author_id, u.name AS author_name, a.title, a.content,
+  a.is_pinned, a.send_email, a.publish_at, a.published_at, a.emailed_at, a.created_at, a.updated_at`;
+
+const AnnouncementModel = {
+  async create({ course_id, author_id, title, content, is_pinned = false, send_email = false, publish_at = null }) {
+    const { rows } = await query(
+      `INSERT INTO course_announcements (course_id, author_id, title, content, is_pinned, send_email, publish_at)
+       VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, CURRENT_TIMESTAMP))
+       RETURNING *`,
+      [course_id, author_id, title, content, is_pinned, send_email, publish_at]
+    );
+    return rows[0];
+  },
+
+  async findById(id) {
+    const { rows } = await query(
+      `SELECT ${ANNOUNCEMENT_FIELDS}
+       FROM course_announcements a
+       LEFT JOIN users u ON u.id = a.author_id
+       WHERE a.id = $1`,
+      [id]
+    );
+    return rows[0] || null;
+  },
+
+  // Pinned first, then newest. Learners only see announcements the scheduler has published.
+  async findByCourse(courseId, { includeScheduled = false, limit = 20, offset = 0 } = {}) {
+    const visibility = includeScheduled ? '' : 'AND a.published_at IS NOT NULL';
+    const { rows } = await query(
+      `SELECT ${ANNOUNCEMENT_FIELDS}
+       FROM course_announcements a
+       LEFT JOIN users u ON u.id = a.author_id
+       WHERE a.course_id = $1 ${visibility}
+       ORDER BY a.is_pinned DESC, a.publish_at DESC, a.id DESC
+       LIMIT $2 OFFSET $3`,
+      [courseId, limit, offset]
+    );
+    return rows;
+  },
+
+  async countByCourse(courseId, { includeScheduled = false } = {}) {
+    const visibility = includeScheduled ? '' : 'AND published_at IS NOT NULL';
+    const { rows } = await query(
+      `SELECT COUNT(*) FROM course_announcements WHERE course_id = $1 ${visibility}`,
+      [courseId]
+    );
+    return parseInt(rows[0].count);
+  },
+
+  async update(id, updates) {
+    const allowedFields = ['title', 'content', 'is_pinned', 'send_email', 'publish_at'];
+    const fields = Object.keys(updates).filter(key => allowedFields.includes(key) && updates[key] !== undefined);
+    if (fields.length === 0) return await this.findById(id);
+
+    const setClause = fields.map((field, index) => `${field} = $${index + 2}`).join(', ');
+    const { rows } = await query(
+      `UPDATE course_announcements
+       SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [id, ...fields.map(field => updates[field])]
+    );
+    return rows[0] || null;
+  },
+
+  async delete(id) {
+    const { rows } = await query(
+      `DELETE FROM course_announcements WHERE id = $1 RETURNING *`,
+      [id]
+    );
+    return rows[0] || null;
+  },
+
+  // Claim an announcement for publishing; returns null if it was already published or is not due
+  async markPublished(id) {
+    const { rows } = await query(
+      `UPDATE course_announcements
+       SET published_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND published_at IS NULL AND publish_at <= CURRENT_TIMESTAMP
+       RETURNING *`,
+      [id]
+    );
+    return rows[0] || null;
+  },
+
+  // Claim a published announcement's email for sending; returns null if it was already claimed
+  async markEmailed(id) {
+    const { rows } = await query(
+      `UPDATE course_announcements
+       SET emailed_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND send_email = TRUE AND emailed_at IS NULL AND published_at IS NOT NULL
+       RETURNING *`,
+      [id]
+    );
+    return rows[0] || null;
+  },
+
+  // Published announcements whose email to learners has not gone out yet
+  async findEmailDue(limit = 20) {
+    const { rows } = await query(
+      `SELECT id FROM course_announcements
+       WHERE send_email = TRUE AND emailed_at IS NULL AND published_at IS NOT NULL
+       ORDER BY published_at
+       LIMIT $1`,
+      [limit]
+    );
+    return rows.map(row => row.id);
+  },
+
+  // Scheduled announcements whose publish time has passed
+  async findDue(limit = 100) {
+    const { rows } = await query(
+      `SELECT id FROM course_announcements
+       WHERE published_at IS NULL AND publish_at <= CURRENT_TIMESTAMP
+       ORDER BY publish_at
+       LIMIT $1`,
+      [limit]
+    );
+    return rows.map(row => row.id);
+  }
+};
+
+export default AnnouncementModel;
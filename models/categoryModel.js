@@ -0,0 +1,130 @@
+import { query, pool } from "../config/db.js";
+
+const CATEGORY_FIELDS = 'id, name, slug, description, icon, parent_id, created_at, updated_at';
+
+// IDs of a category and everything nested under it ($1 is the category ID)
+const SUBTREE_IDS = `
+  WITH RECURSIVE subtree AS (
+    SELECT id FROM categories WHERE id = $1
+    UNION ALL
+    SELECT child.id FROM categories child JOIN subtree ON child.parent_id = subtree.id
+  )
+  SELECT id FROM subtree`;
+
+const CategoryModel = {
+  // Flat list with each category's own course count; publicOnly counts published, approved courses
+  async findAllWithCounts({ publicOnly = true } = {}) {
+    const courseFilter = publicOnly ? 'AND c.is_published = true AND c.is_approved = true' : '';
+    const { rows } = await query(
+      `SELECT cat.id, cat.name, cat.slug, cat.description, cat.icon, cat.parent_id,
+              COUNT(c.id)::int AS course_count
+       FROM categories cat
+       LEFT JOIN courses c ON c.category_id = cat.id ${courseFilter}
+       GROUP BY cat.id
+       ORDER BY cat.name`
+    );
+    return rows;
+  },
+
+  async findById(id) {
+    const { rows } = await query(
+      `SELECT ${CATEGORY_FIELDS} FROM categories WHERE id = $1`,
+      [id]
+    );
+    return rows[0] || null;
+  },
+
+  async findBySlug(slug) {
+    const { rows } = await query(
+      `SELECT ${CATEGORY_FIELDS} FROM categories WHERE slug = $1`,
+      [slug]
+    );
+    return rows[0] || null;
+  },
+
+  // Look a category up by ID, slug or name (course forms and filters accept any of them)
+  async resolve(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const text = String(value).trim();
+
+    const { rows } = await query(
+      `SELECT ${CATEGORY_FIELDS} FROM categories
+       WHERE ($1::int IS NOT NULL AND id = $1::int) OR slug = LOWER($2) OR LOWER(name) = LOWER($2)
+       ORDER BY (id = $1::int) DESC NULLS LAST
+       LIMIT 1`,
+      [/^\d+$/.test(text) ? parseInt(text) : null, text]
+    );
+    return rows[0] || null;
+  },
+
+  async findSubtreeIds(id) {
+    const { rows } = await query(SUBTREE_IDS, [id]);
+    return rows.map(row => row.id);
+  },
+
+  async create({ name, slug, description = null, icon = null, parent_id = null }) {
+    const { rows } = await query(
+      `INSERT INTO categories (name, slug, description, icon, parent_id)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${CATEGORY_FIELDS}`,
+      [name, slug, description, icon, parent_id]
+    );
+    return rows[0];
+  },
+
+  async update(id, updates) {
+    const allowedFields = ['name', 'slug', 'description', 'icon', 'parent_id'];
+    const fields = Object.keys(updates).filter(key => allowedFields.includes(key) && updates[key] !== undefined);
+    if (fields.length === 0) return await this.findById(id);
+
+    const setClause = fields.map((field, index) => `${field} = $${index + 2}`).join(', ');
+    const { rows } = await query(
+      `UPDATE categories
+       SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING ${CATEGORY_FIELDS}`,
+      [id, ...fields.map(field => updates[field])]
+    );
+    return rows[0] || null;
+  },
+
+  async countCourses(id) {
+    const { rows } = await query(
+      `SELECT COUNT(*) FROM courses WHERE category_id = $1`,
+      [id]
+    );
+    return parseInt(rows[0].count);
+  },
+
+  /**
+   * Move a category's courses and subcategories to another category, then delete it.
+   * targetId null moves subcategories to the top level (only allowed when there are no courses).
+   * @returns {Promise<{courses_moved: number, subcategories_moved: number}>}
+   */
+  async mergeInto(sourceId, targetId) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const courses = await client.query(
+        `UPDATE courses SET category_id = $2, updated_at = CURRENT_TIMESTAMP WHERE category_id = $1`,
+        [sourceId, targetId]
+      );
+      const subcategories = await client.query(
+        `UPDATE categories SET parent_id = $2, updated_at = CURRENT_TIMESTAMP WHERE parent_id = $1`,
+        [sourceId, targetId]
+      );
+      await client.query(`DELETE FROM categories WHERE id = $1`, [sourceId]);
+
+      await client.query('COMMIT');
+      return { courses_moved: courses.rowCount, subcategories_moved: subcategories.rowCount };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+};
+
+export default CategoryModel;
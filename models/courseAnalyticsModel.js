@@ -0,0 +1,225 @@
+import { query } from "../config/db.js";
+
+// Activity that counts a learner as active: lesson progress, quiz attempts and submissions
+const LEARNER_ACTIVITY = `
+  SELECT lp.user_id, GREATEST(lp.created_at, lp.updated_at, lp.completed_at) AS active_at
+  FROM lesson_progress lp
+  JOIN lessons l ON l.id = lp.lesson_id
+  JOIN modules m ON m.id = l.module_id
+  WHERE m.course_id = $1
+  UNION ALL
+  SELECT qa.user_id, qa.started_at
+  FROM quiz_attempts qa
+  JOIN quizzes q ON q.id = qa.quiz_id
+  JOIN lessons l ON l.id = q.lesson_id
+  JOIN modules m ON m.id = l.module_id
+  WHERE m.course_id = $1
+  UNION ALL
+  SELECT s.student_id, s.submitted_at
+  FROM assignment_submissions s
+  JOIN assignments a ON a.id = s.assignment_id
+  WHERE a.course_id = $1`;
+
+const CourseAnalyticsModel = {
+  // Enrollment and completion totals as they stood at asOf
+  async getSummary(courseId, asOf = new Date()) {
+    const { rows } = await query(
+      `SELECT
+         COUNT(*)::int AS enrollments,
+         COUNT(*) FILTER (WHERE e.completed_at <= $2)::int AS completions,
+         ROUND(AVG(EXTRACT(EPOCH FROM (e.completed_at - e.enrolled_at)) / 86400)
+           FILTER (WHERE e.completed_at <= $2)::numeric, 2)::float AS avg_completion_days
+       FROM enrollments e
+       WHERE e.course_id = $1 AND e.enrolled_at <= $2`,
+      [courseId, asOf]
+    );
+    return rows[0];
+  },
+
+  // Enrolled learners with any activity in (since, until]
+  async countActiveLearners(courseId, since, until = new Date()) {
+    const { rows } = await query(
+      `SELECT COUNT(DISTINCT activity.user_id)::int AS count
+       FROM (${LEARNER_ACTIVITY}) activity
+       JOIN enrollments e ON e.user_id = activity.user_id AND e.course_id = $1
+       WHERE activity.active_at > $2 AND activity.active_at <= $3`,
+      [courseId, since, until]
+    );
+    return rows[0].count;
+  },
+
+  // New enrollments per day or week, including empty periods
+  async getEnrollmentSeries(courseId, { interval = 'day', from, until = new Date() }) {
+    const { rows } = await query(
+      `SELECT to_char(bucket, 'YYYY-MM-DD') AS period_start, COUNT(e.id)::int AS enrollments
+       FROM generate_series(
+         date_trunc($2, $3::timestamp),
+         date_trunc($2, $4::timestamp),
+         ('1 ' || $2)::interval
+       ) AS bucket
+       LEFT JOIN enrollments e
+         ON e.course_id = $1
+        AND e.enrolled_at >= bucket
+        AND e.enrolled_at < bucket + ('1 ' || $2)::interval
+       GROUP BY bucket
+       ORDER BY bucket`,
+      [courseId, interval, from, until]
+    );
+    return rows;
+  },
+
+  // Published lessons in module order with how many enrolled learners started and completed each
+  async getLessonFunnel(courseId) {
+    const { rows } = await query(
+      `SELECT
+         ROW_NUMBER() OVER (ORDER BY m.order_index, l.order_index, l.id)::int AS step,
+         l.id AS lesson_id, l.title AS lesson_title,
+         m.id AS module_id, m.title AS module_title,
+         COUNT(DISTINCT lp.user_id)::int AS started,
+         COUNT(DISTINCT lp.user_id) FILTER (WHERE lp.completed_at IS NOT NULL)::int AS completed
+       FROM modules m
+       JOIN lessons l ON l.module_id = m.id
+       LEFT JOIN lesson_progress lp
+         ON lp.lesson_id = l.id
+        AND EXISTS (SELECT 1 FROM enrollments e WHERE e.course_id = m.course_id AND e.user_id = lp.user_id)
+       WHERE m.course_id = $1 AND m.is_published = true AND l.is_published = true
+       GROUP BY m.id, l.id
+       ORDER BY step`,
+      [courseId]
+    );
+    return rows;
+  },
+
+  // Per-quiz attempts and the share of learners who passed
+  async getQuizPassRates(courseId) {
+    const { rows } = await query(
+      `SELECT q.id AS quiz_id, q.title, l.title AS lesson_title, q.passing_score,
+              COUNT(qa.id)::int AS attempts,
+              COUNT(DISTINCT qa.user_id)::int AS learners_attempted,
+              COUNT(DISTINCT qa.user_id) FILTER (WHERE qa.passed = true)::int AS learners_passed,
+              ROUND(AVG(qa.score)::numeric, 2)::float AS average_score
+       FROM quizzes q
+       JOIN lessons l ON l.id = q.lesson_id
+       JOIN modules m ON m.id = l.module_id
+       LEFT JOIN quiz_attempts qa
+         ON qa.quiz_id = q.id
+        AND qa.completed_at IS NOT NULL
+        AND EXISTS (SELECT 1 FROM enrollments e WHERE e.course_id = m.course_id AND e.user_id = qa.user_id)
+       WHERE m.course_id = $1
+       GROUP BY q.id, l.id, m.id
+       ORDER BY m.order_index, l.order_index, q.id`,
+      [courseId]
+    );
+    return rows;
+  },
+
+  // Per-assignment submissions from enrolled learners
+  async getAssignmentSubmissionRates(courseId) {
+    const { rows } = await query(
+      `SELECT a.id AS assignment_id, a.title, a.due_date,
+              COUNT(s.id)::int AS submissions,
+              COUNT(s.id) FILTER (WHERE s.is_late = true)::int AS late_submissions,
+              COUNT(s.id) FILTER (WHERE s.graded_at IS NOT NULL)::int AS graded
+       FROM assignments a
+       LEFT JOIN assignment_submissions s
+         ON s.assignment_id = a.id
+        AND EXISTS (SELECT 1 FROM enrollments e WHERE e.course_id = a.course_id AND e.user_id = s.student_id)
+       WHERE a.course_id = $1 AND a.is_published = true
+       GROUP BY a.id
+       ORDER BY a.due_date NULLS LAST, a.id`,
+      [courseId]
+    );
+    return rows;
+  },
+
+  // Course-wide quiz and assignment figures as they stood at asOf (for snapshots)
+  async getLearningTotals(courseId, asOf = new Date()) {
+    const { rows } = await query(
+      `WITH enrolled AS (
+         SELECT user_id FROM enrollments WHERE course_id = $1 AND enrolled_at <= $2
+       ),
+       quiz_results AS (
+         SELECT qa.quiz_id, qa.user_id, BOOL_OR(qa.passed) AS passed
+         FROM quiz_attempts qa
+         JOIN quizzes q ON q.id = qa.quiz_id
+         JOIN lessons l ON l.id = q.lesson_id
+         JOIN modules m ON m.id = l.module_id
+         WHERE m.course_id = $1 AND qa.completed_at <= $2
+           AND qa.user_id IN (SELECT user_id FROM enrolled)
+         GROUP BY qa.quiz_id, qa.user_id
+       )
+       SELECT
+         (SELECT COUNT(*) FROM quiz_results)::int AS quiz_learners,
+         (SELECT COUNT(*) FROM quiz_results WHERE passed)::int AS quiz_learners_passed,
+         (SELECT COUNT(*) FROM assignments
+          WHERE course_id = $1 AND is_published = true AND created_at <= $2)::int AS assignments,
+         (SELECT COUNT(*) FROM assignment_submissions s
+          JOIN assignments a ON a.id = s.assignment_id
+          WHERE a.course_id = $1 AND a.is_published = true AND s.submitted_at <= $2
+            AND s.student_id IN (SELECT user_id FROM enrolled))::int AS submissions`,
+      [courseId, asOf]
+    );
+    return rows[0];
+  },
+
+  // SNAPSHOTS
+  async upsertSnapshot({
+    course_id, snapshot_date, enrollments, new_enrollments, active_learners, completions,
+    completion_rate, quiz_pass_rate, assignment_submission_rate, avg_completion_days
+  }) {
+    const { rows } = await query(
+      `INSERT INTO course_analytics
+         (course_id, snapshot_date, enrollments, new_enrollments, active_learners, completions,
+          completion_rate, quiz_pass_rate, assignment_submission_rate, avg_completion_days)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (course_id, snapshot_date) DO UPDATE SET
+         enrollments = EXCLUDED.enrollments,
+         new_enrollments = EXCLUDED.new_enrollments,
+         active_learners = EXCLUDED.active_learners,
+         completions = EXCLUDED.completions,
+         completion_rate = EXCLUDED.completion_rate,
+         quiz_pass_rate = EXCLUDED.quiz_pass_rate,
+         assignment_submission_rate = EXCLUDED.assignment_submission_rate,
+         avg_completion_days = EXCLUDED.avg_completion_days,
+         last_updated = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [
+        course_id, snapshot_date, enrollments, new_enrollments, active_learners, completions,
+        completion_rate, quiz_pass_rate, assignment_submission_rate, avg_completion_days
+      ]
+    );
+    return rows[0];
+  },
+
+  async findSnapshots(courseId, { from, until }) {
+    const { rows } = await query(
+      `SELECT to_char(snapshot_date, 'YYYY-MM-DD') AS date, enrollments, new_enrollments, active_learners,
+              completions, completion_rate::float, quiz_pass_rate::float,
+              assignment_submission_rate::float, avg_completion_days::float
+       FROM course_analytics
+       WHERE course_id = $1 AND snapshot_date >= $2::date AND snapshot_date <= $3::date
+       ORDER BY snapshot_date`,
+      [courseId, from, until]
+    );
+    return rows;
+  },
+
+  // Courses worth tracking (published or with learners) that have no snapshot for a date yet
+  async findCoursesMissingSnapshot(snapshotDate, limit = 500) {
+    const { rows } = await query(
+      `SELECT c.id
+       FROM courses c
+       WHERE (c.is_published = true OR EXISTS (SELECT 1 FROM enrollments e WHERE e.course_id = c.id))
+         AND NOT EXISTS (
+           SELECT 1 FROM course_analytics ca
+           WHERE ca.course_id = c.id AND ca.snapshot_date = $1::date
+         )
+       ORDER BY c.id
+       LIMIT $2`,
+      [snapshotDate, limit]
+    );
+    return rows.map(row => row.id);
+  }
+};
+
+export default CourseAnalyticsModel;
@@ -0,0 +1,28 @@
+import { query } from "../config/db.js";
+
+const CourseHistoryModel = {
+  async create({ course_id, event_type, actor_id = null, details = null }, client = null) {
+    const { rows } = await (client || { query }).query(
+      `INSERT INTO course_history (course_id, event_type, actor_id, details)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [course_id, event_type, actor_id, details ? JSON.stringify(details) : null]
+    );
+    return rows[0];
+  },
+
+  async findByCourse(courseId, { limit = 50, offset = 0 } = {}) {
+    const { rows } = await query(
+      `SELECT h.id, h.event_type, h.actor_id, u.name AS actor_name, h.details, h.created_at
+       FROM course_history h
+       LEFT JOIN users u ON u.id = h.actor_id
+       WHERE h.course_id = $1
+       ORDER BY h.created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [courseId, limit, offset]
+    );
+    return rows;
+  }
+};
+
+export default CourseHistoryModel;
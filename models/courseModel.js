@@ -1,14 +1,36 @@
 import { query } from "../config/db.js";
+import TagModel from "./tagModel.js";
 
 // Define allowed levels
 const ALLOWED_LEVELS = ['beginner', 'intermediate', 'advanced', 'all'];
 
-// Define allowed categories
-const ALLOWED_CATEGORIES = ['programming', 'design', 'business', 'marketing', 'data-science', 'other'];
+// Tags of a course as [{ id, name, slug }]
+const COURSE_TAGS_COLUMN = `(
+  SELECT COALESCE(json_agg(json_build_object('id', t.id, 'name', t.name, 'slug', t.slug) ORDER BY t.name), '[]'::json)
+  FROM course_tags ct JOIN tags t ON t.id = ct.tag_id
+  WHERE ct.course_id = c.id
+) AS tags`;
+
+// Courses tagged with any (or, with match 'all', every one) of the tag slugs in the given parameter
+const tagsCondition = (param, match = 'any') => match === 'all'
+  ? `(SELECT COUNT(DISTINCT t.slug) FROM course_tags ct JOIN tags t ON t.id = ct.tag_id
+      WHERE ct.course_id = c.id AND t.slug = ANY(${param}::text[])) = CARDINALITY(${param}::text[])`
+  : `EXISTS (SELECT 1 FROM course_tags ct JOIN tags t ON t.id = ct.tag_id
+      WHERE ct.course_id = c.id AND t.slug = ANY(${param}::text[]))`;
+
+// Courses in a category or any of its subcategories (the category ID is the given parameter)
+const categorySubtreeCondition = (param) => `c.category_id IN (
+  WITH RECURSIVE subtree AS (
+    SELECT id FROM categories WHERE id = ${param}
+    UNION ALL
+    SELECT child.id FROM categories child JOIN subtree ON child.parent_id = subtree.id
+  )
+  SELECT id FROM subtree
+)`;
 
 const CourseModel = {
   // CREATE
-  async create({ title, description, short_description, category, level, instructor_id, duration, language, requirements, learning_outcomes, tags, status }) {
+  async create({ title, description, short_description, category_id = null, level, instructor_id, duration, language, requirements, learning_outcomes, tags, status }) {
     try {
       // Validate required fields
       if (!title || !instructor_id || !level) {
@@ -31,18 +53,6 @@ const CourseModel = {
         throw new Error(`Invalid level. Allowed values: ${ALLOWED_LEVELS.join(', ')}`);
       }
 
-      // Map category name to category_id if needed
-      let category_id = null;
-      if (category) {
-        const categoryResult = await query(
-          `SELECT id FROM categories WHERE LOWER(name) = LOWER($1)`,
-          [category]
-        );
-        if (categoryResult.rowCount > 0) {
-          category_id = categoryResult.rows[0].id;
-        }
-      }
-
       // Set course status - new courses are always pending approval
       const courseStatus = 'pending';
       const is_approved = false;
@@ -69,26 +79,8 @@ const CourseModel = {
       const courseId = rows[0].id;
 
       // Handle tags if provided
-      if (tags && Array.isArray(tags) && tags.length > 0) {
-        for (const tagName of tags) {
-          if (tagName && tagName.trim()) {
-            // Insert or get tag
-            const tagResult = await query(
-              `INSERT INTO tags (name) VALUES ($1) 
-               ON CONFLICT (name) DO UPDATE SET name = EXCLUDED.name 
-               RETURNING id`,
-              [tagName.trim()]
-            );
-            const tagId = tagResult.rows[0].id;
-            
-            // Link tag to course
-            await query(
-              `INSERT INTO course_tags (course_id, tag_id) VALUES ($1, $2) 
-               ON CONFLICT DO NOTHING`,
-              [courseId, tagId]
-            );
-          }
-        }
+      if (Array.isArray(tags) && tags.length > 0) {
+        await TagModel.setCourseTags(courseId, tags);
       }
 
       return rows[0];
@@ -116,19 +108,29 @@ const CourseModel = {
     status,
     level,
     search,
+    tags,
+    tagMatch = 'any',
     limit = 20,
     offset = 0,
     sortBy = 'created_at',
     sortOrder = 'DESC'
   } = {}) {
     try {
+      // Validate sort parameters to prevent SQL injection
+      const validSortColumns = ['created_at', 'updated_at', 'title', 'level'];
+      const validSortOrders = ['ASC', 'DESC'];
+
+      if (!validSortColumns.includes(sortBy)) sortBy = 'created_at';
+      sortOrder = String(sortOrder).toUpperCase();
+      if (!validSortOrders.includes(sortOrder)) sortOrder = 'DESC';
+
       let conditions = [];
       let values = [];
       let paramIndex = 1;
 
       // Build conditions dynamically
       if (category_id) {
-        conditions.push(`c.category_id = $${paramIndex}`);
+        conditions.push(categorySubtreeCondition(`$${paramIndex}`));
         values.push(category_id);
         paramIndex++;
       }
@@ -163,6 +165,12 @@ const CourseModel = {
         paramIndex++;
       }
 
+      if (Array.isArray(tags) && tags.length > 0) {
+        conditions.push(tagsCondition(`$${paramIndex}`, tagMatch));
+        values.push(tags);
+        paramIndex++;
+      }
+
 
 
       let whereClause = conditions.length > 0 
@@ -186,7 +194,8 @@ const CourseModel = {
         `SELECT 
            c.*, 
            u.name as instructor_name,
-           cat.name as category_name
+           cat.name as category_name,
+           ${COURSE_TAGS_COLUMN}
          FROM courses c
          JOIN users u ON c.instructor_id = u.id
          LEFT JOIN categories cat ON c.category_id = cat.id
@@ -207,7 +216,7 @@ const CourseModel = {
   async findById(id) {
     try {
       const { rows } = await query(
-        `SELECT c.*, u.name as instructor_name, cat.name as category_name
+        `SELECT c.*, u.name as instructor_name, cat.name as category_name, ${COURSE_TAGS_COLUMN}
          FROM courses c
          JOIN users u ON c.instructor_id = u.id
          LEFT JOIN categories cat ON c.category_id = cat.id
@@ -226,13 +235,15 @@ const CourseModel = {
     try {
       const { rows } = await query(
         `SELECT c.*, u.name as instructor_name, cat.name as category_name,
-                COUNT(e.id) as enrollment_count
+                COUNT(e.id) as enrollment_count,
+                CASE WHEN c.instructor_id = $1 THEN 'owner' ELSE cs.role END as staff_role
          FROM courses c
          JOIN users u ON c.instructor_id = u.id
          LEFT JOIN categories cat ON c.category_id = cat.id
          LEFT JOIN enrollments e ON c.id = e.course_id
-         WHERE c.instructor_id = $1
-         GROUP BY c.id, u.name, cat.name
+         LEFT JOIN course_staff cs ON cs.course_id = c.id AND cs.user_id = $1 AND cs.status = 'active'
+         WHERE c.instructor_id = $1 OR cs.id IS NOT NULL
+         GROUP BY c.id, u.name, cat.name, cs.role
          ORDER BY c.created_at DESC`,
         [instructorId]
       );
@@ -243,10 +254,56 @@ const CourseModel = {
     }
   },
 
+  // Published, approved courses of an instructor for their public profile
+  async findPublicByInstructor(instructorId) {
+    const { rows } = await query(
+      `SELECT c.id, c.title, c.description, c.level, c.created_at, cat.name as category_name,
+              (SELECT COUNT(*) FROM enrollments e WHERE e.course_id = c.id)::int as enrollment_count,
+              ROUND(AVG(r.rating), 2)::float as average_rating,
+              COUNT(r.id)::int as review_count
+       FROM courses c
+       LEFT JOIN categories cat ON c.category_id = cat.id
+       LEFT JOIN course_reviews r ON r.course_id = c.id
+       WHERE c.instructor_id = $1 AND c.is_published = true AND c.is_approved = true
+       GROUP BY c.id, cat.name
+       ORDER BY c.created_at DESC`,
+      [instructorId]
+    );
+    return rows;
+  },
+
+  // Totals across an instructor's published, approved courses
+  async getInstructorStats(instructorId) {
+    const { rows } = await query(
+      `SELECT
+         (SELECT COUNT(DISTINCT e.user_id) FROM enrollments e
+          JOIN courses c ON c.id = e.course_id
+          WHERE c.instructor_id = $1 AND c.is_published = true AND c.is_approved = true)::int as total_students,
+         ROUND(AVG(r.rating), 2)::float as average_rating,
+         COUNT(r.id)::int as review_count
+       FROM course_reviews r
+       JOIN courses c ON c.id = r.course_id
+       WHERE c.instructor_id = $1 AND c.is_published = true AND c.is_approved = true`,
+      [instructorId]
+    );
+    return rows[0];
+  },
+
   // COUNT
+  // Courses an instructor still runs: published, or with students enrolled
+  async countActiveByInstructor(instructorId) {
+    const { rows } = await query(
+      `SELECT COUNT(*) FROM courses c
+       WHERE c.instructor_id = $1
+         AND (c.is_published = true OR EXISTS (SELECT 1 FROM enrollments e WHERE e.course_id = c.id))`,
+      [instructorId]
+    );
+    return parseInt(rows[0].count);
+  },
+
   async count(filters = {}, search = '') {
     try {
-      const { category_id, instructor_id, status, is_approved, level } = filters;
+      const { category_id, instructor_id, status, is_published, is_approved, level, tags, tagMatch } = filters;
       
       let conditions = [];
       let values = [];
@@ -254,7 +311,7 @@ const CourseModel = {
 
       // Apply filters
       if (category_id) {
-        conditions.push(`c.category_id = $${paramIndex}`);
+        conditions.push(categorySubtreeCondition(`$${paramIndex}`));
         values.push(category_id);
         paramIndex++;
       }
@@ -271,6 +328,12 @@ const CourseModel = {
         paramIndex++;
       }
 
+      if (is_published !== undefined) {
+        conditions.push(`c.is_published = $${paramIndex}`);
+        values.push(is_published);
+        paramIndex++;
+      }
+
       if (is_approved !== undefined) {
         conditions.push(`c.is_approved = $${paramIndex}`);
         values.push(is_approved);
@@ -283,6 +346,12 @@ const CourseModel = {
         paramIndex++;
       }
 
+      if (Array.isArray(tags) && tags.length > 0) {
+        conditions.push(tagsCondition(`$${paramIndex}`, tagMatch));
+        values.push(tags);
+        paramIndex++;
+      }
+
 
 
       let whereClause = conditions.length > 0 
@@ -322,11 +391,6 @@ const CourseModel = {
         throw new Error("Course not found");
       }
 
-      // Validate category if provided
-      if (updates.category && !ALLOWED_CATEGORIES.includes(updates.category)) {
-        throw new Error(`Invalid category. Allowed values: ${ALLOWED_CATEGORIES.join(', ')}`);
-      }
-
       // Build dynamic update query
       const fields = Object.entries(updates)
         .filter(([_, value]) => value !== undefined);
@@ -361,5 +425,4 @@ const CourseModel = {
   // ... no other changes needed to other methods
 };
 
-export default CourseModel;
-export { ALLOWED_CATEGORIES };
\ No newline at end of file
+export default CourseModel;
\ No newline at end of file
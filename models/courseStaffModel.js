@@ -0,0 +1,78 @@
+import { query } from "../config/db.js";
+
+const CourseStaffModel = {
+  // Role of an active (accepted) staff member
+  async findRole(courseId, userId) {
+    const { rows } = await query(
+      `SELECT role FROM course_staff WHERE course_id = $1 AND user_id = $2 AND status = 'active'`,
+      [courseId, userId]
+    );
+    return rows[0]?.role || null;
+  },
+
+  async findMember(courseId, userId) {
+    const { rows } = await query(
+      `SELECT * FROM course_staff WHERE course_id = $1 AND user_id = $2`,
+      [courseId, userId]
+    );
+    return rows[0] || null;
+  },
+
+  async findByCourse(courseId) {
+    const { rows } = await query(
+      `SELECT cs.user_id, u.name, u.email, cs.role, cs.status, cs.invited_by, cs.created_at, cs.accepted_at
+       FROM course_staff cs
+       JOIN users u ON u.id = cs.user_id
+       WHERE cs.course_id = $1
+       ORDER BY cs.status, cs.created_at`,
+      [courseId]
+    );
+    return rows;
+  },
+
+  async findPendingByUser(userId) {
+    const { rows } = await query(
+      `SELECT cs.course_id, c.title AS course_title, cs.role, cs.invited_by, inviter.name AS invited_by_name,
+              cs.created_at
+       FROM course_staff cs
+       JOIN courses c ON c.id = cs.course_id
+       LEFT JOIN users inviter ON inviter.id = cs.invited_by
+       WHERE cs.user_id = $1 AND cs.status = 'pending'
+       ORDER BY cs.created_at DESC`,
+      [userId]
+    );
+    return rows;
+  },
+
+  // Invite a user, or change the role of an existing member (who keeps their status)
+  async invite({ course_id, user_id, role, invited_by }) {
+    const { rows } = await query(
+      `INSERT INTO course_staff (course_id, user_id, role, invited_by)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (course_id, user_id) DO UPDATE SET role = EXCLUDED.role
+       RETURNING user_id, role, status, invited_by, created_at, accepted_at`,
+      [course_id, user_id, role, invited_by]
+    );
+    return rows[0];
+  },
+
+  async accept(courseId, userId) {
+    const { rows } = await query(
+      `UPDATE course_staff SET status = 'active', accepted_at = CURRENT_TIMESTAMP
+       WHERE course_id = $1 AND user_id = $2 AND status = 'pending'
+       RETURNING user_id, role, status, accepted_at`,
+      [courseId, userId]
+    );
+    return rows[0] || null;
+  },
+
+  async remove(courseId, userId) {
+    const { rows } = await query(
+      `DELETE FROM course_staff WHERE course_id = $1 AND user_id = $2 RETURNING user_id, role, status`,
+      [courseId, userId]
+    );
+    return rows[0] || null;
+  }
+};
+
+export default CourseStaffModel;
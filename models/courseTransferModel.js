@@ -0,0 +1,123 @@
+import { pool, query } from "../config/db.js";
+import CourseHistoryModel from "./courseHistoryModel.js";
+
+const CourseTransferModel = {
+  /**
+   * Move courses from one owner to another and record it in course history.
+   * Only courses still owned by fromUserId are moved. With a requestId the request is
+   * marked accepted in the same transaction.
+   * @returns {Promise<Object[]|null>} Transferred courses ({ id, title }), or null if the
+   *   request was no longer pending
+   */
+  async transferOwnership({ courseIds, fromUserId, toUserId, actorId, requestId = null }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      if (requestId) {
+        const { rowCount } = await client.query(
+          `UPDATE course_transfer_requests SET status = 'accepted', responded_at = CURRENT_TIMESTAMP
+           WHERE id = $1 AND status = 'pending'`,
+          [requestId]
+        );
+        if (rowCount === 0) {
+          await client.query('ROLLBACK');
+          return null;
+        }
+      }
+
+      const { rows: courses } = await client.query(
+        `UPDATE courses SET instructor_id = $3, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ANY($1::int[]) AND instructor_id = $2
+         RETURNING id, title`,
+        [courseIds, fromUserId, toUserId]
+      );
+
+      if (courses.length > 0) {
+        const transferredIds = courses.map(course => course.id);
+
+        // The new owner no longer needs a staff role on these courses
+        await client.query(
+          `DELETE FROM course_staff WHERE course_id = ANY($1::int[]) AND user_id = $2`,
+          [transferredIds, toUserId]
+        );
+
+        for (const course of courses) {
+          await CourseHistoryModel.create({
+            course_id: course.id,
+            event_type: 'ownership_transferred',
+            actor_id: actorId,
+            details: { from_user_id: fromUserId, to_user_id: toUserId, request_id: requestId }
+          }, client);
+        }
+      }
+
+      await client.query('COMMIT');
+      return courses;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  async createRequest({ from_user_id, to_user_id, course_ids, message = null }) {
+    const { rows } = await query(
+      `INSERT INTO course_transfer_requests (from_user_id, to_user_id, course_ids, message)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [from_user_id, to_user_id, course_ids, message]
+    );
+    return rows[0];
+  },
+
+  async findRequestById(id) {
+    const { rows } = await query(
+      `SELECT * FROM course_transfer_requests WHERE id = $1`,
+      [id]
+    );
+    return rows[0] || null;
+  },
+
+  // Pending requests sent or received by a user
+  async findPendingByUser(userId) {
+    const { rows } = await query(
+      `SELECT r.id, r.from_user_id, f.name AS from_user_name, r.to_user_id, t.name AS to_user_name,
+              r.course_ids, r.message, r.status, r.created_at,
+              (SELECT json_agg(json_build_object('id', c.id, 'title', c.title))
+               FROM courses c WHERE c.id = ANY(r.course_ids)) AS courses
+       FROM course_transfer_requests r
+       JOIN users f ON f.id = r.from_user_id
+       JOIN users t ON t.id = r.to_user_id
+       WHERE r.status = 'pending' AND (r.from_user_id = $1 OR r.to_user_id = $1)
+       ORDER BY r.created_at DESC`,
+      [userId]
+    );
+    return rows;
+  },
+
+  // Courses already waiting in another pending request
+  async findPendingCourseIds(courseIds) {
+    const { rows } = await query(
+      `SELECT DISTINCT unnest(course_ids) AS course_id
+       FROM course_transfer_requests
+       WHERE status = 'pending' AND course_ids && $1::int[]`,
+      [courseIds]
+    );
+    return rows.map(row => row.course_id).filter(id => courseIds.includes(id));
+  },
+
+  // Settle a pending request; returns null if it was no longer pending
+  async respond(id, status) {
+    const { rows } = await query(
+      `UPDATE course_transfer_requests SET status = $2, responded_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'pending'
+       RETURNING *`,
+      [id, status]
+    );
+    return rows[0] || null;
+  }
+};
+
+export default CourseTransferModel;
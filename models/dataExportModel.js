@@ -0,0 +1,134 @@
+import { query } from "../config/db.js";
+
+const DataExportModel = {
+  async create({ id, user_id }) {
+    const { rows } = await query(
+      `INSERT INTO data_exports (id, user_id) VALUES ($1, $2)
+       RETURNING id, status, requested_at`,
+      [id, user_id]
+    );
+    return rows[0];
+  },
+
+  // Exports still being built for a user
+  async findInProgressByUser(userId) {
+    const { rows } = await query(
+      `SELECT id, status, requested_at FROM data_exports
+       WHERE user_id = $1 AND status IN ('pending', 'processing')
+       ORDER BY requested_at DESC LIMIT 1`,
+      [userId]
+    );
+    return rows[0] || null;
+  },
+
+  async findByUser(userId) {
+    const { rows } = await query(
+      `SELECT id, status, error, requested_at, completed_at, expires_at, downloaded_at
+       FROM data_exports
+       WHERE user_id = $1
+       ORDER BY requested_at DESC`,
+      [userId]
+    );
+    return rows;
+  },
+
+  async markProcessing(id) {
+    await query(`UPDATE data_exports SET status = 'processing' WHERE id = $1`, [id]);
+  },
+
+  async markReady(id, { archive, download_token_hash, expires_at }) {
+    const { rows } = await query(
+      `UPDATE data_exports
+       SET status = 'ready', archive = $2, download_token_hash = $3, expires_at = $4,
+           completed_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING id, user_id, status, expires_at`,
+      [id, JSON.stringify(archive), download_token_hash, expires_at]
+    );
+    return rows[0] || null;
+  },
+
+  async markFailed(id, error) {
+    await query(
+      `UPDATE data_exports SET status = 'failed', error = $2, completed_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [id, error]
+    );
+  },
+
+  // The archive behind a download link, if the link is still valid
+  async findDownloadable(id, downloadTokenHash) {
+    const { rows } = await query(
+      `UPDATE data_exports SET downloaded_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND download_token_hash = $2 AND status = 'ready' AND expires_at > CURRENT_TIMESTAMP
+       RETURNING id, user_id, archive, requested_at`,
+      [id, downloadTokenHash]
+    );
+    return rows[0] || null;
+  },
+
+  // Drop archives whose download link has expired
+  async expireOld() {
+    const { rowCount } = await query(
+      `UPDATE data_exports SET status = 'expired', archive = NULL, download_token_hash = NULL
+       WHERE status = 'ready' AND expires_at <= CURRENT_TIMESTAMP`
+    );
+    return rowCount;
+  },
+
+  // Everything stored about a user, grouped by area
+  async collectUserData(userId) {
+    const sections = {
+      profile: `SELECT id, name, email, role, headline, bio, avatar_url, website_url, social_links,
+                       oauth_provider, email_verified_at, two_factor_enabled_at,
+                       last_login, password_changed_at, is_active, suspended_at, created_at, updated_at
+                FROM users WHERE id = $1`,
+      settings: `SELECT notification_preferences, theme, language, updated_at
+                 FROM user_settings WHERE user_id = $1`,
+      linked_accounts: `SELECT provider, email, created_at, last_used_at
+                        FROM user_identities WHERE user_id = $1 ORDER BY created_at`,
+      sessions: `SELECT id, user_agent, ip_address, created_at, last_used_at, revoked_at
+                 FROM user_sessions WHERE user_id = $1 ORDER BY created_at`,
+      login_history: `SELECT ip_address, user_agent, succeeded, failure_reason, created_at
+                      FROM login_attempts WHERE user_id = $1 ORDER BY created_at`,
+      access_tokens: `SELECT name, token_prefix, scopes, expires_at, last_used_at, created_at, revoked_at
+                      FROM personal_access_tokens WHERE user_id = $1 ORDER BY created_at`,
+      enrollments: `SELECT e.*, c.title AS course_title
+                    FROM enrollments e JOIN courses c ON e.course_id = c.id
+                    WHERE e.user_id = $1 ORDER BY e.id`,
+      lesson_progress: `SELECT lp.lesson_id, l.title AS lesson_title, lp.status, lp.last_position,
+                               lp.completed_at, lp.created_at, lp.updated_at
+                        FROM lesson_progress lp JOIN lessons l ON lp.lesson_id = l.id
+                        WHERE lp.user_id = $1 ORDER BY lp.created_at`,
+      quiz_attempts: `SELECT qa.id, qa.quiz_id, q.title AS quiz_title, qa.score, qa.total_points, qa.passed,
+                             qa.answers, qa.started_at, qa.completed_at, qa.time_taken, qa.is_completed
+                      FROM quiz_attempts qa JOIN quizzes q ON qa.quiz_id = q.id
+                      WHERE qa.user_id = $1 ORDER BY qa.started_at`,
+      assignment_submissions: `SELECT s.id, s.assignment_id, a.title AS assignment_title, s.file_url,
+                                      s.submission_text, s.submitted_at, s.score, s.feedback, s.graded_at,
+                                      s.is_late, s.status
+                               FROM assignment_submissions s JOIN assignments a ON s.assignment_id = a.id
+                               WHERE s.student_id = $1 ORDER BY s.submitted_at`,
+      reviews: `SELECT r.course_id, c.title AS course_title, r.rating, r.review, r.created_at, r.updated_at
+                FROM course_reviews r JOIN courses c ON r.course_id = c.id
+                WHERE r.user_id = $1 ORDER BY r.created_at`,
+      discussions: `SELECT id, course_id, title, description, created_at, updated_at
+                    FROM discussions WHERE created_by = $1 ORDER BY created_at`,
+      comments: `SELECT id, discussion_id, lesson_id, parent_id, content, created_at, updated_at
+                 FROM comments WHERE user_id = $1 ORDER BY created_at`,
+      notifications: `SELECT title, message, type, is_read, created_at
+                      FROM notifications WHERE user_id = $1 ORDER BY created_at`
+    };
+
+    const data = {};
+    for (const [section, sql] of Object.entries(sections)) {
+      const { rows } = await query(sql, [userId]);
+      data[section] = rows;
+    }
+    data.profile = data.profile[0] || null;
+    data.settings = data.settings[0] || null;
+
+    return data;
+  }
+};
+
+export default DataExportModel;
@@ -90,6 +90,22 @@ const EnrollmentModel = {
     }
   },
 
+  // Active learners of a course with the details needed to email them
+  async findContactsByCourse(courseId) {
+    try {
+      const { rows } = await query(
+        `SELECT u.id, u.name, u.email
+         FROM enrollments e
+         JOIN users u ON e.user_id = u.id
+         WHERE e.course_id = $1 AND u.is_active IS NOT FALSE`,
+        [courseId]
+      );
+      return rows;
+    } catch (error) {
+      throw error;
+    }
+  },
+
   // Update enrollment progress
   async updateProgress(id, progress) {
     try {
@@ -0,0 +1,96 @@
+import { query } from "../config/db.js";
+
+// Public course fields shared by the curated and algorithmic lists
+const PUBLIC_COURSE_FIELDS = `c.id, c.title, c.description, c.level, c.created_at,
+  u.name AS instructor_name, cat.name AS category_name,
+  (SELECT COUNT(*) FROM enrollments e WHERE e.course_id = c.id)::int AS enrollment_count,
+  (SELECT ROUND(AVG(r.rating), 2) FROM course_reviews r WHERE r.course_id = c.id)::float AS average_rating,
+  (SELECT COUNT(*) FROM course_reviews r WHERE r.course_id = c.id)::int AS review_count`;
+
+const FeaturedCourseModel = {
+  // Feature a course, or change the order/window of one that already is
+  async upsert({ course_id, display_order = 0, starts_at = null, ends_at = null, featured_by }) {
+    const { rows } = await query(
+      `INSERT INTO featured_courses (course_id, display_order, starts_at, ends_at, featured_by)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (course_id) DO UPDATE SET
+         display_order = EXCLUDED.display_order,
+         starts_at = EXCLUDED.starts_at,
+         ends_at = EXCLUDED.ends_at,
+         featured_by = EXCLUDED.featured_by,
+         updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [course_id, display_order, starts_at, ends_at, featured_by]
+    );
+    return rows[0];
+  },
+
+  async remove(courseId) {
+    const { rows } = await query(
+      `DELETE FROM featured_courses WHERE course_id = $1 RETURNING *`,
+      [courseId]
+    );
+    return rows[0] || null;
+  },
+
+  // Every curated entry for admins, with whether it is live, scheduled or expired
+  async findAll() {
+    const { rows } = await query(
+      `SELECT f.course_id, c.title, c.is_published, c.is_approved, f.display_order, f.starts_at, f.ends_at,
+              f.featured_by, fb.name AS featured_by_name, f.created_at, f.updated_at,
+              CASE
+                WHEN f.ends_at IS NOT NULL AND f.ends_at <= CURRENT_TIMESTAMP THEN 'expired'
+                WHEN f.starts_at IS NOT NULL AND f.starts_at > CURRENT_TIMESTAMP THEN 'scheduled'
+                ELSE 'active'
+              END AS state
+       FROM featured_courses f
+       JOIN courses c ON c.id = f.course_id
+       LEFT JOIN users fb ON fb.id = f.featured_by
+       ORDER BY f.display_order, f.created_at`
+    );
+    return rows;
+  },
+
+  // Curated courses inside their window that are still approved and published
+  async findActive(limit = 6) {
+    const { rows } = await query(
+      `SELECT ${PUBLIC_COURSE_FIELDS}, f.display_order, f.starts_at, f.ends_at
+       FROM featured_courses f
+       JOIN courses c ON c.id = f.course_id
+       JOIN users u ON u.id = c.instructor_id
+       LEFT JOIN categories cat ON cat.id = c.category_id
+       WHERE c.is_approved = true AND c.is_published = true
+         AND (f.starts_at IS NULL OR f.starts_at <= CURRENT_TIMESTAMP)
+         AND (f.ends_at IS NULL OR f.ends_at > CURRENT_TIMESTAMP)
+       ORDER BY f.display_order, f.created_at
+       LIMIT $1`,
+      [limit]
+    );
+    return rows;
+  },
+
+  // Fallback pick: courses with at least minReviews reviews by average rating, then the rest
+  // by enrollments in the last `days` days. A handful of reviews does not outrank popularity.
+  async findTopCourses(limit = 6, { days = 30, minReviews = 3 } = {}) {
+    const { rows } = await query(
+      `SELECT * FROM (
+         SELECT ${PUBLIC_COURSE_FIELDS},
+                (SELECT COUNT(*) FROM enrollments e
+                 WHERE e.course_id = c.id
+                   AND e.enrolled_at > CURRENT_TIMESTAMP - ($2::int * INTERVAL '1 day'))::int AS recent_enrollments
+         FROM courses c
+         JOIN users u ON u.id = c.instructor_id
+         LEFT JOIN categories cat ON cat.id = c.category_id
+         WHERE c.is_approved = true AND c.is_published = true
+       ) ranked
+       ORDER BY (review_count >= $3) DESC,
+                CASE WHEN review_count >= $3 THEN average_rating END DESC NULLS LAST,
+                recent_enrollments DESC, created_at DESC
+       LIMIT $1`,
+      [limit, days, minReviews]
+    );
+    return rows;
+  }
+};
+
+export default FeaturedCourseModel;
@@ -0,0 +1,64 @@
+import { query } from "../config/db.js";
+
+const IdentityModel = {
+  async findByProvider(provider, providerUserId) {
+    const { rows } = await query(
+      `SELECT * FROM user_identities WHERE provider = $1 AND provider_user_id = $2`,
+      [provider, providerUserId]
+    );
+    return rows[0] || null;
+  },
+
+  async findByUser(userId) {
+    const { rows } = await query(
+      `SELECT id, provider, email, created_at, last_used_at
+       FROM user_identities
+       WHERE user_id = $1
+       ORDER BY created_at`,
+      [userId]
+    );
+    return rows;
+  },
+
+  async create({ user_id, provider, provider_user_id, email = null }) {
+    try {
+      const { rows } = await query(
+        `INSERT INTO user_identities (user_id, provider, provider_user_id, email)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id, user_id, provider, email, created_at`,
+        [user_id, provider, provider_user_id, email]
+      );
+      return rows[0];
+    } catch (error) {
+      if (error.code === "23505") {
+        throw new Error("Identity already linked");
+      }
+      throw error;
+    }
+  },
+
+  async touch(id) {
+    await query(
+      `UPDATE user_identities SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [id]
+    );
+  },
+
+  // Remove an identity unless it is the last way to sign in to an account without a password.
+  // Returns the deleted row, or null when nothing was removed.
+  async deleteIfNotLastSignInMethod(userId, provider) {
+    const { rows } = await query(
+      `DELETE FROM user_identities ui
+       WHERE ui.user_id = $1 AND ui.provider = $2
+         AND (
+           EXISTS (SELECT 1 FROM users u WHERE u.id = ui.user_id AND u.password_hash IS NOT NULL)
+           OR (SELECT COUNT(*) FROM user_identities other WHERE other.user_id = ui.user_id) > 1
+         )
+       RETURNING id, provider`,
+      [userId, provider]
+    );
+    return rows[0] || null;
+  }
+};
+
+export default IdentityModel;
@@ -0,0 +1,96 @@
+import { query } from "../config/db.js";
+
+const ImpersonationModel = {
+  async start({ id, admin_id, user_id, reason, expires_at }) {
+    const { rows } = await query(
+      `INSERT INTO impersonation_sessions (id, admin_id, user_id, reason, expires_at)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [id, admin_id, user_id, reason, expires_at]
+    );
+    return rows[0];
+  },
+
+  // An impersonation session that has neither ended nor expired
+  async findActive(id) {
+    const { rows } = await query(
+      `SELECT * FROM impersonation_sessions
+       WHERE id = $1 AND ended_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+      [id]
+    );
+    return rows[0] || null;
+  },
+
+  async end(id) {
+    const { rows } = await query(
+      `UPDATE impersonation_sessions SET ended_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND ended_at IS NULL
+       RETURNING *`,
+      [id]
+    );
+    return rows[0] || null;
+  },
+
+  async logRequest({ impersonation_id, admin_id, user_id, method, path, status_code, ip_address, user_agent }) {
+    await query(
+      `INSERT INTO impersonation_audit_log
+         (impersonation_id, admin_id, user_id, method, path, status_code, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [impersonation_id, admin_id, user_id, method, path, status_code, ip_address, user_agent]
+    );
+  },
+
+  // Impersonation sessions with their request counts, newest first
+  async findSessions({ admin_id, user_id, limit = 20, offset = 0 } = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (admin_id) {
+      values.push(admin_id);
+      conditions.push(`s.admin_id = $${values.length}`);
+    }
+    if (user_id) {
+      values.push(user_id);
+      conditions.push(`s.user_id = $${values.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const sessionsQuery = query(
+      `SELECT s.*, a.name AS admin_name, a.email AS admin_email,
+              u.name AS user_name, u.email AS user_email,
+              (SELECT COUNT(*) FROM impersonation_audit_log l WHERE l.impersonation_id = s.id)::int AS request_count
+       FROM impersonation_sessions s
+       LEFT JOIN users a ON s.admin_id = a.id
+       LEFT JOIN users u ON s.user_id = u.id
+       ${whereClause}
+       ORDER BY s.started_at DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    );
+    const countQuery = query(
+      `SELECT COUNT(*) FROM impersonation_sessions s ${whereClause}`,
+      values
+    );
+
+    const [sessionsResult, countResult] = await Promise.all([sessionsQuery, countQuery]);
+
+    return {
+      sessions: sessionsResult.rows,
+      total: parseInt(countResult.rows[0].count)
+    };
+  },
+
+  async findRequests(impersonationId) {
+    const { rows } = await query(
+      `SELECT id, method, path, status_code, ip_address, user_agent, created_at
+       FROM impersonation_audit_log
+       WHERE impersonation_id = $1
+       ORDER BY created_at`,
+      [impersonationId]
+    );
+    return rows;
+  }
+};
+
+export default ImpersonationModel;
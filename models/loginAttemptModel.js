@@ -0,0 +1,115 @@
+import { query } from "../config/db.js";
+
+const LoginAttemptModel = {
+  async create({ email = null, user_id = null, ip_address = null, user_agent = null, succeeded, failure_reason = null }) {
+    const { rows } = await query(
+      `INSERT INTO login_attempts (email, user_id, ip_address, user_agent, succeeded, failure_reason)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [email, user_id, ip_address, user_agent, succeeded, failure_reason]
+    );
+    return rows[0];
+  },
+
+  // Failed attempts from an IP address within the last `minutes`
+  async countRecentFailuresByIp(ipAddress, minutes) {
+    const { rows } = await query(
+      `SELECT COUNT(*) FROM login_attempts
+       WHERE ip_address = $1 AND succeeded = false
+         AND created_at > CURRENT_TIMESTAMP - ($2 * INTERVAL '1 minute')`,
+      [ipAddress, minutes]
+    );
+    return parseInt(rows[0].count);
+  },
+
+  async findAll({ email, user_id, ip_address, succeeded, since, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (email) {
+      values.push(email);
+      conditions.push(`la.email = $${values.length}`);
+    }
+    if (user_id) {
+      values.push(user_id);
+      conditions.push(`la.user_id = $${values.length}`);
+    }
+    if (ip_address) {
+      values.push(ip_address);
+      conditions.push(`la.ip_address = $${values.length}`);
+    }
+    if (succeeded !== undefined) {
+      values.push(succeeded);
+      conditions.push(`la.succeeded = $${values.length}`);
+    }
+    if (since) {
+      values.push(since);
+      conditions.push(`la.created_at >= $${values.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const attemptsQuery = query(
+      `SELECT la.*, u.name AS user_name
+       FROM login_attempts la
+       LEFT JOIN users u ON la.user_id = u.id
+       ${whereClause}
+       ORDER BY la.created_at DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    );
+    const countQuery = query(
+      `SELECT COUNT(*) FROM login_attempts la ${whereClause}`,
+      values
+    );
+
+    const [attemptsResult, countResult] = await Promise.all([attemptsQuery, countQuery]);
+
+    return {
+      attempts: attemptsResult.rows,
+      total: parseInt(countResult.rows[0].count)
+    };
+  },
+
+  // Top sources of failed logins since a point in time
+  async getFailureSummary(since, limit = 10) {
+    const byIpQuery = query(
+      `SELECT ip_address, COUNT(*)::int AS failures,
+              COUNT(DISTINCT email)::int AS distinct_emails,
+              MAX(created_at) AS last_attempt_at
+       FROM login_attempts
+       WHERE succeeded = false AND created_at >= $1
+       GROUP BY ip_address
+       ORDER BY failures DESC
+       LIMIT $2`,
+      [since, limit]
+    );
+    const byEmailQuery = query(
+      `SELECT email, COUNT(*)::int AS failures,
+              COUNT(DISTINCT ip_address)::int AS distinct_ips,
+              MAX(created_at) AS last_attempt_at
+       FROM login_attempts
+       WHERE succeeded = false AND created_at >= $1
+       GROUP BY email
+       ORDER BY failures DESC
+       LIMIT $2`,
+      [since, limit]
+    );
+    const lockedQuery = query(
+      `SELECT id, email, name, failed_login_count, locked_until
+       FROM users
+       WHERE locked_until > CURRENT_TIMESTAMP
+       ORDER BY locked_until DESC`
+    );
+
+    const [byIp, byEmail, locked] = await Promise.all([byIpQuery, byEmailQuery, lockedQuery]);
+
+    return {
+      top_ips: byIp.rows,
+      top_emails: byEmail.rows,
+      locked_accounts: locked.rows
+    };
+  }
+};
+
+export default LoginAttemptModel;
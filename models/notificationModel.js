@@ -1,14 +1,24 @@
 import { query } from '../config/db.js';
+import UserSettingsModel from './userSettingsModel.js';
+import { isNotificationEnabled } from '../config/notificationTypes.js';
 
 const NotificationModel = {
-  // Create a new notification
-  async create({ user_id, title, message, type, related_id = null, is_read = false }) {
+  // Create a new notification. Returns null when the user turned off in-app
+  // notifications of this type.
+  async create({ user_id, title, message, type, related_id = null, is_read = false }, { skipPreferenceCheck = false } = {}) {
     // Add validation at the start
     if (!title || !message || !type) {
       throw new Error('Title, message, and type are required');
     }
     
     try {
+      if (!skipPreferenceCheck) {
+        const settings = await UserSettingsModel.findByUser(user_id);
+        if (!isNotificationEnabled(settings?.notification_preferences, type, 'in_app')) {
+          return null;
+        }
+      }
+
       const { rows } = await query(
         `INSERT INTO notifications 
          (user_id, title, message, type, related_id, is_read) 
@@ -36,9 +46,18 @@ const NotificationModel = {
         }
       }
 
+      // Load every recipient's preferences at once instead of per insert
+      const preferences = await UserSettingsModel.findPreferencesByUsers(
+        [...new Set(notifications.map(notification => notification.user_id))]
+      );
+
       // Use individual inserts to avoid SQL injection and handle null values properly
       const results = [];
       for (const notification of notifications) {
+        if (!isNotificationEnabled(preferences.get(notification.user_id), notification.type, 'in_app')) {
+          continue;
+        }
+
         const result = await this.create({
           user_id: notification.user_id,
           title: notification.title,
@@ -46,7 +65,7 @@ const NotificationModel = {
           type: notification.type,
           related_id: notification.related_id || null,
           is_read: notification.is_read || false
-        });
+        }, { skipPreferenceCheck: true });
         results.push(result);
       }
 
@@ -344,6 +363,29 @@ const NotificationModel = {
     }
   },
 
+  // Tell enrolled students that a course has a new instructor
+  async createCourseOwnershipNotification({ course_id, course_title, instructor_name }) {
+    try {
+      const { rows: enrolledUsers } = await query(
+        `SELECT user_id FROM enrollments WHERE course_id = $1`,
+        [course_id]
+      );
+
+      const notifications = enrolledUsers.map(user => ({
+        user_id: user.user_id,
+        title: `New instructor: ${course_title}`,
+        message: `${instructor_name} is now the instructor of "${course_title}".`,
+        type: 'course_update',
+        related_id: course_id,
+        is_read: false
+      }));
+
+      return await this.createBulk(notifications);
+    } catch (error) {
+      throw error;
+    }
+  },
+
   // Create enrollment confirmation notification
   async createEnrollmentNotification({ user_id, course_id }) {
     try {
@@ -0,0 +1,76 @@
+import { query } from "../config/db.js";
+
+// Personal access tokens for scripts and integrations. Only the SHA-256 hash is stored.
+const PersonalAccessTokenModel = {
+  async create({ user_id, name, token_hash, token_prefix, scopes, expires_at = null }) {
+    const { rows } = await query(
+      `INSERT INTO personal_access_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, name, token_prefix, scopes, expires_at, created_at`,
+      [user_id, name, token_hash, token_prefix, scopes, expires_at]
+    );
+    return rows[0];
+  },
+
+  // A token that is neither revoked nor expired
+  async findActiveByHash(tokenHash) {
+    const { rows } = await query(
+      `SELECT id, user_id, name, scopes, expires_at
+       FROM personal_access_tokens
+       WHERE token_hash = $1 AND revoked_at IS NULL
+         AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`,
+      [tokenHash]
+    );
+    return rows[0] || null;
+  },
+
+  async findByUser(userId) {
+    const { rows } = await query(
+      `SELECT id, name, token_prefix, scopes, expires_at, last_used_at, last_used_ip, created_at,
+              (expires_at IS NOT NULL AND expires_at <= CURRENT_TIMESTAMP) AS is_expired
+       FROM personal_access_tokens
+       WHERE user_id = $1 AND revoked_at IS NULL
+       ORDER BY created_at DESC`,
+      [userId]
+    );
+    return rows;
+  },
+
+  async countActiveByUser(userId) {
+    const { rows } = await query(
+      `SELECT COUNT(*) FROM personal_access_tokens
+       WHERE user_id = $1 AND revoked_at IS NULL
+         AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`,
+      [userId]
+    );
+    return parseInt(rows[0].count);
+  },
+
+  async touch(id, ipAddress) {
+    await query(
+      `UPDATE personal_access_tokens SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = $2 WHERE id = $1`,
+      [id, ipAddress]
+    );
+  },
+
+  async revoke(id, userId) {
+    const { rows } = await query(
+      `UPDATE personal_access_tokens SET revoked_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+       RETURNING id, name`,
+      [id, userId]
+    );
+    return rows[0] || null;
+  },
+
+  async revokeAllForUser(userId) {
+    const { rowCount } = await query(
+      `UPDATE personal_access_tokens SET revoked_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND revoked_at IS NULL`,
+      [userId]
+    );
+    return rowCount;
+  }
+};
+
+export default PersonalAccessTokenModel;
@@ -0,0 +1,36 @@
+import { query } from "../config/db.js";
+
+const RefreshTokenModel = {
+  async create({ id, user_id, family_id, token_hash, expires_at }) {
+    const { rows } = await query(
+      `INSERT INTO refresh_tokens (id, user_id, family_id, token_hash, expires_at)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, user_id, family_id, expires_at, created_at`,
+      [id, user_id, family_id, token_hash, expires_at]
+    );
+    return rows[0];
+  },
+
+  async findByHash(tokenHash) {
+    const { rows } = await query(
+      `SELECT * FROM refresh_tokens WHERE token_hash = $1`,
+      [tokenHash]
+    );
+    return rows[0] || null;
+  },
+
+  // Revoke a token because it was exchanged for a new one.
+  // Returns null when another request already rotated it.
+  async markRotated(id, replacedBy) {
+    const { rows } = await query(
+      `UPDATE refresh_tokens
+       SET revoked_at = CURRENT_TIMESTAMP, replaced_by = $2
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING *`,
+      [id, replacedBy]
+    );
+    return rows[0] || null;
+  }
+};
+
+export default RefreshTokenModel;
@@ -2,7 +2,7 @@ import { query } from "../config/db.js";
 
 const ReviewModel = {
   // Create a new review
-  async create({ user_id, course_id, review_text = null }) {
+  async create({ user_id, course_id, rating, review = null }) {
     try {
       // Check if user is enrolled in the course
       const { rows: enrollmentRows } = await query(
@@ -21,10 +21,10 @@ const ReviewModel = {
       }
 
       const { rows } = await query(
-        `INSERT INTO reviews (user_id, course_id, review_text)
-       VALUES ($1, $2, $3)
+        `INSERT INTO course_reviews (user_id, course_id, rating, review)
+       VALUES ($1, $2, $3, $4)
        RETURNING *`,
-      [user_id, course_id, review_text]
+      [user_id, course_id, rating, review]
       );
 
       
@@ -39,8 +39,8 @@ const ReviewModel = {
   async findById(id) {
     try {
       const { rows } = await query(
-        `SELECT r.*, u.name as user_name, u.profile_picture, c.title as course_title
-         FROM reviews r
+        `SELECT r.*, u.name as user_name, u.avatar_url, c.title as course_title
+         FROM course_reviews r
          JOIN users u ON r.user_id = u.id
          JOIN courses c ON r.course_id = c.id
          WHERE r.id = $1`,
@@ -56,7 +56,7 @@ const ReviewModel = {
   async findByUserAndCourse(userId, courseId) {
     try {
       const { rows } = await query(
-        `SELECT * FROM reviews WHERE user_id = $1 AND course_id = $2`,
+        `SELECT * FROM course_reviews WHERE user_id = $1 AND course_id = $2`,
         [userId, courseId]
       );
       return rows[0] || null;
@@ -69,15 +69,15 @@ const ReviewModel = {
   async findByCourse(courseId, { limit = 10, offset = 0, sortBy = 'created_at', sortOrder = 'DESC' } = {}) {
     try {
       // Validate sort parameters to prevent SQL injection
-      const validSortColumns = ['created_at', 'helpful_count'];
+      const validSortColumns = ['created_at', 'helpful_count', 'rating'];
       const validSortOrders = ['ASC', 'DESC'];
       
       if (!validSortColumns.includes(sortBy)) sortBy = 'created_at';
       if (!validSortOrders.includes(sortOrder.toUpperCase())) sortOrder = 'DESC';
       
       const { rows } = await query(
-        `SELECT r.*, u.name as user_name, u.profile_picture
-         FROM reviews r
+        `SELECT r.*, u.name as user_name, u.avatar_url
+         FROM course_reviews r
          JOIN users u ON r.user_id = u.id
          WHERE r.course_id = $1
          ORDER BY r.${sortBy} ${sortOrder}
@@ -90,12 +90,37 @@ const ReviewModel = {
     }
   },
 
+  async countByCourse(courseId) {
+    const { rows } = await query(
+      `SELECT COUNT(*) FROM course_reviews WHERE course_id = $1`,
+      [courseId]
+    );
+    return parseInt(rows[0].count);
+  },
+
+  // Average rating, review count and how many reviews gave each star rating
+  async getCourseStatistics(courseId) {
+    const { rows } = await query(
+      `SELECT ROUND(AVG(rating), 2)::float AS average_rating,
+              COUNT(*)::int AS review_count,
+              COUNT(*) FILTER (WHERE rating = 5)::int AS five_star,
+              COUNT(*) FILTER (WHERE rating = 4)::int AS four_star,
+              COUNT(*) FILTER (WHERE rating = 3)::int AS three_star,
+              COUNT(*) FILTER (WHERE rating = 2)::int AS two_star,
+              COUNT(*) FILTER (WHERE rating = 1)::int AS one_star
+       FROM course_reviews
+       WHERE course_id = $1`,
+      [courseId]
+    );
+    return rows[0];
+  },
+
   // Get reviews by a user
   async findByUser(userId, { limit = 10, offset = 0 } = {}) {
     try {
       const { rows } = await query(
         `SELECT r.*, c.title as course_title
-         FROM reviews r
+         FROM course_reviews r
          JOIN courses c ON r.course_id = c.id
          WHERE r.user_id = $1
          ORDER BY r.created_at DESC
@@ -109,11 +134,11 @@ const ReviewModel = {
   },
 
   // Update a review
-  async update(id, { review_text }) {
+  async update(id, { rating, review }) {
     try {
       // Get the current review to find its course_id
       const { rows: currentReviewRows } = await query(
-        `SELECT course_id FROM reviews WHERE id = $1`,
+        `SELECT course_id FROM course_reviews WHERE id = $1`,
         [id]
       );
 
@@ -124,12 +149,13 @@ const ReviewModel = {
       const courseId = currentReviewRows[0].course_id;
 
       const { rows } = await query(
-        `UPDATE reviews 
-         SET review_text = COALESCE($2, review_text),
+        `UPDATE course_reviews 
+         SET rating = COALESCE($2, rating),
+             review = COALESCE($3, review),
              updated_at = CURRENT_TIMESTAMP
          WHERE id = $1
          RETURNING *`,
-        [id, review_text]
+        [id, rating, review]
       );
 
       
@@ -145,7 +171,7 @@ const ReviewModel = {
     try {
       // Get the current review to find its course_id
       const { rows: currentReviewRows } = await query(
-        `SELECT course_id FROM reviews WHERE id = $1`,
+        `SELECT course_id FROM course_reviews WHERE id = $1`,
         [id]
       );
 
@@ -156,7 +182,7 @@ const ReviewModel = {
       const courseId = currentReviewRows[0].course_id;
 
       const { rows } = await query(
-        `DELETE FROM reviews WHERE id = $1 RETURNING *`,
+        `DELETE FROM course_reviews WHERE id = $1 RETURNING *`,
         [id]
       );
 
@@ -186,7 +212,7 @@ const ReviewModel = {
 
         // Decrement helpful count
         const { rows } = await query(
-          `UPDATE reviews 
+          `UPDATE course_reviews 
            SET helpful_count = helpful_count - 1 
            WHERE id = $1 
            RETURNING *`,
@@ -203,7 +229,7 @@ const ReviewModel = {
 
         // Increment helpful count
         const { rows } = await query(
-          `UPDATE reviews 
+          `UPDATE course_reviews 
            SET helpful_count = helpful_count + 1 
            WHERE id = $1 
            RETURNING *`,
@@ -239,11 +265,11 @@ const ReviewModel = {
   async getFeaturedReviews(courseId, limit = 3) {
     try {
       const { rows } = await query(
-        `SELECT r.*, u.name as user_name, u.profile_picture
-         FROM reviews r
+        `SELECT r.*, u.name as user_name, u.avatar_url
+         FROM course_reviews r
          JOIN users u ON r.user_id = u.id
-         WHERE r.course_id = $1 AND r.review_text IS NOT NULL AND LENGTH(r.review_text) > 10
-         ORDER BY r.helpful_count DESC, r.created_at DESC
+         WHERE r.course_id = $1 AND r.review IS NOT NULL AND LENGTH(r.review) > 10
+         ORDER BY r.helpful_count DESC, r.rating DESC, r.created_at DESC
          LIMIT $2`,
         [courseId, limit]
       );
@@ -268,7 +294,7 @@ const ReviewModel = {
 
       // Check if user already reviewed this course
       const { rows: reviewRows } = await query(
-        `SELECT id FROM reviews WHERE user_id = $1 AND course_id = $2`,
+        `SELECT id FROM course_reviews WHERE user_id = $1 AND course_id = $2`,
         [userId, courseId]
       );
 
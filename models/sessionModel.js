@@ -0,0 +1,99 @@
+import { query } from "../config/db.js";
+
+// Columns that are safe to show to the session owner and admins
+const SESSION_FIELDS = `id, user_id, user_agent, ip_address, created_at, last_used_at, revoked_at`;
+
+const SessionModel = {
+  async create({ id, user_id, user_agent = null, ip_address = null }) {
+    const { rows } = await query(
+      `INSERT INTO user_sessions (id, user_id, user_agent, ip_address)
+       VALUES ($1, $2, $3, $4)
+       RETURNING ${SESSION_FIELDS}`,
+      [id, user_id, user_agent, ip_address]
+    );
+    return rows[0];
+  },
+
+  async findById(id) {
+    const { rows } = await query(
+      `SELECT ${SESSION_FIELDS} FROM user_sessions WHERE id = $1`,
+      [id]
+    );
+    return rows[0] || null;
+  },
+
+  async isActive(id) {
+    const { rows } = await query(
+      `SELECT 1 FROM user_sessions WHERE id = $1 AND revoked_at IS NULL`,
+      [id]
+    );
+    return rows.length > 0;
+  },
+
+  // Sessions that still hold an unexpired, unrevoked refresh token
+  async findActiveByUser(userId) {
+    const { rows } = await query(
+      `SELECT ${SESSION_FIELDS}
+       FROM user_sessions s
+       WHERE s.user_id = $1 AND s.revoked_at IS NULL
+         AND EXISTS (
+           SELECT 1 FROM refresh_tokens rt
+           WHERE rt.family_id = s.id AND rt.revoked_at IS NULL
+             AND rt.expires_at > CURRENT_TIMESTAMP
+         )
+       ORDER BY s.last_used_at DESC`,
+      [userId]
+    );
+    return rows;
+  },
+
+  // Record activity when a session's refresh token is used
+  async touch(id, { user_agent = null, ip_address = null } = {}) {
+    const { rows } = await query(
+      `UPDATE user_sessions
+       SET last_used_at = CURRENT_TIMESTAMP,
+           user_agent = COALESCE($2, user_agent),
+           ip_address = COALESCE($3, ip_address)
+       WHERE id = $1
+       RETURNING ${SESSION_FIELDS}`,
+      [id, user_agent, ip_address]
+    );
+    return rows[0] || null;
+  },
+
+  // Revoke a session and every refresh token issued for it
+  async revoke(id) {
+    const { rows } = await query(
+      `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING ${SESSION_FIELDS}`,
+      [id]
+    );
+    await query(
+      `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+       WHERE family_id = $1 AND revoked_at IS NULL`,
+      [id]
+    );
+    return rows[0] || null;
+  },
+
+  // Revoke all sessions of a user, optionally keeping one (the caller's own)
+  async revokeAllForUser(userId, exceptSessionId = null) {
+    const { rows } = await query(
+      `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND revoked_at IS NULL
+         AND ($2::uuid IS NULL OR id <> $2::uuid)
+       RETURNING id`,
+      [userId, exceptSessionId]
+    );
+    await query(
+      `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND revoked_at IS NULL
+         AND ($2::uuid IS NULL OR family_id <> $2::uuid)`,
+      [userId, exceptSessionId]
+    );
+    return rows.length;
+  }
+};
+
+export default SessionModel;
@@ -0,0 +1,26 @@
+import { query } from "../config/db.js";
+
+const SettingsModel = {
+  // Get a setting value, or the default when it has never been set
+  async get(key, defaultValue = null) {
+    const { rows } = await query(
+      `SELECT value FROM system_settings WHERE key = $1`,
+      [key]
+    );
+    return rows.length > 0 ? rows[0].value : defaultValue;
+  },
+
+  async set(key, value, updatedBy = null) {
+    const { rows } = await query(
+      `INSERT INTO system_settings (key, value, updated_by)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (key) DO UPDATE
+       SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+       RETURNING key, value, updated_by, updated_at`,
+      [key, JSON.stringify(value), updatedBy]
+    );
+    return rows[0];
+  }
+};
+
+export default SettingsModel;
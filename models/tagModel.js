@@ -0,0 +1,157 @@
+import { query, pool } from "../config/db.js";
+import { slugify, escapeLike } from "../utils/helper.js";
+
+/**
+ * Slug used to match tags. "+" and "#" are spelled out so that C, C++ and C# stay distinct.
+ * @param {string} name - Tag name
+ * @returns {string} Slug, empty if the name has no letters or digits
+ */
+export const toTagSlug = (name) => {
+  return slugify(String(name).replace(/\+/g, ' plus ').replace(/#/g, ' sharp ')).slice(0, 60);
+};
+
+const TagModel = {
+  // Tags with how many published, approved courses use them; prefix filters by name or slug
+  async findAll({ prefix = '', limit = 20, offset = 0 } = {}) {
+    const { rows } = await query(
+      `SELECT t.id, t.name, t.slug,
+              COUNT(c.id)::int AS course_count
+       FROM tags t
+       LEFT JOIN course_tags ct ON ct.tag_id = t.id
+       LEFT JOIN courses c ON c.id = ct.course_id AND c.is_published = true AND c.is_approved = true
+       WHERE $1 = '' OR LOWER(t.name) LIKE LOWER($1) || '%' OR t.slug LIKE $2 || '%'
+       GROUP BY t.id
+       ORDER BY ${prefix ? 'LENGTH(t.name), ' : ''}course_count DESC, t.name
+       LIMIT $3 OFFSET $4`,
+      [escapeLike(prefix), escapeLike(prefix ? toTagSlug(prefix) : ''), limit, offset]
+    );
+    return rows;
+  },
+
+  async count({ prefix = '' } = {}) {
+    const { rows } = await query(
+      `SELECT COUNT(*) FROM tags t
+       WHERE $1 = '' OR LOWER(t.name) LIKE LOWER($1) || '%' OR t.slug LIKE $2 || '%'`,
+      [escapeLike(prefix), escapeLike(prefix ? toTagSlug(prefix) : '')]
+    );
+    return parseInt(rows[0].count);
+  },
+
+  async findById(id) {
+    const { rows } = await query(
+      `SELECT id, name, slug, created_at FROM tags WHERE id = $1`,
+      [id]
+    );
+    return rows[0] || null;
+  },
+
+  async findBySlug(slug) {
+    const { rows } = await query(
+      `SELECT id, name, slug, created_at FROM tags WHERE slug = $1`,
+      [slug]
+    );
+    return rows[0] || null;
+  },
+
+  /**
+   * Replace a course's tags, creating tags that do not exist yet
+   * @param {number} courseId - Course ID
+   * @param {string[]} names - Tag names; duplicates (by slug) and blank names are ignored
+   * @returns {Promise<Object[]>} The course's tags
+   */
+  async setCourseTags(courseId, names = []) {
+    const tagsBySlug = new Map();
+    for (const name of names) {
+      const trimmed = String(name || '').trim();
+      const slug = toTagSlug(trimmed);
+      if (slug && !tagsBySlug.has(slug)) tagsBySlug.set(slug, trimmed);
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const tags = [];
+      for (const [slug, name] of tagsBySlug) {
+        // Reuse an existing tag (it keeps its name), also when an admin gave it a custom slug
+        const existing = await client.query(
+          `SELECT id, name, slug FROM tags WHERE slug = $1 OR LOWER(name) = LOWER($2) LIMIT 1`,
+          [slug, name]
+        );
+        if (existing.rows[0]) {
+          tags.push(existing.rows[0]);
+          continue;
+        }
+
+        const { rows } = await client.query(
+          `INSERT INTO tags (name, slug) VALUES ($1, $2)
+           ON CONFLICT (slug) DO UPDATE SET slug = EXCLUDED.slug
+           RETURNING id, name, slug`,
+          [name, slug]
+        );
+        tags.push(rows[0]);
+      }
+
+      await client.query(`DELETE FROM course_tags WHERE course_id = $1`, [courseId]);
+      if (tags.length > 0) {
+        await client.query(
+          `INSERT INTO course_tags (course_id, tag_id)
+           SELECT $1, UNNEST($2::int[])
+           ON CONFLICT DO NOTHING`,
+          [courseId, tags.map(tag => tag.id)]
+        );
+      }
+
+      await client.query('COMMIT');
+      return tags;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  async rename(id, { name, slug }) {
+    const { rows } = await query(
+      `UPDATE tags SET name = $2, slug = $3 WHERE id = $1 RETURNING id, name, slug, created_at`,
+      [id, name, slug]
+    );
+    return rows[0] || null;
+  },
+
+  // Move every course from one tag to another, then delete the first
+  async mergeInto(sourceId, targetId) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const { rowCount } = await client.query(
+        `INSERT INTO course_tags (course_id, tag_id)
+         SELECT course_id, $2 FROM course_tags WHERE tag_id = $1
+         ON CONFLICT DO NOTHING`,
+        [sourceId, targetId]
+      );
+      await client.query(`DELETE FROM tags WHERE id = $1`, [sourceId]);
+
+      await client.query('COMMIT');
+      return { courses_moved: rowCount };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  // Deleting a tag removes it from every course (course_tags cascades)
+  async delete(id) {
+    const { rows } = await query(
+      `DELETE FROM tags WHERE id = $1 RETURNING id, name, slug`,
+      [id]
+    );
+    return rows[0] || null;
+  }
+};
+
+export default TagModel;
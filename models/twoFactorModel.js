@@ -0,0 +1,80 @@
+import { query } from "../config/db.js";
+
+const TwoFactorModel = {
+  async findByUserId(userId) {
+    const { rows } = await query(
+      `SELECT u.id AS user_id, u.two_factor_secret, u.two_factor_enabled_at,
+              (SELECT COUNT(*) FROM two_factor_recovery_codes rc
+               WHERE rc.user_id = u.id AND rc.used_at IS NULL)::int AS recovery_codes_remaining
+       FROM users u WHERE u.id = $1`,
+      [userId]
+    );
+    return rows[0] || null;
+  },
+
+  // Store a new secret; it only takes effect once enable() is called
+  async setPendingSecret(userId, secret) {
+    await query(
+      `UPDATE users SET two_factor_secret = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND two_factor_enabled_at IS NULL`,
+      [userId, secret]
+    );
+  },
+
+  async enable(userId) {
+    const { rows } = await query(
+      `UPDATE users SET two_factor_enabled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND two_factor_secret IS NOT NULL
+       RETURNING id, two_factor_enabled_at`,
+      [userId]
+    );
+    return rows[0] || null;
+  },
+
+  // Record a used TOTP time step. Returns false if that step (or a later one) was already used.
+  async claimTotpStep(userId, step) {
+    const { rowCount } = await query(
+      `UPDATE users SET two_factor_last_step = $2
+       WHERE id = $1 AND (two_factor_last_step IS NULL OR two_factor_last_step < $2)`,
+      [userId, step]
+    );
+    return rowCount > 0;
+  },
+
+  async disable(userId) {
+    await query(
+      `UPDATE users
+       SET two_factor_secret = NULL, two_factor_enabled_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [userId]
+    );
+    await query(`DELETE FROM two_factor_recovery_codes WHERE user_id = $1`, [userId]);
+  },
+
+  // Replace all recovery codes of a user with a new set of hashes
+  async replaceRecoveryCodes(userId, codeHashes) {
+    await query(`DELETE FROM two_factor_recovery_codes WHERE user_id = $1`, [userId]);
+    for (const codeHash of codeHashes) {
+      await query(
+        `INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ($1, $2)`,
+        [userId, codeHash]
+      );
+    }
+  },
+
+  // Use up a recovery code. Returns false if it does not exist or was used.
+  async consumeRecoveryCode(userId, codeHash) {
+    const { rowCount } = await query(
+      `UPDATE two_factor_recovery_codes SET used_at = CURRENT_TIMESTAMP
+       WHERE id = (
+         SELECT id FROM two_factor_recovery_codes
+         WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+         LIMIT 1
+       )`,
+      [userId, codeHash]
+    );
+    return rowCount > 0;
+  }
+};
+
+export default TwoFactorModel;
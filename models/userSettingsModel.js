@@ -0,0 +1,52 @@
+import { query } from "../config/db.js";
+
+const UserSettingsModel = {
+  async findByUser(userId) {
+    const { rows } = await query(
+      `SELECT user_id, notification_preferences, theme, language, updated_at
+       FROM user_settings WHERE user_id = $1`,
+      [userId]
+    );
+    return rows[0] || null;
+  },
+
+  async upsert(userId, { notification_preferences, theme, language }) {
+    const { rows } = await query(
+      `INSERT INTO user_settings (user_id, notification_preferences, theme, language)
+       VALUES ($1, $2, COALESCE($3, 'light'), COALESCE($4, 'en'))
+       ON CONFLICT (user_id) DO UPDATE SET
+         notification_preferences = COALESCE($2, user_settings.notification_preferences),
+         theme = COALESCE($3, user_settings.theme),
+         language = COALESCE($4, user_settings.language),
+         updated_at = CURRENT_TIMESTAMP
+       RETURNING user_id, notification_preferences, theme, language, updated_at`,
+      [userId, notification_preferences ? JSON.stringify(notification_preferences) : null, theme || null, language || null]
+    );
+    return rows[0];
+  },
+
+  // Stored notification preferences for several users: Map of user_id -> preferences
+  async findPreferencesByUsers(userIds) {
+    if (userIds.length === 0) return new Map();
+
+    const { rows } = await query(
+      `SELECT user_id, notification_preferences FROM user_settings
+       WHERE user_id = ANY($1::int[]) AND notification_preferences IS NOT NULL`,
+      [userIds]
+    );
+    return new Map(rows.map(row => [row.user_id, row.notification_preferences]));
+  },
+
+  async findPreferencesByEmail(email) {
+    const { rows } = await query(
+      `SELECT s.notification_preferences
+       FROM user_settings s
+       JOIN users u ON u.id = s.user_id
+       WHERE LOWER(u.email) = LOWER($1)`,
+      [email]
+    );
+    return rows[0]?.notification_preferences || null;
+  }
+};
+
+export default UserSettingsModel;
@@ -1,9 +1,12 @@
 
-import { query } from "../config/db.js";
+import { pool, query } from "../config/db.js";
 import bcrypt from "bcryptjs";
+import { escapeLike } from "../utils/helper.js";
 
 const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS || "12");
 
+const USER_SORT_COLUMNS = ['name', 'email', 'role', 'created_at', 'last_login'];
+
 const UserModel = {
   async create({ email, password, name, role = 'student' }) {
     try {
@@ -28,6 +31,40 @@ const UserModel = {
     }
   },
 
+  // Account created by an admin (e.g. CSV import). Without a password the user
+  // sets one through the invitation link.
+  async createInvited({ email, name, role = 'student', password = null }) {
+    try {
+      if (!['student', 'instructor'].includes(role)) {
+        throw new Error('Invalid role specified. Must be student or instructor');
+      }
+
+      const hashPassword = password ? await bcrypt.hash(password, saltRounds) : null;
+      const { rows } = await query(
+        `INSERT INTO users (email, password_hash, name, role) 
+         VALUES ($1, $2, $3, $4) 
+         RETURNING id, email, name, role, created_at`,
+        [email, hashPassword, name, role]
+      );
+
+      return rows[0];
+    } catch (error) {
+      if (error.code === "23505") {
+        throw new Error("Email already exists");
+      }
+      throw error;
+    }
+  },
+
+  async findExistingEmails(emails) {
+    if (emails.length === 0) return [];
+    const { rows } = await query(
+      `SELECT LOWER(email) AS email FROM users WHERE LOWER(email) = ANY($1)`,
+      [emails.map(email => email.toLowerCase())]
+    );
+    return rows.map(row => row.email);
+  },
+
   async createAdmin({ email, password, name }) {
     try {
       const adminExists = await this.adminExists();
@@ -61,7 +98,9 @@ const UserModel = {
 
   async findByEmail(email) {
     const { rows } = await query(
-      `SELECT id, email, name, role, password_hash, oauth_provider 
+      `SELECT id, email, name, role, password_hash, oauth_provider, email_verified_at,
+              (email_verified_at IS NOT NULL) AS "isVerified", two_factor_enabled_at,
+              failed_login_count, last_failed_login_at, locked_until, is_active, deletion_scheduled_for
        FROM users WHERE email = $1`,
       [email]
     );
@@ -70,7 +109,10 @@ const UserModel = {
 
   async findById(id) {
     const { rows } = await query(
-      `SELECT id, email, name, role, oauth_provider, created_at 
+      `SELECT id, email, name, role, oauth_provider, email_verified_at,
+              (email_verified_at IS NOT NULL) AS "isVerified", two_factor_enabled_at,
+              password_changed_at, (password_hash IS NOT NULL) AS has_password, failed_login_count, last_failed_login_at, locked_until,
+              is_active, deletion_scheduled_for, headline, bio, avatar_url, website_url, social_links, created_at 
        FROM users WHERE id = $1`,
       [id]
     );
@@ -87,7 +129,7 @@ const UserModel = {
     const hashPassword = await bcrypt.hash(newPassword, saltRounds);
     const { rows } = await query(
       `UPDATE users 
-       SET password_hash = $2, updated_at = CURRENT_TIMESTAMP 
+       SET password_hash = $2, password_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP 
        WHERE id = $1 
        RETURNING id, email, name, role`,
       [id, hashPassword]
@@ -95,6 +137,65 @@ const UserModel = {
     return rows[0];
   },
 
+  async markEmailVerified(id) {
+    const { rows } = await query(
+      `UPDATE users 
+       SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $1 
+       RETURNING id, email, name, role, email_verified_at`,
+      [id]
+    );
+    return rows[0] || null;
+  },
+
+  /**
+   * Count a sign-in attempt as failed before the credentials are checked, locking the
+   * account when it reaches maxFailures. Everything happens in one UPDATE, so parallel
+   * requests cannot all pass the limit. Returns null when the account is locked or still
+   * inside its progressive delay; `locked` is true when this attempt started a lockout.
+   */
+  async claimLoginAttempt(id, { maxFailures, lockoutMinutes, delayAfter, maxDelaySeconds }) {
+    const { rows } = await query(
+      `UPDATE users
+       SET failed_login_count = COALESCE(failed_login_count, 0) + 1,
+           last_failed_login_at = CURRENT_TIMESTAMP,
+           locked_until = CASE WHEN COALESCE(failed_login_count, 0) + 1 >= $2
+                               THEN CURRENT_TIMESTAMP + make_interval(mins => $3)
+                               ELSE NULL END
+       WHERE id = $1
+         AND (locked_until IS NULL OR locked_until <= CURRENT_TIMESTAMP)
+         AND (COALESCE(failed_login_count, 0) < $4 OR last_failed_login_at IS NULL
+              OR last_failed_login_at + make_interval(secs => LEAST(POWER(2, failed_login_count - $4), $5))
+                 <= CURRENT_TIMESTAMP)
+       RETURNING id, failed_login_count, locked_until, (locked_until IS NOT NULL) AS locked`,
+      [id, maxFailures, lockoutMinutes, delayAfter, maxDelaySeconds]
+    );
+    return rows[0] || null;
+  },
+
+  // Take back a claimed attempt whose credentials turned out to be valid (a second factor is still pending)
+  async releaseLoginAttempt(id, { unlock = false } = {}) {
+    await query(
+      `UPDATE users
+       SET failed_login_count = GREATEST(COALESCE(failed_login_count, 0) - 1, 0),
+           locked_until = CASE WHEN $2 THEN NULL ELSE locked_until END
+       WHERE id = $1`,
+      [id, unlock]
+    );
+  },
+
+  // Clear failed attempts and any lockout (successful login, password reset or admin unlock)
+  async resetLoginFailures(id) {
+    const { rows } = await query(
+      `UPDATE users 
+       SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL 
+       WHERE id = $1 
+       RETURNING id, email, name, role`,
+      [id]
+    );
+    return rows[0] || null;
+  },
+
   async update(id, userData) {
     const fields = Object.keys(userData).filter(key => userData[key] !== undefined);
     if (fields.length === 0) return await this.findById(id);
@@ -106,22 +207,87 @@ const UserModel = {
       `UPDATE users 
        SET ${setClause}, updated_at = CURRENT_TIMESTAMP 
        WHERE id = $1 
-       RETURNING id, email, name, role`,
+       RETURNING id, email, name, role, headline, bio, avatar_url, website_url, social_links`,
       [id, ...values]
     );
     return rows[0];
   },
 
-  async findAllWithPagination({ limit = 20, offset = 0 }) {
+  // Public profile of an active instructor; null for students and deleted or suspended accounts
+  async findPublicInstructorProfile(id) {
+    const { rows } = await query(
+      `SELECT id, name, headline, bio, avatar_url, website_url, social_links, created_at
+       FROM users
+       WHERE id = $1 AND role IN ('instructor', 'admin') AND is_active = true AND anonymized_at IS NULL`,
+      [id]
+    );
+    return rows[0] || null;
+  },
+
+  /**
+   * Admin user directory with search, filters and sorting
+   * @param {Object} options - limit, offset, search, role, is_active, oauth_provider,
+   *   last_login_from, last_login_to, sort_by, sort_order
+   */
+  async findAllWithPagination({
+    limit = 20,
+    offset = 0,
+    search,
+    role,
+    is_active,
+    oauth_provider,
+    last_login_from,
+    last_login_to,
+    sort_by = 'created_at',
+    sort_order = 'desc'
+  } = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (search) {
+      values.push(`%${escapeLike(search)}%`);
+      conditions.push(`(name ILIKE $${values.length} OR email ILIKE $${values.length})`);
+    }
+    if (role) {
+      values.push(role);
+      conditions.push(`role = $${values.length}`);
+    }
+    if (is_active !== undefined) {
+      values.push(is_active);
+      conditions.push(`is_active = $${values.length}`);
+    }
+    // Linked sign-in providers live in user_identities; 'local' means none are linked
+    if (oauth_provider === 'local') {
+      conditions.push(`NOT EXISTS (SELECT 1 FROM user_identities ui WHERE ui.user_id = users.id)`);
+    } else if (oauth_provider) {
+      values.push(oauth_provider);
+      conditions.push(`EXISTS (SELECT 1 FROM user_identities ui WHERE ui.user_id = users.id AND ui.provider = $${values.length})`);
+    }
+    if (last_login_from) {
+      values.push(last_login_from);
+      conditions.push(`last_login >= $${values.length}`);
+    }
+    if (last_login_to) {
+      values.push(last_login_to);
+      conditions.push(`last_login <= $${values.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    // Only whitelisted columns reach ORDER BY
+    const sortColumn = USER_SORT_COLUMNS.includes(sort_by) ? sort_by : 'created_at';
+    const sortDirection = sort_order === 'asc' ? 'ASC' : 'DESC';
+
     const usersQuery = query(
-      `SELECT id, email, name, role, created_at, updated_at 
+      `SELECT id, email, name, role, oauth_provider, is_active, suspended_at, suspension_reason,
+              (email_verified_at IS NOT NULL) AS "isVerified", last_login, created_at, updated_at 
        FROM users 
-       ORDER BY created_at DESC 
-       LIMIT $1 OFFSET $2`,
-      [limit, offset]
+       ${whereClause}
+       ORDER BY ${sortColumn} ${sortDirection} NULLS LAST, id ${sortDirection}
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
     );
     
-    const countQuery = query(`SELECT COUNT(*) FROM users`);
+    const countQuery = query(`SELECT COUNT(*) FROM users ${whereClause}`, values);
     
     const [usersResult, countResult] = await Promise.all([usersQuery, countQuery]);
     
@@ -131,60 +297,149 @@ const UserModel = {
     };
   },
 
-  async softDelete(id) {
-    // Since you don't have is_active anymore, use DELETE
+  async suspend(id, { reason = null, suspendedBy = null } = {}) {
     const { rows } = await query(
-      `DELETE FROM users 
+      `UPDATE users 
+       SET is_active = false, suspended_at = CURRENT_TIMESTAMP, suspended_by = $2,
+           suspension_reason = $3, updated_at = CURRENT_TIMESTAMP
        WHERE id = $1 
-       RETURNING id, email, name, role`,
+       RETURNING id, email, name, role, is_active, suspended_at, suspension_reason`,
+      [id, suspendedBy, reason]
+    );
+    return rows[0] || null;
+  },
+
+  async reactivate(id) {
+    const { rows } = await query(
+      `UPDATE users 
+       SET is_active = true, suspended_at = NULL, suspended_by = NULL,
+           suspension_reason = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND anonymized_at IS NULL
+       RETURNING id, email, name, role, is_active`,
       [id]
     );
-    return rows[0];
+    return rows[0] || null;
   },
 
-  async createOAuthUser({ email, name, oauth_provider }) {
+  async scheduleDeletion(id, scheduledFor) {
+    const { rows } = await query(
+      `UPDATE users 
+       SET deletion_requested_at = CURRENT_TIMESTAMP, deletion_scheduled_for = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND anonymized_at IS NULL
+       RETURNING id, email, name, deletion_requested_at, deletion_scheduled_for`,
+      [id, scheduledFor]
+    );
+    return rows[0] || null;
+  },
+
+  async cancelDeletion(id) {
+    const { rows } = await query(
+      `UPDATE users 
+       SET deletion_requested_at = NULL, deletion_scheduled_for = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND deletion_scheduled_for IS NOT NULL AND anonymized_at IS NULL
+       RETURNING id, email, name`,
+      [id]
+    );
+    return rows[0] || null;
+  },
+
+  async findDueForDeletion(limit = 50) {
+    const { rows } = await query(
+      `SELECT id FROM users
+       WHERE deletion_scheduled_for <= CURRENT_TIMESTAMP AND anonymized_at IS NULL
+       ORDER BY deletion_scheduled_for
+       LIMIT $1`,
+      [limit]
+    );
+    return rows.map(row => row.id);
+  },
+
+  /**
+   * Remove personal data but keep the user row as an anonymous placeholder, so quiz
+   * attempts, reviews and graded submissions still count in statistics.
+   */
+  async anonymize(id) {
+    const client = await pool.connect();
     try {
-      const { rows } = await query(
-        `INSERT INTO users (email, name, oauth_provider, role)
-         VALUES ($1, $2, $3, 'student')
-         RETURNING id, email, name, role, oauth_provider, created_at`,
-        [email, name, oauth_provider]
+      await client.query('BEGIN');
+
+      const { rows } = await client.query(
+        `UPDATE users 
+         SET name = 'Deleted user', email = 'deleted-user-' || id || '@deleted.invalid',
+             password_hash = NULL, oauth_provider = NULL, two_factor_secret = NULL, headline = NULL,
+             bio = NULL, avatar_url = NULL, website_url = NULL, social_links = NULL,
+             two_factor_enabled_at = NULL, email_verified_at = NULL, last_login = NULL,
+             is_active = false, suspension_reason = NULL, deletion_scheduled_for = NULL,
+             anonymized_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND anonymized_at IS NULL
+         RETURNING id, email, name, role, anonymized_at`,
+        [id]
       );
-      return rows[0];
-    } catch (error) {
-      if (error.code === "23505") {
-        throw new Error("Email already exists");
+      if (rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
       }
-      throw error;
-    }
-  },
 
-  async findByGoogleId(googleId) {
-    try {
-      const { rows } = await query(
-        'SELECT * FROM users WHERE oauth_id = $1 AND oauth_provider = $2',
-        [googleId, 'google']
+      // Credentials, devices and private data
+      const personalTables = [
+        'user_identities', 'user_sessions', 'refresh_tokens', 'personal_access_tokens',
+        'two_factor_recovery_codes', 'user_action_tokens', 'user_settings', 'notifications', 'data_exports',
+        'course_staff'
+      ];
+      for (const table of personalTables) {
+        await client.query(`DELETE FROM ${table} WHERE user_id = $1`, [id]);
+      }
+      await client.query(`DELETE FROM login_attempts WHERE user_id = $1`, [id]);
+
+      // Graded work stays for course statistics, without the submitted content
+      await client.query(
+        `DELETE FROM assignment_submissions WHERE student_id = $1 AND status = 'submitted'`,
+        [id]
       );
-      return rows[0] || null;
+      await client.query(
+        `UPDATE assignment_submissions SET submission_text = NULL, file_url = NULL WHERE student_id = $1`,
+        [id]
+      );
+
+      await client.query('COMMIT');
+      return rows[0];
     } catch (error) {
+      await client.query('ROLLBACK');
       throw error;
+    } finally {
+      client.release();
     }
   },
 
-  async createGoogleUser({ oauth_id, email, name, oauth_provider }) {
+  // Create the user together with their first provider identity, so a failure never
+  // leaves an account that cannot sign in
+  async createOAuthUser({ email, name, oauth_provider, provider_user_id, email_verified = true }) {
+    const client = await pool.connect();
     try {
-      // We're removing the duplicate email check here since it's now handled in the passport strategy
-      const { rows } = await query(
-        `INSERT INTO users (oauth_id, oauth_provider, email, name, role)
-         VALUES ($1, $2, $3, $4, 'student')
-         RETURNING id, email, name, role, oauth_id, oauth_provider, created_at`,
-        [oauth_id, oauth_provider, email, name]
+      await client.query('BEGIN');
+
+      const { rows } = await client.query(
+        `INSERT INTO users (oauth_provider, email, name, role, email_verified_at)
+         VALUES ($1, $2, $3, 'student', CASE WHEN $4::boolean THEN CURRENT_TIMESTAMP END)
+         RETURNING id, email, name, role, oauth_provider, created_at`,
+        [oauth_provider, email, name, email_verified]
+      );
+      await client.query(
+        `INSERT INTO user_identities (user_id, provider, provider_user_id, email)
+         VALUES ($1, $2, $3, $4)`,
+        [rows[0].id, oauth_provider, provider_user_id, email]
       );
+
+      await client.query('COMMIT');
       return rows[0];
     } catch (error) {
-      // This will only happen if there's a database constraint violation
-      // that isn't handled by the strategy (like a unique constraint on oauth_id)
+      await client.query('ROLLBACK');
+      if (error.code === "23505") {
+        throw new Error(error.table === 'user_identities' ? "Identity already linked" : "Email already exists");
+      }
       throw error;
+    } finally {
+      client.release();
     }
   }
 };
@@ -6,75 +6,43 @@
 import express from 'express';
 import userController from "../controllers/userController.js";
 import {
-    googleAuth,
     getCurrentUser,
     logout,
-    refreshToken
+    refreshToken,
+    listOAuthProviders,
+    oauthAuthorize,
+    oauthCallback
   } from '../controllers/oauthController.js';
-import { authenticateToken } from '../middleware/auth.js';
-import passport from '../config/passport.js';
-import { generateToken, generateRefreshToken } from '../utils/helper.js';
+import twoFactorController from '../controllers/twoFactorController.js';
+import identityController from '../controllers/identityController.js';
+import { authenticateToken, authenticateChallenge, blockDuringImpersonation } from '../middleware/auth.js';
+import { CHALLENGE_PURPOSES } from '../services/twoFactorService.js';
   
 const router = express.Router();
 
 router.post("/register", userController.register);
 router.post("/login", userController.login);
+router.post("/magic-link", userController.requestMagicLink);
+router.post("/magic-link/verify", userController.verifyMagicLink);
 router.post("/change-password", userController.changePassword);
+router.post("/forgot-password", userController.forgotPassword);
+router.post("/reset-password", userController.resetPassword);
+router.get("/verify-email", userController.verifyEmail);
+router.post("/verify-email/resend", authenticateToken, userController.resendVerificationEmail);
 
+// Two-factor login step (challengeToken comes from /login)
+router.post("/2fa/verify", authenticateChallenge(CHALLENGE_PURPOSES.VERIFY), twoFactorController.verifyLogin);
+router.post("/2fa/setup", authenticateChallenge(CHALLENGE_PURPOSES.SETUP), twoFactorController.setup);
+router.post("/2fa/enable", authenticateChallenge(CHALLENGE_PURPOSES.SETUP), twoFactorController.enable);
 
-// Google OAuth routes
-router.get('/google', googleAuth);
-router.get('/google/callback', 
-  passport.authenticate('google', { 
-    session: false, 
-    failureRedirect: `${process.env.CLIENT_URL}/login?oauth=fail`, 
-  }), 
-  (req, res) => { 
-    // This only runs if authentication was successful 
-    const user = req.user; 
 
-    // Generate JWTs 
-    const accessToken = generateToken(user.id, user.role); 
-    const refreshToken = generateRefreshToken(user.id, user.role); 
-    
-    // Set HTTP-only cookies for security
-    res.cookie('accessToken', accessToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
-    
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
-    });
-    
-    // Also set accessible cookies for client-side auth (less secure but needed for SPA)
-    res.cookie('clientAccessToken', accessToken, {
-      httpOnly: false,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
-    
-    res.cookie('clientRefreshToken', refreshToken, {
-      httpOnly: false,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
-    });
-    
-    // Redirect to OAuth success page for token handling
-    return res.redirect(`${process.env.CLIENT_URL}/oauth/success`);
-  }
-);
+// OAuth / OpenID Connect providers
+router.get('/providers', listOAuthProviders);
+router.post('/identities/confirm', identityController.confirmLink);
 
 // User authentication routes
 router.get('/user', authenticateToken, getCurrentUser);
-router.post('/logout', authenticateToken, logout);
+router.post('/logout', authenticateToken, blockDuringImpersonation, logout);
 router.post('/refresh', refreshToken);
 
 // User profile route
@@ -89,4 +57,8 @@ router.get('/protected', authenticateToken, (req, res) => {
   });
 });
 
+// Provider routes are matched last so they never shadow the routes above
+router.get('/:provider', oauthAuthorize);
+router.get('/:provider/callback', oauthCallback);
+
 export default router;
@@ -0,0 +1,17 @@
+import express from 'express';
+import categoryController from '../controllers/categoryController.js';
+import { authenticateToken, authorizeAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/',             categoryController.getCategoryTree);
+router.get('/:idOrSlug',    categoryController.getCategory);
+
+// Admin routes
+router.post('/',            authenticateToken, authorizeAdmin, categoryController.createCategory);
+router.put('/:id',          authenticateToken, authorizeAdmin, categoryController.updateCategory);
+router.post('/:id/merge',   authenticateToken, authorizeAdmin, categoryController.mergeCategory);
+router.delete('/:id',       authenticateToken, authorizeAdmin, categoryController.deleteCategory);
+
+export default router;
@@ -1,17 +1,24 @@
 import express from 'express';
 import courseController from '../controllers/courseController.js';
-import { authenticateToken, authorizeAdmin } from '../middleware/auth.js';
+import courseStaffController from '../controllers/courseStaffController.js';
+import courseTransferController from '../controllers/courseTransferController.js';
+import announcementController from '../controllers/announcementController.js';
+import featuredCourseController from '../controllers/featuredCourseController.js';
+import { authenticateToken, authorizeAdmin, requireVerifiedEmail } from '../middleware/auth.js';
 
 const router = express.Router();
 
 /* ---------- Public ---------- */
 router.get('/',                    courseController.getAllCourses);
 router.get('/approved',            courseController.getApprovedCourses);
-router.get('/featured',            courseController.getFeaturedCourses);
+router.get('/featured',            featuredCourseController.getFeaturedCourses);
 
 /* ---------- Admin-only routes ---------- */
 router.get('/pending',             authenticateToken, authorizeAdmin, courseController.getPendingCourses);
 router.get('/rejected',            authenticateToken, authorizeAdmin, courseController.getRejectedCourses);
+router.get('/featured/curated',    authenticateToken, authorizeAdmin, featuredCourseController.getCuratedCourses);
+router.put('/:id/feature',         authenticateToken, authorizeAdmin, featuredCourseController.featureCourse);
+router.delete('/:id/feature',      authenticateToken, authorizeAdmin, featuredCourseController.unfeatureCourse);
 
 /* ---------- Auth‑protected but   *specific* paths ---------- */
 router.get('/instructor/me',       authenticateToken, courseController.getInstructorCourses);
@@ -19,6 +26,15 @@ router.get('/instructor',          authenticateToken, courseController.getInstru
 router.get('/instructor/:id',      authenticateToken, courseController.getInstructorCourses);
 
 router.get('/enrolled',            authenticateToken, courseController.getEnrolledCourses);
+router.get('/staff-invitations',   authenticateToken, courseStaffController.getMyInvitations);
+
+// Ownership transfers
+router.post('/transfers',          authenticateToken, authorizeAdmin, courseTransferController.transferAllCourses);
+router.get('/transfer-requests',   authenticateToken, courseTransferController.getTransferRequests);
+router.post('/transfer-requests',  authenticateToken, courseTransferController.createTransferRequest);
+router.post('/transfer-requests/:requestId/accept',  authenticateToken, courseTransferController.acceptTransferRequest);
+router.post('/transfer-requests/:requestId/decline', authenticateToken, courseTransferController.declineTransferRequest);
+router.delete('/transfer-requests/:requestId',       authenticateToken, courseTransferController.cancelTransferRequest);
 
 router.put('/:id/publish',         authenticateToken, courseController.publishCourse);
 router.put('/:id/unpublish',       authenticateToken, courseController.unpublishCourse);
@@ -26,10 +42,23 @@ router.put('/:id/approve',         authenticateToken, authorizeAdmin, courseCont
 router.put('/:id/resubmit',        authenticateToken, courseController.resubmitCourse);
 
 router.get('/:id/analytics',       authenticateToken, courseController.getCourseAnalytics);
-router.post('/:id/announcements',  authenticateToken, courseController.createAnnouncement);
+
+router.get('/:id/announcements',   authenticateToken, announcementController.getAnnouncements);
+router.post('/:id/announcements',  authenticateToken, announcementController.createAnnouncement);
+router.get('/:id/announcements/:announcementId',    authenticateToken, announcementController.getAnnouncement);
+router.put('/:id/announcements/:announcementId',    authenticateToken, announcementController.updateAnnouncement);
+router.delete('/:id/announcements/:announcementId', authenticateToken, announcementController.deleteAnnouncement);
+
+router.get('/:id/staff',           authenticateToken, courseStaffController.getStaff);
+router.post('/:id/staff',          authenticateToken, courseStaffController.inviteStaff);
+router.post('/:id/staff/accept',   authenticateToken, courseStaffController.acceptInvitation);
+router.delete('/:id/staff/:userId', authenticateToken, courseStaffController.removeStaff);
+
+router.put('/:id/owner',           authenticateToken, authorizeAdmin, courseTransferController.transferCourse);
+router.get('/:id/history',         authenticateToken, courseTransferController.getCourseHistory);
 
 /* ---------- CRUD (auth‑protected) ---------- */
-router.post('/',                   authenticateToken, courseController.createCourse);
+router.post('/',                   authenticateToken, requireVerifiedEmail('course_creation'), courseController.createCourse);
 router.put('/:id',                 authenticateToken, courseController.updateCourse);
 router.delete('/:id',              authenticateToken, courseController.deleteCourse);
 
@@ -1,11 +1,11 @@
 import express from 'express';
 import enrollmentController from '../controllers/enrollmentController.js';
-import { authenticateToken, authorizeAdmin, authorizeInstructor } from '../middleware/auth.js';
+import { authenticateToken, authorizeAdmin, authorizeInstructor, requireVerifiedEmail } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Protected routes (require authentication)
-router.post('/', authenticateToken, enrollmentController.enrollInCourse);
+router.post('/', authenticateToken, requireVerifiedEmail('enrollment'), enrollmentController.enrollInCourse);
 router.get('/user', authenticateToken, enrollmentController.getMyEnrollments);
 router.get('/:id', authenticateToken, enrollmentController.getEnrollmentById); // Includes authorization check inside controller
 router.delete('/:id', authenticateToken, enrollmentController.unenrollFromCourse); // Includes authorization check inside controller
@@ -10,6 +10,9 @@ import notificationRoutes from './notificationRoutes.js';
 import reviewRoutes from './reviewRoutes.js';
 import authRoutes from './auth.js';
 import instructorRoutes from './instructorRoutes.js';
+import instructorProfileRoutes from './instructorProfileRoutes.js';
+import categoryRoutes from './categoryRoutes.js';
+import tagRoutes from './tagRoutes.js';
 import uploadRoutes from './UploadRoutes.js';
 import { authenticateToken } from '../middleware/auth.js';
 
@@ -24,6 +27,8 @@ router.get('/', (req, res) => {
 router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
 router.use('/courses', courseRoutes);
+router.use('/categories', categoryRoutes);
+router.use('/tags', tagRoutes);
 router.use('/modules', moduleRoutes);
 router.use('/lessons', lessonRoutes);
 router.use('/enrollments', enrollmentRoutes);
@@ -32,6 +37,7 @@ router.use('/assignments', assignmentRoutes);
 router.use('/notifications', authenticateToken, notificationRoutes);
 router.use('/reviews', reviewRoutes);
 router.use('/instructor', instructorRoutes);
+router.use('/instructors', instructorProfileRoutes);
 router.use('/files', uploadRoutes);
 
 export default router;
\ No newline at end of file
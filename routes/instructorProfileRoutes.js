@@ -0,0 +1,9 @@
+import express from 'express';
+import instructorProfileController from '../controllers/instructorProfileController.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/:id', instructorProfileController.getInstructorProfile);
+
+export default router;
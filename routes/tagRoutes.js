@@ -0,0 +1,16 @@
+import express from 'express';
+import tagController from '../controllers/tagController.js';
+import { authenticateToken, authorizeAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/',               tagController.getTags);
+router.get('/:slug/courses',  tagController.getTagCourses);
+
+// Admin routes
+router.put('/:id',            authenticateToken, authorizeAdmin, tagController.renameTag);
+router.post('/:id/merge',     authenticateToken, authorizeAdmin, tagController.mergeTag);
+router.delete('/:id',         authenticateToken, authorizeAdmin, tagController.deleteTag);
+
+export default router;
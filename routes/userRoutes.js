@@ -1,6 +1,16 @@
 import express from 'express';
 import userController from '../controllers/userController.js';
-import { authenticateToken, authorizeAdmin } from '../middleware/auth.js';
+import sessionController from '../controllers/sessionController.js';
+import twoFactorController from '../controllers/twoFactorController.js';
+import loginSecurityController from '../controllers/loginSecurityController.js';
+import identityController from '../controllers/identityController.js';
+import userImportController from '../controllers/userImportController.js';
+import impersonationController from '../controllers/impersonationController.js';
+import personalAccessTokenController from '../controllers/personalAccessTokenController.js';
+import dataExportController from '../controllers/dataExportController.js';
+import userSettingsController from '../controllers/userSettingsController.js';
+import { authenticateToken, authorizeAdmin, blockDuringImpersonation } from '../middleware/auth.js';
+import { csvUpload } from '../middleware/upload.js';
 
 const router = express.Router();
 
@@ -10,13 +20,64 @@ router.post('/login', userController.login);
 
 // Protected routes
 router.get('/profile', authenticateToken, userController.getProfile);
-router.put('/profile', authenticateToken, userController.updateProfile);
-router.put('/change-password', authenticateToken, userController.changePassword);
-router.delete('/account', authenticateToken, userController.deleteAccount);
+router.put('/profile', authenticateToken, blockDuringImpersonation, userController.updateProfile);
+router.put('/change-password', authenticateToken, blockDuringImpersonation, userController.changePassword);
+router.delete('/account', authenticateToken, blockDuringImpersonation, userController.deleteAccount);
+router.post('/account/cancel-deletion', authenticateToken, blockDuringImpersonation, userController.cancelAccountDeletion);
+
+// Settings (notification preferences, theme, language)
+router.get('/me/settings', authenticateToken, userSettingsController.getMySettings);
+router.put('/me/settings', authenticateToken, blockDuringImpersonation, userSettingsController.updateMySettings);
+
+// Personal data export (the download link is sent as a notification)
+router.post('/me/export', authenticateToken, blockDuringImpersonation, dataExportController.requestExport);
+router.get('/me/exports', authenticateToken, dataExportController.getMyExports);
+router.get('/me/export/:exportId/download', dataExportController.download);
+
+// Two-factor authentication
+router.get('/2fa', authenticateToken, twoFactorController.getStatus);
+router.post('/2fa/setup', authenticateToken, blockDuringImpersonation, twoFactorController.setup);
+router.post('/2fa/enable', authenticateToken, blockDuringImpersonation, twoFactorController.enable);
+router.post('/2fa/disable', authenticateToken, blockDuringImpersonation, twoFactorController.disable);
+router.post('/2fa/recovery-codes', authenticateToken, blockDuringImpersonation, twoFactorController.regenerateRecoveryCodes);
+
+// Linked sign-in providers
+router.get('/identities', authenticateToken, identityController.getMyIdentities);
+router.post('/identities/:provider', authenticateToken, blockDuringImpersonation, identityController.startLink);
+router.delete('/identities/:provider', authenticateToken, blockDuringImpersonation, identityController.unlink);
+
+// Personal access tokens
+router.get('/tokens', authenticateToken, personalAccessTokenController.getMyTokens);
+router.get('/tokens/scopes', authenticateToken, personalAccessTokenController.getScopes);
+router.post('/tokens', authenticateToken, blockDuringImpersonation, personalAccessTokenController.createToken);
+router.delete('/tokens/:tokenId', authenticateToken, blockDuringImpersonation, personalAccessTokenController.revokeToken);
+
+// Session (device) management
+router.get('/sessions', authenticateToken, sessionController.getMySessions);
+router.delete('/sessions/others', authenticateToken, blockDuringImpersonation, sessionController.revokeOtherSessions);
+router.delete('/sessions/:sessionId', authenticateToken, blockDuringImpersonation, sessionController.revokeMySession);
+
+// Impersonation ("view as user")
+router.post('/impersonation/end', authenticateToken, impersonationController.end);
 
 // Admin routes
 router.get('/', authenticateToken, authorizeAdmin, userController.getUsers);
+router.get('/export', authenticateToken, authorizeAdmin, userImportController.exportUsers);
+router.post('/import', authenticateToken, authorizeAdmin, csvUpload.single('file'), userImportController.importUsers);
+router.get('/security/two-factor-policy', authenticateToken, authorizeAdmin, twoFactorController.getPolicy);
+router.put('/security/two-factor-policy', authenticateToken, authorizeAdmin, twoFactorController.updatePolicy);
+router.get('/security/login-attempts', authenticateToken, authorizeAdmin, loginSecurityController.getLoginAttempts);
+router.get('/security/login-attempts/summary', authenticateToken, authorizeAdmin, loginSecurityController.getLoginAttemptSummary);
+router.get('/impersonation/sessions', authenticateToken, authorizeAdmin, impersonationController.getSessions);
+router.get('/impersonation/sessions/:impersonationId', authenticateToken, authorizeAdmin, impersonationController.getSessionRequests);
+router.post('/:id/impersonate', authenticateToken, authorizeAdmin, impersonationController.start);
+router.post('/:id/suspend', authenticateToken, authorizeAdmin, userController.suspendUser);
+router.post('/:id/reactivate', authenticateToken, authorizeAdmin, userController.reactivateUser);
+router.post('/:id/unlock', authenticateToken, authorizeAdmin, loginSecurityController.unlockUser);
 router.put('/:userId/role', authenticateToken, authorizeAdmin, userController.updateUserRole);
+router.get('/:id/sessions', authenticateToken, authorizeAdmin, sessionController.getUserSessions);
+router.delete('/:id/sessions', authenticateToken, authorizeAdmin, sessionController.revokeAllUserSessions);
+router.delete('/:id/sessions/:sessionId', authenticateToken, authorizeAdmin, sessionController.revokeUserSession);
 router.delete('/:id', authenticateToken, authorizeAdmin, userController.deleteUser);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,180 @@
+/**
+ * Local OpenID Connect provider for trying the generic OIDC sign-in without a real issuer.
+ * Every authorization request signs in straight away as one configured user, so the full
+ * /api/auth/<name> -> callback flow (sign-in, account linking, 2FA hand-off) can be exercised.
+ *
+ *   npm run mock:oidc
+ *
+ * Then start the API with the variables printed on startup (OIDC_PROVIDERS=mock, ...).
+ * ID tokens are unsigned: passport-openidconnect checks their claims but not a signature.
+ * Never point a deployed server at this.
+ *
+ * Environment:
+ *   MOCK_OIDC_PORT       Port to listen on (default 9400)
+ *   MOCK_OIDC_CLIENT_ID  Client ID the API must use (default lms-local)
+ *   MOCK_OIDC_SUB        Subject (provider user ID) of the signed-in user (default mock-user-1)
+ *   MOCK_OIDC_EMAIL      Email of the signed-in user (default mock.user@example.com)
+ *   MOCK_OIDC_NAME       Display name (default Mock User)
+ *   MOCK_OIDC_EMAIL_VERIFIED  "false" to send email_verified: false (default true)
+ *
+ * ?login_hint=<email> on the authorization URL signs in as that email instead.
+ */
+import http from 'http';
+import crypto from 'crypto';
+
+const port = parseInt(process.env.MOCK_OIDC_PORT, 10) || 9400;
+const issuer = `http://localhost:${port}`;
+const clientId = process.env.MOCK_OIDC_CLIENT_ID || 'lms-local';
+const defaultUser = {
+  sub: process.env.MOCK_OIDC_SUB || 'mock-user-1',
+  email: process.env.MOCK_OIDC_EMAIL || 'mock.user@example.com',
+  name: process.env.MOCK_OIDC_NAME || 'Mock User',
+  email_verified: process.env.MOCK_OIDC_EMAIL_VERIFIED !== 'false'
+};
+
+// Authorization codes and access tokens live in memory for the life of the process
+const codes = new Map();
+const accessTokens = new Map();
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+};
+
+const readForm = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => resolve(new URLSearchParams(body)));
+  req.on('error', reject);
+});
+
+// Client credentials arrive as HTTP Basic auth or in the form body
+const clientIdFromRequest = (req, form) => {
+  const [scheme, credentials] = (req.headers.authorization || '').split(' ');
+  if (scheme === 'Basic' && credentials) {
+    return decodeURIComponent(Buffer.from(credentials, 'base64').toString().split(':')[0]);
+  }
+  return form.get('client_id');
+};
+
+const userForHint = (hint) => {
+  if (!hint) return defaultUser;
+  return {
+    ...defaultUser,
+    sub: `mock-${crypto.createHash('sha256').update(hint.toLowerCase()).digest('hex').slice(0, 16)}`,
+    email: hint,
+    name: hint.split('@')[0]
+  };
+};
+
+const authorize = (req, res, url) => {
+  const redirectUri = url.searchParams.get('redirect_uri');
+  if (url.searchParams.get('client_id') !== clientId || !redirectUri) {
+    return sendJson(res, 400, { error: 'invalid_request', error_description: 'Unknown client_id or missing redirect_uri' });
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    user: userForHint(url.searchParams.get('login_hint')),
+    nonce: url.searchParams.get('nonce'),
+    redirectUri
+  });
+
+  const target = new URL(redirectUri);
+  target.searchParams.set('code', code);
+  if (url.searchParams.has('state')) target.searchParams.set('state', url.searchParams.get('state'));
+
+  res.writeHead(302, { Location: target.toString() });
+  res.end();
+};
+
+const token = async (req, res) => {
+  const form = await readForm(req);
+  const grant = codes.get(form.get('code'));
+  codes.delete(form.get('code'));
+
+  if (form.get('grant_type') !== 'authorization_code' || !grant) {
+    return sendJson(res, 400, { error: 'invalid_grant' });
+  }
+  if (clientIdFromRequest(req, form) !== clientId) {
+    return sendJson(res, 401, { error: 'invalid_client' });
+  }
+  if (form.get('redirect_uri') && form.get('redirect_uri') !== grant.redirectUri) {
+    return sendJson(res, 400, { error: 'invalid_grant', error_description: 'redirect_uri does not match' });
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const idToken = [
+    base64url({ alg: 'none', typ: 'JWT' }),
+    base64url({
+      iss: issuer,
+      aud: clientId,
+      iat: now,
+      exp: now + 300,
+      ...(grant.nonce && { nonce: grant.nonce }),
+      ...grant.user
+    }),
+    ''
+  ].join('.');
+
+  const accessToken = crypto.randomBytes(16).toString('hex');
+  accessTokens.set(accessToken, grant.user);
+
+  return sendJson(res, 200, {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+};
+
+const userInfo = (req, res) => {
+  const user = accessTokens.get((req.headers.authorization || '').replace(/^Bearer /, ''));
+  if (!user) {
+    return sendJson(res, 401, { error: 'invalid_token' });
+  }
+  return sendJson(res, 200, user);
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, issuer);
+
+  try {
+    if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        userinfo_endpoint: `${issuer}/userinfo`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['none']
+      });
+    }
+    if (req.method === 'GET' && url.pathname === '/authorize') return authorize(req, res, url);
+    if (req.method === 'POST' && url.pathname === '/token') return await token(req, res);
+    if (req.method === 'GET' && url.pathname === '/userinfo') return userInfo(req, res);
+
+    return sendJson(res, 404, { error: 'not_found' });
+  } catch (error) {
+    console.error('Mock OIDC error:', error);
+    return sendJson(res, 500, { error: 'server_error' });
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Mock OIDC provider listening on ${issuer}`);
+  console.log('Start the API with:');
+  console.log([
+    'OIDC_PROVIDERS=mock',
+    'OIDC_MOCK_LABEL="Mock OIDC"',
+    `OIDC_MOCK_ISSUER=${issuer}`,
+    `OIDC_MOCK_AUTHORIZATION_URL=${issuer}/authorize`,
+    `OIDC_MOCK_TOKEN_URL=${issuer}/token`,
+    `OIDC_MOCK_USERINFO_URL=${issuer}/userinfo`,
+    `OIDC_MOCK_CLIENT_ID=${clientId}`,
+    'OIDC_MOCK_CLIENT_SECRET=mock-secret'
+  ].map(line => `  ${line}`).join('\n'));
+});
@@ -3,6 +3,7 @@ import app from './app.js';
 import dotenv from 'dotenv';
 import { testConnection } from './config/db.js';
 import { setupGlobalErrorHandlers } from './middleware/errorHandler.js';
+import { startScheduler } from './services/scheduler.js';
 
 dotenv.config();
 // Remove this line: app.use(express.json());
@@ -17,6 +18,7 @@ testConnection()
   .then(() => {
     const server = app.listen(PORT, () => {  // ✅ Now 'app' is defined
       console.log(`Server running in ${ENV} mode on port ${PORT}`);
+      startScheduler();
     });
 
     // Handle server shutdown gracefully
@@ -0,0 +1,99 @@
+// Account deletion: a grace period to change your mind, then anonymization of personal data
+import UserModel from '../models/usermodel.js';
+import CourseModel from '../models/courseModel.js';
+import { sendEmail } from './emailService.js';
+
+const gracePeriodDays = () => parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '14');
+
+/**
+ * Instructors must hand over courses that are published or have students first
+ * @param {Object} user - Account to delete
+ * @returns {Promise<number>} Number of courses blocking the deletion
+ */
+export const countBlockingCourses = async (user) => {
+  if (user.role !== 'instructor' && user.role !== 'admin') return 0;
+  return await CourseModel.countActiveByInstructor(user.id);
+};
+
+/**
+ * Schedule a user's own account for deletion and email them how to cancel
+ * @param {Object} user - Signed-in user
+ * @returns {Promise<Object|null>} Updated user, or null if it no longer exists
+ */
+export const scheduleAccountDeletion = async (user) => {
+  const scheduledFor = new Date(Date.now() + gracePeriodDays() * 24 * 60 * 60 * 1000);
+  const scheduled = await UserModel.scheduleDeletion(user.id, scheduledFor);
+  if (!scheduled) return null;
+
+  try {
+    await sendEmail({
+      to: scheduled.email,
+      subject: 'Your account is scheduled for deletion',
+      template: 'account-deletion-scheduled',
+      context: {
+        name: scheduled.name,
+        deletionDate: scheduledFor.toUTCString(),
+        loginLink: `${process.env.BASE_URL || 'http://localhost:3000'}/login`
+      }
+    });
+  } catch (emailError) {
+    console.error('Failed to send account deletion email:', emailError);
+  }
+
+  return scheduled;
+};
+
+// Courses can be published or gain learners during the grace period; such a deletion is
+// cancelled instead of leaving the courses owned by an anonymized account
+const cancelBlockedDeletion = async (user, courseCount) => {
+  await UserModel.cancelDeletion(user.id);
+
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: 'Your account deletion was cancelled',
+      template: 'account-deletion-blocked',
+      context: {
+        name: user.name,
+        courseCount,
+        loginLink: `${process.env.BASE_URL || 'http://localhost:3000'}/login`
+      }
+    });
+  } catch (emailError) {
+    console.error('Failed to send account deletion cancelled email:', emailError);
+  }
+};
+
+/**
+ * Anonymize every account whose grace period has ended
+ * @returns {Promise<number>} Number of accounts anonymized
+ */
+export const processDueDeletions = async () => {
+  const userIds = await UserModel.findDueForDeletion();
+  let processed = 0;
+
+  for (const userId of userIds) {
+    try {
+      const user = await UserModel.findById(userId);
+      if (!user) continue;
+
+      const blockingCourses = await countBlockingCourses(user);
+      if (blockingCourses > 0) {
+        await cancelBlockedDeletion(user, blockingCourses);
+        continue;
+      }
+
+      if (await UserModel.anonymize(userId)) processed++;
+    } catch (error) {
+      console.error(`Failed to anonymize user ${userId}:`, error);
+    }
+  }
+
+  return processed;
+};
+
+export default {
+  countBlockingCourses,
+  scheduleAccountDeletion,
+  processDueDeletions
+};
@@ -0,0 +1,132 @@
+// Course announcements: publishing (now or at a scheduled time) to enrolled learners.
+// Emails are sent by the scheduler after publishing, never during a request.
+import AnnouncementModel from '../models/announcementModel.js';
+import CourseModel from '../models/courseModel.js';
+import EnrollmentModel from '../models/enrollmentModel.js';
+import NotificationModel from '../models/notificationModel.js';
+import { sendEmail } from './emailService.js';
+
+const emailLearners = async (announcement, course) => {
+  const recipients = await EnrollmentModel.findContactsByCourse(course.id);
+  const courseLink = `${process.env.BASE_URL || 'http://localhost:3000'}/courses/${course.id}/announcements`;
+
+  // One undeliverable address should not stop the rest
+  for (const recipient of recipients) {
+    try {
+      await sendEmail({
+        to: recipient.email,
+        userId: recipient.id,
+        notificationType: 'course_announcement',
+        subject: `${course.title}: ${announcement.title}`,
+        template: 'course-announcement',
+        context: {
+          name: recipient.name,
+          authorName: announcement.author_name || course.instructor_name,
+          courseTitle: course.title,
+          title: announcement.title,
+          content: announcement.content,
+          courseLink
+        }
+      });
+    } catch (error) {
+      console.error(`Failed to email announcement ${announcement.id} to user ${recipient.id}:`, error);
+    }
+  }
+};
+
+/**
+ * Notify enrolled learners of an announcement whose publish time has passed.
+ * Each announcement is only ever sent once; its email, if requested, is left to
+ * sendDueAnnouncementEmails.
+ * @param {number} announcementId - Announcement ID
+ * @returns {Promise<Object|null>} The published announcement, or null if it was not due or already sent
+ */
+export const publishAnnouncement = async (announcementId) => {
+  const claimed = await AnnouncementModel.markPublished(announcementId);
+  if (!claimed) return null;
+
+  const [announcement, course] = await Promise.all([
+    AnnouncementModel.findById(claimed.id),
+    CourseModel.findById(claimed.course_id)
+  ]);
+  if (!course) return announcement;
+
+  try {
+    await NotificationModel.createCourseAnnouncement({
+      course_id: course.id,
+      title: announcement.title,
+      message: announcement.content,
+      instructor_id: announcement.author_id
+    });
+  } catch (error) {
+    console.error(`Failed to notify learners of announcement ${announcement.id}:`, error);
+  }
+
+  return announcement;
+};
+
+/**
+ * Store an announcement and publish it right away unless it is scheduled for later
+ * @param {Object} announcement - Validated fields plus course_id and author_id
+ * @returns {Promise<Object>} Stored announcement
+ */
+export const createAnnouncement = async (announcement) => {
+  const created = await AnnouncementModel.create(announcement);
+  return await publishAnnouncement(created.id) || await AnnouncementModel.findById(created.id);
+};
+
+/**
+ * Publish scheduled announcements that are due. Runs from the scheduler.
+ * @returns {Promise<number>} Number of announcements published
+ */
+export const publishDueAnnouncements = async () => {
+  const announcementIds = await AnnouncementModel.findDue();
+  let published = 0;
+
+  for (const announcementId of announcementIds) {
+    try {
+      if (await publishAnnouncement(announcementId)) published++;
+    } catch (error) {
+      console.error(`Failed to publish announcement ${announcementId}:`, error);
+    }
+  }
+
+  return published;
+};
+
+/**
+ * Email published announcements to their learners. Runs from the scheduler.
+ * @returns {Promise<number>} Number of announcements emailed
+ */
+export const sendDueAnnouncementEmails = async () => {
+  const announcementIds = await AnnouncementModel.findEmailDue();
+  let sent = 0;
+
+  for (const announcementId of announcementIds) {
+    try {
+      // Claimed before sending so overlapping runs never email learners twice
+      const claimed = await AnnouncementModel.markEmailed(announcementId);
+      if (!claimed) continue;
+
+      const [announcement, course] = await Promise.all([
+        AnnouncementModel.findById(claimed.id),
+        CourseModel.findById(claimed.course_id)
+      ]);
+      if (!announcement || !course) continue;
+
+      await emailLearners(announcement, course);
+      sent++;
+    } catch (error) {
+      console.error(`Failed to email announcement ${announcementId}:`, error);
+    }
+  }
+
+  return sent;
+};
+
+export default {
+  createAnnouncement,
+  publishAnnouncement,
+  publishDueAnnouncements,
+  sendDueAnnouncementEmails
+};
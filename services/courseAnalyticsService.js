@@ -0,0 +1,143 @@
+// Course analytics: live figures for the analytics endpoint and daily snapshots for trends
+import CourseAnalyticsModel from '../models/courseAnalyticsModel.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACTIVE_LEARNER_WINDOWS = [7, 30];
+
+const percentage = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : null);
+
+// UTC calendar date as YYYY-MM-DD
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+// Each lesson's completions against the step before it (enrollments for the first lesson)
+const buildFunnel = (steps, enrollments) => {
+  let previous = enrollments;
+  return steps.map(step => {
+    const dropOff = Math.max(previous - step.completed, 0);
+    const row = {
+      ...step,
+      completion_rate: percentage(step.completed, enrollments),
+      drop_off: dropOff,
+      drop_off_rate: percentage(dropOff, previous)
+    };
+    previous = step.completed;
+    return row;
+  });
+};
+
+/**
+ * Live analytics for one course
+ * @param {number} courseId - Course ID
+ * @param {Object} options
+ * @param {string} options.interval - 'day' or 'week' buckets for the enrollment series
+ * @param {number} options.days - How far back the series and trends go
+ * @returns {Promise<Object>}
+ */
+export const getCourseAnalytics = async (courseId, { interval = 'day', days = 30 } = {}) => {
+  const now = new Date();
+  const from = new Date(now.getTime() - days * DAY_MS);
+
+  const [summary, activeCounts, enrollmentSeries, funnelSteps, quizzes, assignments, trends] = await Promise.all([
+    CourseAnalyticsModel.getSummary(courseId, now),
+    Promise.all(ACTIVE_LEARNER_WINDOWS.map(windowDays => (
+      CourseAnalyticsModel.countActiveLearners(courseId, new Date(now.getTime() - windowDays * DAY_MS), now)
+    ))),
+    CourseAnalyticsModel.getEnrollmentSeries(courseId, { interval, from, until: now }),
+    CourseAnalyticsModel.getLessonFunnel(courseId),
+    CourseAnalyticsModel.getQuizPassRates(courseId),
+    CourseAnalyticsModel.getAssignmentSubmissionRates(courseId),
+    CourseAnalyticsModel.findSnapshots(courseId, { from: toDateString(from), until: toDateString(now) })
+  ]);
+
+  const { enrollments } = summary;
+  const quizLearners = quizzes.reduce((sum, quiz) => sum + quiz.learners_attempted, 0);
+  const quizLearnersPassed = quizzes.reduce((sum, quiz) => sum + quiz.learners_passed, 0);
+  const submissions = assignments.reduce((sum, assignment) => sum + assignment.submissions, 0);
+
+  return {
+    course_id: Number(courseId),
+    period: { from: toDateString(from), until: toDateString(now), interval },
+    summary: {
+      enrollments,
+      completions: summary.completions,
+      completion_rate: percentage(summary.completions, enrollments),
+      avg_completion_days: summary.avg_completion_days,
+      active_learners: ACTIVE_LEARNER_WINDOWS.reduce((obj, windowDays, index) => {
+        obj[`last_${windowDays}_days`] = activeCounts[index];
+        return obj;
+      }, {}),
+      quiz_pass_rate: percentage(quizLearnersPassed, quizLearners),
+      assignment_submission_rate: percentage(submissions, assignments.length * enrollments)
+    },
+    enrollments: enrollmentSeries,
+    funnel: buildFunnel(funnelSteps, enrollments),
+    quizzes: quizzes.map(quiz => ({
+      ...quiz,
+      pass_rate: percentage(quiz.learners_passed, quiz.learners_attempted)
+    })),
+    assignments: assignments.map(assignment => ({
+      ...assignment,
+      submission_rate: percentage(assignment.submissions, enrollments)
+    })),
+    trends
+  };
+};
+
+/**
+ * Store a course's figures as they stood at the end of a (UTC) day
+ * @param {number} courseId - Course ID
+ * @param {string} snapshotDate - YYYY-MM-DD
+ * @returns {Promise<Object>} Stored snapshot
+ */
+export const recordSnapshot = async (courseId, snapshotDate) => {
+  const dayStart = new Date(`${snapshotDate}T00:00:00Z`);
+  const dayEnd = new Date(dayStart.getTime() + DAY_MS);
+
+  const [summary, previous, activeLearners, totals] = await Promise.all([
+    CourseAnalyticsModel.getSummary(courseId, dayEnd),
+    CourseAnalyticsModel.getSummary(courseId, dayStart),
+    CourseAnalyticsModel.countActiveLearners(courseId, new Date(dayEnd.getTime() - 7 * DAY_MS), dayEnd),
+    CourseAnalyticsModel.getLearningTotals(courseId, dayEnd)
+  ]);
+
+  return await CourseAnalyticsModel.upsertSnapshot({
+    course_id: courseId,
+    snapshot_date: snapshotDate,
+    enrollments: summary.enrollments,
+    new_enrollments: summary.enrollments - previous.enrollments,
+    active_learners: activeLearners,
+    completions: summary.completions,
+    completion_rate: percentage(summary.completions, summary.enrollments) ?? 0,
+    quiz_pass_rate: percentage(totals.quiz_learners_passed, totals.quiz_learners),
+    assignment_submission_rate: percentage(totals.submissions, totals.assignments * summary.enrollments),
+    avg_completion_days: summary.avg_completion_days
+  });
+};
+
+/**
+ * Snapshot yesterday for tracked courses that do not have one yet. Runs from the
+ * scheduler; courses left over (or failed) are picked up on the next run.
+ * @returns {Promise<number>} Number of snapshots written
+ */
+export const recordDailySnapshots = async () => {
+  const snapshotDate = toDateString(new Date(Date.now() - DAY_MS));
+  const courseIds = await CourseAnalyticsModel.findCoursesMissingSnapshot(snapshotDate);
+  let recorded = 0;
+
+  for (const courseId of courseIds) {
+    try {
+      await recordSnapshot(courseId, snapshotDate);
+      recorded++;
+    } catch (error) {
+      console.error(`Failed to record analytics snapshot for course ${courseId}:`, error);
+    }
+  }
+
+  return recorded;
+};
+
+export default {
+  getCourseAnalytics,
+  recordSnapshot,
+  recordDailySnapshots
+};
@@ -0,0 +1,88 @@
+// Course ownership transfers: admin reassignment and owner requests accepted by the new owner
+import UserModel from '../models/usermodel.js';
+import NotificationModel from '../models/notificationModel.js';
+import CourseTransferModel from '../models/courseTransferModel.js';
+
+/**
+ * Check that a user can take over courses
+ * @param {number} toUserId - Proposed new owner
+ * @param {number} fromUserId - Current owner
+ * @returns {Promise<{user: Object}|{error: string}>}
+ */
+export const resolveNewOwner = async (toUserId, fromUserId) => {
+  if (Number(toUserId) === Number(fromUserId)) {
+    return { error: 'Courses cannot be transferred to their current owner' };
+  }
+
+  const user = await UserModel.findById(toUserId);
+  if (!user || user.is_active === false || user.deletion_scheduled_for) {
+    return { error: 'New owner not found' };
+  }
+  if (user.role !== 'instructor' && user.role !== 'admin') {
+    return { error: 'Courses can only be transferred to instructors' };
+  }
+
+  return { user };
+};
+
+// Both parties and every enrolled student hear about the change; failures are only logged
+const notifyTransfer = async (courses, fromUser, toUser) => {
+  const titles = courses.map(course => `"${course.title}"`).join(', ');
+
+  try {
+    await NotificationModel.createBulk([
+      {
+        user_id: fromUser.id,
+        title: 'Course ownership transferred',
+        message: `${titles} ${courses.length === 1 ? 'is' : 'are'} now owned by ${toUser.name}.`,
+        type: 'course_transfer'
+      },
+      {
+        user_id: toUser.id,
+        title: 'You are now a course owner',
+        message: `You now own ${titles}, previously owned by ${fromUser.name}.`,
+        type: 'course_transfer'
+      }
+    ]);
+
+    for (const course of courses) {
+      await NotificationModel.createCourseOwnershipNotification({
+        course_id: course.id,
+        course_title: course.title,
+        instructor_name: toUser.name
+      });
+    }
+  } catch (error) {
+    console.error('Failed to send course transfer notifications:', error);
+  }
+};
+
+/**
+ * Transfer courses and notify everyone involved
+ * @param {Object} options
+ * @param {number[]} options.courseIds - Courses to move (only those still owned by fromUser move)
+ * @param {Object} options.fromUser - Current owner
+ * @param {Object} options.toUser - New owner
+ * @param {Object} options.actor - User performing the transfer
+ * @param {number} [options.requestId] - Transfer request being accepted, if any
+ * @returns {Promise<Object[]|null>} Transferred courses, or null if the request was no longer pending
+ */
+export const transferCourses = async ({ courseIds, fromUser, toUser, actor, requestId = null }) => {
+  const courses = await CourseTransferModel.transferOwnership({
+    courseIds,
+    fromUserId: fromUser.id,
+    toUserId: toUser.id,
+    actorId: actor.id,
+    requestId
+  });
+
+  if (courses?.length > 0) {
+    await notifyTransfer(courses, fromUser, toUser);
+  }
+  return courses;
+};
+
+export default {
+  resolveNewOwner,
+  transferCourses
+};
@@ -0,0 +1,89 @@
+// Personal data export: builds the archive in the background and notifies the user
+import crypto from 'crypto';
+import DataExportModel from '../models/dataExportModel.js';
+import NotificationModel from '../models/notificationModel.js';
+import { hashToken } from '../utils/helper.js';
+
+const EXPORT_FORMAT_VERSION = 1;
+const downloadTtlHours = () => parseInt(process.env.DATA_EXPORT_TTL_HOURS || '48');
+
+const apiBaseUrl = () => process.env.SERVER_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+/**
+ * Build an export, store it and send the download link as a notification
+ * @param {string} exportId - data_exports row
+ * @param {Object} user - Requesting user
+ * @returns {Promise<void>}
+ */
+const buildDataExport = async (exportId, user) => {
+  try {
+    await DataExportModel.markProcessing(exportId);
+
+    const data = await DataExportModel.collectUserData(user.id);
+    const archive = {
+      format_version: EXPORT_FORMAT_VERSION,
+      generated_at: new Date().toISOString(),
+      user_id: user.id,
+      ...data
+    };
+
+    const downloadToken = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + downloadTtlHours() * 60 * 60 * 1000);
+    await DataExportModel.markReady(exportId, {
+      archive,
+      download_token_hash: hashToken(downloadToken),
+      expires_at: expiresAt
+    });
+
+    const downloadLink = `${apiBaseUrl()}/api/users/me/export/${exportId}/download?token=${downloadToken}`;
+    await NotificationModel.create({
+      user_id: user.id,
+      title: 'Your data export is ready',
+      message: `Download your data here: ${downloadLink} (the link expires on ${expiresAt.toUTCString()})`,
+      type: 'data_export'
+    });
+  } catch (error) {
+    console.error(`Data export ${exportId} failed:`, error);
+    await DataExportModel.markFailed(exportId, error.message).catch(() => {});
+    await NotificationModel.create({
+      user_id: user.id,
+      title: 'Your data export failed',
+      message: 'We could not build your data export. Please try again later.',
+      type: 'data_export'
+    }).catch(() => {});
+  }
+};
+
+/**
+ * Queue a data export for a user. The archive is built after the response is sent.
+ * @param {Object} user - Requesting user
+ * @returns {Promise<{export: Object, alreadyInProgress: boolean}>}
+ */
+export const requestDataExport = async (user) => {
+  await DataExportModel.expireOld();
+
+  const inProgress = await DataExportModel.findInProgressByUser(user.id);
+  if (inProgress) {
+    return { export: inProgress, alreadyInProgress: true };
+  }
+
+  const created = await DataExportModel.create({ id: crypto.randomUUID(), user_id: user.id });
+  setImmediate(() => buildDataExport(created.id, user));
+
+  return { export: created, alreadyInProgress: false };
+};
+
+/**
+ * Look up an archive by its download link
+ * @param {string} exportId - Export ID from the link
+ * @param {string} token - Download token from the link
+ * @returns {Promise<Object|null>} Export row with archive, or null when invalid or expired
+ */
+export const getDownloadableExport = async (exportId, token) => {
+  return await DataExportModel.findDownloadable(exportId, hashToken(token));
+};
+
+export default {
+  requestDataExport,
+  getDownloadableExport
+};
@@ -4,6 +4,8 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import handlebars from 'handlebars';
+import UserSettingsModel from '../models/userSettingsModel.js';
+import { isNotificationEnabled } from '../config/notificationTypes.js';
 
 // Get the directory name
 const __filename = fileURLToPath(import.meta.url);
@@ -67,10 +69,23 @@ const getEmailTemplate = (templateName) => {
  * @param {string} options.subject - Email subject
  * @param {string} options.template - Template name (without extension)
  * @param {Object} options.context - Template variables
+ * @param {string} [options.notificationType] - Notification type the email belongs to. Emails
+ *   with a type are skipped when the recipient turned off email for it; account emails
+ *   (verification, password reset, security notices) are sent without one.
+ * @param {number} [options.userId] - Recipient user, saves looking them up by email
  * @returns {Promise} - Nodemailer send result
  */
-export const sendEmail = async ({ to, subject, template, context }) => {
+export const sendEmail = async ({ to, subject, template, context, notificationType = null, userId = null }) => {
   try {
+    if (notificationType) {
+      const preferences = userId
+        ? (await UserSettingsModel.findByUser(userId))?.notification_preferences
+        : await UserSettingsModel.findPreferencesByEmail(to);
+      if (!isNotificationEnabled(preferences, notificationType, 'email')) {
+        return { success: true, skipped: true, info: 'Recipient turned off these emails' };
+      }
+    }
+
     // For development/testing, skip sending actual emails
     if (process.env.NODE_ENV !== 'production') {
       return { success: true, info: 'Email sending skipped in development' };
@@ -0,0 +1,59 @@
+// Admin "view as user": time-limited impersonation tokens and request auditing
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import ImpersonationModel from '../models/impersonationModel.js';
+import { generateToken } from '../utils/helper.js';
+
+/**
+ * Start impersonating a user. The access token is issued for the target user and
+ * carries the admin in the imp claim; there is no refresh token.
+ * @param {Object} admin - Admin starting the session
+ * @param {Object} target - User to impersonate
+ * @param {string} reason - Why (e.g. the support ticket)
+ * @returns {Promise<{token: string, impersonation: Object}>}
+ */
+export const startImpersonation = async (admin, target, reason) => {
+  const id = crypto.randomUUID();
+  const token = generateToken(
+    target.id,
+    target.role,
+    { imp: admin.id, imp_sid: id },
+    process.env.IMPERSONATION_EXPIRES_IN || '30m'
+  );
+  const { exp } = jwt.decode(token);
+
+  const impersonation = await ImpersonationModel.start({
+    id,
+    admin_id: admin.id,
+    user_id: target.id,
+    reason,
+    expires_at: new Date(exp * 1000)
+  });
+
+  return { token, impersonation };
+};
+
+/**
+ * Write an audit entry once the impersonated request has been answered
+ * @param {Object} req - Express request (req.impersonator and req.impersonationId set)
+ * @param {Object} res - Express response
+ */
+export const auditImpersonatedRequest = (req, res) => {
+  res.on('finish', () => {
+    ImpersonationModel.logRequest({
+      impersonation_id: req.impersonationId,
+      admin_id: req.impersonator.id,
+      user_id: req.user.id,
+      method: req.method,
+      path: req.originalUrl,
+      status_code: res.statusCode,
+      ip_address: req.ip || null,
+      user_agent: req.get('user-agent') || null
+    }).catch(error => console.error('Failed to write impersonation audit log:', error));
+  });
+};
+
+export default {
+  startImpersonation,
+  auditImpersonatedRequest
+};
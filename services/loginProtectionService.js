@@ -0,0 +1,158 @@
+// Brute-force protection for sign-in: per-account lockout, progressive delays and per-IP limits
+import UserModel from '../models/usermodel.js';
+import LoginAttemptModel from '../models/loginAttemptModel.js';
+import { sendEmail } from './emailService.js';
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const settings = () => ({
+  // Failures before a temporary lockout
+  maxFailures: envInt('LOGIN_MAX_FAILED_ATTEMPTS', 10),
+  lockoutMinutes: envInt('LOGIN_LOCKOUT_MINUTES', 15),
+  // Failures before each new attempt must wait, doubling up to the max delay
+  delayAfter: envInt('LOGIN_DELAY_AFTER_FAILURES', 3),
+  maxDelaySeconds: envInt('LOGIN_MAX_DELAY_SECONDS', 60),
+  // Failures allowed from one IP address (any account) per window
+  ipMaxFailures: envInt('LOGIN_IP_MAX_FAILURES', 50),
+  ipWindowMinutes: envInt('LOGIN_IP_WINDOW_MINUTES', 15)
+});
+
+/**
+ * Check whether a login attempt may proceed. For an existing account the attempt is
+ * claimed up front (counted as a failure, see UserModel.claimLoginAttempt); a successful
+ * sign-in clears it again. Pass the returned attempt to the record/release functions below.
+ * @param {Object} params
+ * @param {Object|null} params.user - Account being signed into, if it exists
+ * @param {string} params.ip - Client IP address
+ * @returns {Promise<{block: Object|null, attempt: Object|null}>} block is null when allowed,
+ *   otherwise { status, message, retryAfter }
+ */
+export const checkLoginAllowed = async ({ user, ip }) => {
+  const { ipMaxFailures, ipWindowMinutes, ...limits } = settings();
+
+  if (ip && await LoginAttemptModel.countRecentFailuresByIp(ip, ipWindowMinutes) >= ipMaxFailures) {
+    return {
+      block: {
+        status: 429,
+        message: 'Too many failed login attempts from this network, please try again later',
+        retryAfter: ipWindowMinutes * 60
+      },
+      attempt: null
+    };
+  }
+
+  if (!user) return { block: null, attempt: null };
+
+  const attempt = await UserModel.claimLoginAttempt(user.id, limits);
+  if (!attempt) {
+    // Locked or throttled accounts get the same answer as a wrong password, so the
+    // response does not reveal that the account exists
+    return { block: { status: 401, message: 'Invalid credentials' }, attempt: null };
+  }
+
+  return { block: null, attempt };
+};
+
+const notifyLockout = async (user, lockedUntil) => {
+  try {
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+    await sendEmail({
+      to: user.email,
+      subject: 'Your account has been temporarily locked',
+      template: 'account-locked',
+      context: {
+        name: user.name,
+        lockedUntil: lockedUntil.toUTCString(),
+        resetLink: `${baseUrl}/forgot-password`
+      }
+    });
+  } catch (emailError) {
+    console.error('Failed to send account lockout email:', emailError);
+  }
+};
+
+/**
+ * Log a failed attempt and email the owner when it started a lockout
+ * @param {Object} params
+ * @param {Object|null} params.user - Account being signed into, if it exists
+ * @param {string} params.email - Email that was submitted
+ * @param {Object} params.req - Express request
+ * @param {string} params.reason - Short failure reason stored with the attempt
+ * @param {Object|null} [params.attempt] - Attempt claimed by checkLoginAllowed
+ * @returns {Promise<void>}
+ */
+export const recordFailedLogin = async ({ user, email, req, reason, attempt = null }) => {
+  await LoginAttemptModel.create({
+    email: email || user?.email || null,
+    user_id: user?.id || null,
+    ip_address: req.ip,
+    user_agent: req.get('user-agent') || null,
+    succeeded: false,
+    failure_reason: reason
+  });
+
+  if (user && attempt?.locked) {
+    await notifyLockout(user, new Date(attempt.locked_until));
+  }
+};
+
+/**
+ * The first factor was valid but a second one is still pending: the claimed attempt is
+ * not a failure, but the counter is not reset until sign-in completes
+ * @param {Object} params
+ * @param {Object} params.user - User signing in
+ * @param {Object|null} params.attempt - Attempt claimed by checkLoginAllowed
+ * @returns {Promise<void>}
+ */
+export const releaseLoginAttempt = async ({ user, attempt }) => {
+  if (!attempt) return;
+  await UserModel.releaseLoginAttempt(user.id, { unlock: Boolean(attempt.locked) });
+};
+
+/**
+ * Record a successful sign-in and clear the failure counter
+ * @param {Object} params
+ * @param {Object} params.user - Signed-in user
+ * @param {Object} params.req - Express request
+ * @returns {Promise<void>}
+ */
+export const recordSuccessfulLogin = async ({ user, req }) => {
+  await LoginAttemptModel.create({
+    email: user.email,
+    user_id: user.id,
+    ip_address: req.ip,
+    user_agent: req.get('user-agent') || null,
+    succeeded: true
+  });
+
+  await UserModel.resetLoginFailures(user.id);
+};
+
+/**
+ * Send the standard blocked-login response with a Retry-After header
+ * @param {Object} res - Express response
+ * @param {Object} block - Result of checkLoginAllowed
+ */
+export const sendLoginBlocked = (res, block) => {
+  if (!block.retryAfter) {
+    return res.status(block.status).json({ success: false, message: block.message });
+  }
+
+  res.set('Retry-After', String(block.retryAfter));
+  return res.status(block.status).json({
+    success: false,
+    message: block.message,
+    retryAfter: block.retryAfter
+  });
+};
+
+export default {
+  checkLoginAllowed,
+  recordFailedLogin,
+  releaseLoginAttempt,
+  recordSuccessfulLogin,
+  sendLoginBlocked
+};
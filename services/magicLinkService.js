@@ -0,0 +1,107 @@
+// Passwordless sign-in: single-use links emailed to the account owner
+import jwt from 'jsonwebtoken';
+import UserModel from '../models/usermodel.js';
+import ActionTokenModel from '../models/actionTokenModel.js';
+import { sendEmail } from './emailService.js';
+
+export const MAGIC_LINK_PURPOSE = 'magic_link';
+
+const magicLinkSecret = () => process.env.JWT_MAGIC_LINK_SECRET || process.env.JWT_SECRET;
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const settings = () => ({
+  expiresIn: process.env.MAGIC_LINK_EXPIRES_IN || '15m',
+  // Links that may be sent to one address per window
+  maxPerWindow: envInt('MAGIC_LINK_MAX_PER_WINDOW', 5),
+  windowMinutes: envInt('MAGIC_LINK_WINDOW_MINUTES', 60)
+});
+
+// "15m" reads better in an email as "15 minutes"
+const describeExpiry = (expiresIn) => {
+  const match = /^(\d+)\s*([smhd])$/.exec(String(expiresIn));
+  if (!match) return 'a short time';
+
+  const units = { s: 'second', m: 'minute', h: 'hour', d: 'day' };
+  const amount = Number(match[1]);
+  return `${amount} ${units[match[2]]}${amount === 1 ? '' : 's'}`;
+};
+
+/**
+ * Email a sign-in link. Unknown, suspended and rate-limited addresses get no
+ * email, and the caller cannot tell these cases apart. A failed send is only
+ * logged, since an error would show that the account exists.
+ * @param {string} email - Address entered on the sign-in page
+ * @returns {Promise<boolean>} Whether a link was sent
+ */
+export const sendMagicLink = async (email) => {
+  const user = await UserModel.findByEmail(email);
+  if (!user || user.is_active === false) return false;
+
+  const { expiresIn, maxPerWindow, windowMinutes } = settings();
+  const windowStart = new Date(Date.now() - windowMinutes * 60 * 1000);
+  const recent = await ActionTokenModel.countCreatedSince(user.id, MAGIC_LINK_PURPOSE, windowStart);
+  if (recent >= maxPerWindow) {
+    console.warn(`Magic link rate limit reached for user ${user.id}`);
+    return false;
+  }
+
+  // Only the most recently requested link stays valid
+  await ActionTokenModel.invalidateForUser(user.id, MAGIC_LINK_PURPOSE);
+
+  const token = jwt.sign({ id: user.id, purpose: MAGIC_LINK_PURPOSE }, magicLinkSecret(), { expiresIn });
+  const { exp } = jwt.decode(token);
+  await ActionTokenModel.create({
+    user_id: user.id,
+    purpose: MAGIC_LINK_PURPOSE,
+    token,
+    expires_at: new Date(exp * 1000)
+  });
+
+  const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: 'Your sign-in link',
+      template: 'magic-link',
+      context: {
+        name: user.name,
+        signInLink: `${baseUrl}/magic-link?token=${token}`,
+        expiresIn: describeExpiry(expiresIn)
+      }
+    });
+  } catch (emailError) {
+    console.error('Failed to send magic link email:', emailError);
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Use up a sign-in link
+ * @param {string} token - Token from the emailed link
+ * @returns {Promise<Object|null>} The user, or null if the link is invalid, expired or already used
+ */
+export const consumeMagicLink = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, magicLinkSecret());
+  } catch (err) {
+    return null;
+  }
+  if (decoded.purpose !== MAGIC_LINK_PURPOSE) return null;
+
+  const storedToken = await ActionTokenModel.consume(token, MAGIC_LINK_PURPOSE);
+  if (!storedToken || storedToken.user_id !== decoded.id) return null;
+
+  return await UserModel.findById(decoded.id);
+};
+
+export default {
+  sendMagicLink,
+  consumeMagicLink
+};
@@ -0,0 +1,183 @@
+// Shared account-linking path for every OAuth / OpenID Connect provider
+import jwt from 'jsonwebtoken';
+import UserModel from '../models/usermodel.js';
+import IdentityModel from '../models/identityModel.js';
+import ActionTokenModel from '../models/actionTokenModel.js';
+import { sendEmail } from './emailService.js';
+
+export const IDENTITY_LINK_PURPOSE = 'identity_link';
+const LINK_INTENT_PURPOSE = 'identity_link_intent';
+
+export const OAUTH_FAILURES = {
+  EMAIL_REQUIRED: 'email_required',
+  LINK_PENDING: 'link_pending',
+  IDENTITY_IN_USE: 'identity_in_use',
+  ALREADY_LINKED: 'already_linked'
+};
+
+const linkSecret = () => process.env.JWT_LINK_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Short-lived token that lets a signed-in user start a provider flow in the
+ * browser (where the Authorization header is not sent)
+ * @param {number} userId - Signed-in user
+ * @param {string} provider - Provider name
+ * @returns {string} Signed token
+ */
+export const createLinkIntent = (userId, provider) => {
+  return jwt.sign({ id: userId, provider, purpose: LINK_INTENT_PURPOSE }, linkSecret(), { expiresIn: '5m' });
+};
+
+/**
+ * @param {string} token - Token from createLinkIntent
+ * @param {string} provider - Provider the flow was started for
+ * @returns {number|null} User ID, or null if invalid
+ */
+export const verifyLinkIntent = (token, provider) => {
+  try {
+    const decoded = jwt.verify(token, linkSecret());
+    return decoded.purpose === LINK_INTENT_PURPOSE && decoded.provider === provider ? decoded.id : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Ask the owner of an existing account to confirm linking a provider account with the same email
+const requestLinkConfirmation = async (user, provider, identity) => {
+  await ActionTokenModel.invalidateForUser(user.id, IDENTITY_LINK_PURPOSE);
+
+  const token = jwt.sign(
+    {
+      id: user.id,
+      purpose: IDENTITY_LINK_PURPOSE,
+      provider: provider.name,
+      providerUserId: identity.id,
+      email: identity.email
+    },
+    linkSecret(),
+    { expiresIn: process.env.JWT_LINK_EXPIRES_IN || '1h' }
+  );
+  const { exp } = jwt.decode(token);
+  await ActionTokenModel.create({
+    user_id: user.id,
+    purpose: IDENTITY_LINK_PURPOSE,
+    token,
+    expires_at: new Date(exp * 1000)
+  });
+
+  try {
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+    await sendEmail({
+      to: user.email,
+      subject: `Confirm linking your ${provider.label} account`,
+      template: 'confirm-identity-link',
+      context: {
+        name: user.name,
+        providerLabel: provider.label,
+        confirmationLink: `${baseUrl}/link-account/confirm?token=${token}`
+      }
+    });
+  } catch (emailError) {
+    console.error('Failed to send identity link confirmation email:', emailError);
+  }
+};
+
+/**
+ * Find or create the local user for a provider identity during sign-in.
+ * A matching email never links silently; the account owner must confirm by email.
+ * @param {Object} provider - Provider definition from the registry
+ * @param {Object} identity - { id, email, emailVerified, name } from provider.toIdentity
+ * @returns {Promise<{user: Object}|{failure: string}>}
+ */
+export const resolveOAuthUser = async (provider, identity) => {
+  const existing = await IdentityModel.findByProvider(provider.name, identity.id);
+  if (existing) {
+    await IdentityModel.touch(existing.id);
+    return { user: await UserModel.findById(existing.user_id) };
+  }
+
+  if (!identity.email) {
+    return { failure: OAUTH_FAILURES.EMAIL_REQUIRED };
+  }
+
+  const emailOwner = await UserModel.findByEmail(identity.email);
+  if (emailOwner) {
+    await requestLinkConfirmation(emailOwner, provider, identity);
+    return { failure: OAUTH_FAILURES.LINK_PENDING };
+  }
+
+  const user = await UserModel.createOAuthUser({
+    oauth_provider: provider.name,
+    provider_user_id: identity.id,
+    email: identity.email,
+    name: identity.name || identity.email.split('@')[0],
+    email_verified: identity.emailVerified
+  });
+  return { user };
+};
+
+/**
+ * Link a provider identity to a signed-in user
+ * @param {number} userId - User who started the link flow
+ * @param {Object} provider - Provider definition
+ * @param {Object} identity - Normalized provider identity
+ * @returns {Promise<{identity: Object}|{failure: string}>}
+ */
+export const linkIdentity = async (userId, provider, identity) => {
+  const existing = await IdentityModel.findByProvider(provider.name, identity.id);
+  if (existing) {
+    return {
+      failure: existing.user_id === userId ? OAUTH_FAILURES.ALREADY_LINKED : OAUTH_FAILURES.IDENTITY_IN_USE
+    };
+  }
+
+  const linked = await IdentityModel.findByUser(userId);
+  if (linked.some(item => item.provider === provider.name)) {
+    return { failure: OAUTH_FAILURES.ALREADY_LINKED };
+  }
+
+  const created = await IdentityModel.create({
+    user_id: userId,
+    provider: provider.name,
+    provider_user_id: identity.id,
+    email: identity.email
+  });
+  return { identity: created };
+};
+
+/**
+ * Complete an email-match link from the confirmation email
+ * @param {string} token - Token from the email
+ * @returns {Promise<{identity: Object}|{failure: string}|null>} null when the token is invalid
+ */
+export const confirmLink = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, linkSecret());
+  } catch (err) {
+    return null;
+  }
+  if (decoded.purpose !== IDENTITY_LINK_PURPOSE) return null;
+
+  const storedToken = await ActionTokenModel.consume(token, IDENTITY_LINK_PURPOSE);
+  if (!storedToken || storedToken.user_id !== decoded.id) return null;
+
+  const result = await linkIdentity(decoded.id, { name: decoded.provider }, {
+    id: decoded.providerUserId,
+    email: decoded.email
+  });
+
+  // Clicking the emailed link proves the address belongs to the account owner
+  if (result.identity) {
+    await UserModel.markEmailVerified(decoded.id);
+  }
+  return result;
+};
+
+export default {
+  createLinkIntent,
+  verifyLinkIntent,
+  resolveOAuthUser,
+  linkIdentity,
+  confirmLink
+};
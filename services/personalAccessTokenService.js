@@ -0,0 +1,53 @@
+// Personal access tokens: generation and lookup
+import crypto from 'crypto';
+import PersonalAccessTokenModel from '../models/personalAccessTokenModel.js';
+import { hashToken } from '../utils/helper.js';
+
+export const PERSONAL_ACCESS_TOKEN_PREFIX = 'lms_pat_';
+const DISPLAY_PREFIX_LENGTH = PERSONAL_ACCESS_TOKEN_PREFIX.length + 4;
+
+/**
+ * Whether a bearer token is a personal access token rather than a JWT
+ * @param {string} token - Bearer token
+ * @returns {boolean}
+ */
+export const isPersonalAccessToken = (token) => token.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX);
+
+/**
+ * Create a token. The plain value is only returned here and cannot be recovered later.
+ * @param {number} userId - Owner
+ * @param {Object} params
+ * @param {string} params.name - Label chosen by the user
+ * @param {string[]} params.scopes - Granted scopes
+ * @param {Date|null} params.expiresAt - Expiry, or null for none
+ * @returns {Promise<{token: string, record: Object}>}
+ */
+export const createPersonalAccessToken = async (userId, { name, scopes, expiresAt }) => {
+  const token = `${PERSONAL_ACCESS_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const record = await PersonalAccessTokenModel.create({
+    user_id: userId,
+    name,
+    token_hash: hashToken(token),
+    token_prefix: token.slice(0, DISPLAY_PREFIX_LENGTH),
+    scopes,
+    expires_at: expiresAt
+  });
+
+  return { token, record };
+};
+
+/**
+ * Find the active token record for a bearer token
+ * @param {string} token - Personal access token
+ * @returns {Promise<Object|null>}
+ */
+export const findActivePersonalAccessToken = async (token) => {
+  return await PersonalAccessTokenModel.findActiveByHash(hashToken(token));
+};
+
+export default {
+  isPersonalAccessToken,
+  createPersonalAccessToken,
+  findActivePersonalAccessToken
+};
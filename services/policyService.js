@@ -0,0 +1,42 @@
+// Central authorization: can(user, action, resource)
+import CourseStaffModel from '../models/courseStaffModel.js';
+import EnrollmentModel from '../models/enrollmentModel.js';
+import { ROLE_PERMISSIONS, COURSE_ROLE_PERMISSIONS } from '../config/permissions.js';
+
+const grants = (role, action) => Boolean(COURSE_ROLE_PERMISSIONS[role]?.includes(action));
+
+const staffCanEver = (action) => Object.keys(COURSE_ROLE_PERMISSIONS)
+  .some(role => role !== 'owner' && role !== 'student' && grants(role, action));
+
+/**
+ * Whether a user may perform an action, optionally on a course.
+ * Account-role permissions apply everywhere; course roles are looked up only when
+ * the action could be granted by them, so most checks cost no queries.
+ * @param {Object|null} user - req.user
+ * @param {string} action - Permission from config/permissions.js, e.g. 'submission:grade'
+ * @param {Object} [course] - Course the action targets ({ id, instructor_id })
+ * @returns {Promise<boolean>}
+ */
+export const can = async (user, action, course = null) => {
+  if (!user) return false;
+
+  if (ROLE_PERMISSIONS[user.role]?.includes(action)) return true;
+  if (!course) return false;
+
+  if (course.instructor_id === user.id && grants('owner', action)) return true;
+
+  if (staffCanEver(action)) {
+    const staffRole = await CourseStaffModel.findRole(course.id, user.id);
+    if (staffRole && grants(staffRole, action)) return true;
+  }
+
+  if (grants('student', action)) {
+    return await EnrollmentModel.isEnrolled(user.id, course.id);
+  }
+
+  return false;
+};
+
+export default {
+  can
+};
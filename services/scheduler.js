@@ -0,0 +1,51 @@
+// In-process periodic jobs (deletions past their grace period, expired data exports,
+// analytics snapshots, scheduled announcements and their emails)
+import DataExportModel from '../models/dataExportModel.js';
+import { processDueDeletions } from './accountDeletionService.js';
+import { recordDailySnapshots } from './courseAnalyticsService.js';
+import { publishDueAnnouncements, sendDueAnnouncementEmails } from './announcementService.js';
+
+const envMinutes = (name, fallback) => parseInt(process.env[name] || String(fallback));
+
+// Jobs without their own interval run every SCHEDULER_INTERVAL_MINUTES (default 60)
+const jobs = [
+  { name: 'account deletions', run: processDueDeletions },
+  { name: 'data export expiry', run: () => DataExportModel.expireOld() },
+  { name: 'course analytics snapshots', run: recordDailySnapshots },
+  {
+    name: 'scheduled announcements',
+    run: publishDueAnnouncements,
+    intervalMinutes: () => envMinutes('ANNOUNCEMENT_PUBLISH_INTERVAL_MINUTES', 1)
+  },
+  {
+    name: 'announcement emails',
+    run: sendDueAnnouncementEmails,
+    intervalMinutes: () => envMinutes('ANNOUNCEMENT_EMAIL_INTERVAL_MINUTES', 1)
+  }
+];
+
+const runJob = async (job) => {
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`Scheduled job "${job.name}" failed:`, error);
+  }
+};
+
+/**
+ * Run every job now and then on its interval
+ * @returns {NodeJS.Timeout[]} Interval handles; they do not keep the process alive
+ */
+export const startScheduler = () => {
+  const defaultMinutes = envMinutes('SCHEDULER_INTERVAL_MINUTES', 60);
+
+  return jobs.map(job => {
+    const intervalMs = (job.intervalMinutes?.() || defaultMinutes) * 60 * 1000;
+    runJob(job);
+    return setInterval(() => runJob(job), intervalMs).unref();
+  });
+};
+
+export default {
+  startScheduler
+};
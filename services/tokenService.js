@@ -0,0 +1,139 @@
+// Issues and rotates the access/refresh token pair handed to clients
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import RefreshTokenModel from '../models/refreshTokenModel.js';
+import SessionModel from '../models/sessionModel.js';
+import PersonalAccessTokenModel from '../models/personalAccessTokenModel.js';
+import UserModel from '../models/usermodel.js';
+import { generateToken, generateRefreshToken, hashToken } from '../utils/helper.js';
+import { AuthError } from '../middleware/errorHandler.js';
+
+// Device details recorded on the session
+const getClientInfo = (req) => ({
+  user_agent: req?.get?.('User-Agent') || null,
+  ip_address: req?.ip || null
+});
+
+/**
+ * Create and persist a refresh token
+ * @param {Object} user - User the token is issued to
+ * @param {string} sessionId - Session (token family) the token belongs to
+ * @returns {Promise<{id: string, token: string}>} Stored token ID and the signed token
+ */
+const issueRefreshToken = async (user, sessionId) => {
+  const id = crypto.randomUUID();
+  const token = generateRefreshToken(user.id, user.role, id);
+  const { exp } = jwt.decode(token);
+
+  await RefreshTokenModel.create({
+    id,
+    user_id: user.id,
+    family_id: sessionId,
+    token_hash: hashToken(token),
+    expires_at: new Date(exp * 1000)
+  });
+
+  return { id, token };
+};
+
+/**
+ * Start a new session and issue its access/refresh pair
+ * @param {Object} user - Authenticated user
+ * @param {Object} [req] - Express request, used to record the device
+ * @returns {Promise<{access: string, refresh: string}>}
+ */
+export const issueAuthTokens = async (user, req) => {
+  const session = await SessionModel.create({
+    id: crypto.randomUUID(),
+    user_id: user.id,
+    ...getClientInfo(req)
+  });
+  const { token } = await issueRefreshToken(user, session.id);
+
+  return {
+    access: generateToken(user.id, user.role, { sid: session.id }),
+    refresh: token
+  };
+};
+
+/**
+ * Exchange a refresh token for a new pair. Presenting a token that was
+ * already rotated is treated as theft and revokes the whole session.
+ * @param {string} refreshToken - Token presented by the client
+ * @param {Object} [req] - Express request, used to record session activity
+ * @returns {Promise<{access: string, refresh: string}>}
+ */
+export const rotateRefreshToken = async (refreshToken, req) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+  } catch (err) {
+    throw new AuthError('Invalid refresh token');
+  }
+
+  const stored = await RefreshTokenModel.findByHash(hashToken(refreshToken));
+  if (!stored || stored.user_id !== decoded.id) {
+    throw new AuthError('Invalid refresh token');
+  }
+
+  if (stored.revoked_at) {
+    if (stored.replaced_by) {
+      await SessionModel.revoke(stored.family_id);
+    }
+    throw new AuthError('Refresh token has been revoked');
+  }
+
+  const user = await UserModel.findById(stored.user_id);
+  if (!user || user.is_active === false) {
+    throw new AuthError('Invalid refresh token');
+  }
+
+  const { id, token } = await issueRefreshToken(user, stored.family_id);
+
+  // Another request rotated the same token first: reuse
+  const rotated = await RefreshTokenModel.markRotated(stored.id, id);
+  if (!rotated) {
+    await SessionModel.revoke(stored.family_id);
+    throw new AuthError('Refresh token has been revoked');
+  }
+
+  await SessionModel.touch(stored.family_id, getClientInfo(req));
+
+  return {
+    access: generateToken(user.id, user.role, { sid: stored.family_id }),
+    refresh: token
+  };
+};
+
+/**
+ * End the session a refresh token belongs to (logout). Unknown tokens are ignored.
+ * @param {string} refreshToken - Token presented by the client
+ */
+export const revokeRefreshToken = async (refreshToken) => {
+  const stored = await RefreshTokenModel.findByHash(hashToken(refreshToken));
+  if (stored) {
+    await SessionModel.revoke(stored.family_id);
+  }
+};
+
+/**
+ * Sign a user out everywhere by revoking all of their sessions. Signing out
+ * everywhere (no session kept) also revokes their personal access tokens.
+ * @param {number} userId - User ID
+ * @param {string} [exceptSessionId] - Session to keep signed in
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export const revokeAllUserTokens = async (userId, exceptSessionId = null) => {
+  const revoked = await SessionModel.revokeAllForUser(userId, exceptSessionId);
+  if (!exceptSessionId) {
+    await PersonalAccessTokenModel.revokeAllForUser(userId);
+  }
+  return revoked;
+};
+
+export default {
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllUserTokens
+};
@@ -0,0 +1,151 @@
+// Two-factor sign-in: challenge tokens, policy and recovery codes
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import TwoFactorModel from '../models/twoFactorModel.js';
+import SettingsModel from '../models/settingsModel.js';
+import { issueAuthTokens } from './tokenService.js';
+import { hashToken } from '../utils/helper.js';
+import { findTotpStep } from '../utils/totp.js';
+
+export const TWO_FACTOR_POLICY_KEY = 'two_factor_policy';
+export const CHALLENGE_PURPOSES = {
+  VERIFY: '2fa_verify',
+  SETUP: '2fa_setup'
+};
+
+const RECOVERY_CODE_COUNT = 10;
+const challengeSecret = () => process.env.JWT_2FA_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Get the admin-managed two-factor policy
+ * @returns {Promise<{required_roles: string[]}>}
+ */
+export const getTwoFactorPolicy = async () => {
+  return await SettingsModel.get(TWO_FACTOR_POLICY_KEY, { required_roles: [] });
+};
+
+/**
+ * Whether the policy forces this user's role to use two-factor authentication
+ * @param {Object} user - User with a role
+ * @returns {Promise<boolean>}
+ */
+export const isTwoFactorRequired = async (user) => {
+  const policy = await getTwoFactorPolicy();
+  return (policy.required_roles || []).includes(user.role);
+};
+
+/**
+ * Issue a short-lived token that proves the password step succeeded
+ * @param {Object} user - User signing in
+ * @param {string} purpose - One of CHALLENGE_PURPOSES
+ * @returns {string} Signed challenge token
+ */
+const generateChallengeToken = (user, purpose) => {
+  return jwt.sign(
+    { id: user.id, purpose },
+    challengeSecret(),
+    { expiresIn: process.env.JWT_2FA_EXPIRES_IN || '5m' }
+  );
+};
+
+/**
+ * Verify a challenge token
+ * @param {string} token - Challenge token from the client
+ * @param {string} purpose - Expected purpose
+ * @returns {number|null} User ID, or null if invalid
+ */
+export const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, challengeSecret());
+    return decoded.purpose === purpose ? decoded.id : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Finish the first sign-in step. Returns real tokens, or a challenge when a
+ * second factor (or two-factor enrollment) is still needed.
+ * @param {Object} user - User who passed the first factor
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { tokens } or { twoFactorRequired|twoFactorSetupRequired, challengeToken }
+ */
+export const beginSignIn = async (user, req) => {
+  if (user.two_factor_enabled_at) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: generateChallengeToken(user, CHALLENGE_PURPOSES.VERIFY)
+    };
+  }
+
+  if (await isTwoFactorRequired(user)) {
+    return {
+      twoFactorSetupRequired: true,
+      challengeToken: generateChallengeToken(user, CHALLENGE_PURPOSES.SETUP)
+    };
+  }
+
+  return { tokens: await issueAuthTokens(user, req) };
+};
+
+/**
+ * Check a TOTP code against a secret and use it up, so the same code cannot be replayed
+ * @param {number} userId - User ID
+ * @param {string} secret - Base32 secret (enabled or pending)
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<boolean>}
+ */
+export const consumeTotpCode = async (userId, secret, code) => {
+  const step = findTotpStep(secret, code);
+  if (step === null) return false;
+  return await TwoFactorModel.claimTotpStep(userId, step);
+};
+
+/**
+ * Check a TOTP code or an unused recovery code for a user with 2FA enabled
+ * @param {number} userId - User ID
+ * @param {Object} factor
+ * @param {string} [factor.code] - Code from the authenticator app
+ * @param {string} [factor.recoveryCode] - Backup recovery code
+ * @returns {Promise<boolean>}
+ */
+export const verifySecondFactor = async (userId, { code, recoveryCode } = {}) => {
+  const state = await TwoFactorModel.findByUserId(userId);
+  if (!state || !state.two_factor_enabled_at) return false;
+
+  if (code) {
+    return await consumeTotpCode(userId, state.two_factor_secret, code);
+  }
+
+  if (recoveryCode) {
+    const normalized = recoveryCode.trim().toLowerCase();
+    return await TwoFactorModel.consumeRecoveryCode(userId, hashToken(normalized));
+  }
+
+  return false;
+};
+
+/**
+ * Replace a user's recovery codes. The plain codes are only returned here.
+ * @param {number} userId - User ID
+ * @returns {Promise<string[]>} New recovery codes
+ */
+export const generateRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await TwoFactorModel.replaceRecoveryCodes(userId, codes.map(code => hashToken(code)));
+  return codes;
+};
+
+export default {
+  getTwoFactorPolicy,
+  isTwoFactorRequired,
+  verifyChallengeToken,
+  beginSignIn,
+  consumeTotpCode,
+  verifySecondFactor,
+  generateRecoveryCodes
+};
@@ -0,0 +1,140 @@
+// Bulk user import from CSV: row validation, account creation, enrollment and invitations
+import UserModel from '../models/usermodel.js';
+import EnrollmentModel from '../models/enrollmentModel.js';
+import ActionTokenModel from '../models/actionTokenModel.js';
+import { sendEmail } from './emailService.js';
+import { generatePasswordResetToken, verifyPasswordResetToken } from '../utils/helper.js';
+import { importUserRowSchema } from '../utils/validations.js';
+
+export const USER_IMPORT_MAX_ROWS = parseInt(process.env.USER_IMPORT_MAX_ROWS || '1000');
+
+// Invitations reuse the password reset flow with a longer-lived link
+const INVITATION_PURPOSE = 'password_reset';
+
+/**
+ * Validate parsed CSV rows. Row numbers match the spreadsheet (header is row 1).
+ * @param {Object[]} rows - Rows from parseCsv
+ * @returns {Promise<{validRows: Object[], errors: Object[]}>}
+ */
+export const validateImportRows = async (rows) => {
+  const errors = [];
+  const candidates = [];
+  const seenEmails = new Map();
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2;
+    const { error, value } = importUserRowSchema.validate(row, { abortEarly: false, stripUnknown: true });
+
+    if (error) {
+      errors.push({ row: rowNumber, email: row.email || null, messages: error.details.map(detail => detail.message) });
+      return;
+    }
+
+    const emailKey = value.email.toLowerCase();
+    if (seenEmails.has(emailKey)) {
+      errors.push({
+        row: rowNumber,
+        email: value.email,
+        messages: [`Duplicate of row ${seenEmails.get(emailKey)}`]
+      });
+      return;
+    }
+
+    seenEmails.set(emailKey, rowNumber);
+    candidates.push({ row: rowNumber, value });
+  });
+
+  const existing = new Set(await UserModel.findExistingEmails(candidates.map(item => item.value.email)));
+  const validRows = candidates.filter(item => {
+    if (!existing.has(item.value.email.toLowerCase())) return true;
+    errors.push({ row: item.row, email: item.value.email, messages: ['Email already exists'] });
+    return false;
+  });
+
+  errors.sort((a, b) => a.row - b.row);
+  return { validRows, errors };
+};
+
+/**
+ * Email an invitation with a link to choose a password
+ * @param {Object} user - Newly created user
+ * @param {Object} invitedBy - Admin who ran the import
+ * @returns {Promise<void>}
+ */
+export const sendInvitation = async (user, invitedBy) => {
+  const token = generatePasswordResetToken(user.id, process.env.INVITATION_EXPIRES_IN || '7d');
+  const { exp } = verifyPasswordResetToken(token);
+  await ActionTokenModel.create({
+    user_id: user.id,
+    purpose: INVITATION_PURPOSE,
+    token,
+    expires_at: new Date(exp * 1000)
+  });
+
+  const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+  await sendEmail({
+    to: user.email,
+    subject: "You're invited to the LMS",
+    template: 'user-invitation',
+    context: {
+      name: user.name,
+      invitedBy: invitedBy.name,
+      setPasswordLink: `${baseUrl}/reset-password?token=${token}&invite=1`
+    }
+  });
+};
+
+/**
+ * Create the validated users, enroll them and send invitations.
+ * Failures are reported per row so one bad row does not stop the import.
+ * @param {Object[]} validRows - From validateImportRows
+ * @param {Object} options
+ * @param {number[]} options.courseIds - Courses to enroll every user in
+ * @param {boolean} options.sendInvitations - Email set-password links
+ * @param {Object} options.invitedBy - Admin running the import
+ * @returns {Promise<Object[]>} Per-row results
+ */
+export const importUsers = async (validRows, { courseIds = [], sendInvitations = true, invitedBy }) => {
+  const results = [];
+
+  for (const { row, value } of validRows) {
+    let user;
+    try {
+      user = await UserModel.createInvited(value);
+    } catch (error) {
+      results.push({ row, email: value.email, status: 'failed', error: error.message });
+      continue;
+    }
+
+    const result = { row, email: user.email, status: 'created', user_id: user.id, enrolled_course_ids: [] };
+
+    for (const courseId of courseIds) {
+      try {
+        await EnrollmentModel.create({ user_id: user.id, course_id: courseId });
+        result.enrolled_course_ids.push(courseId);
+      } catch (error) {
+        console.error(`Failed to enroll imported user ${user.id} in course ${courseId}:`, error);
+      }
+    }
+
+    if (sendInvitations) {
+      try {
+        await sendInvitation(user, invitedBy);
+        result.invitation_sent = true;
+      } catch (error) {
+        console.error(`Failed to send invitation to ${user.email}:`, error);
+        result.invitation_sent = false;
+      }
+    }
+
+    results.push(result);
+  }
+
+  return results;
+};
+
+export default {
+  validateImportRows,
+  importUsers,
+  sendInvitation
+};
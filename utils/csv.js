@@ -0,0 +1,89 @@
+// Minimal RFC 4180 CSV helpers for admin imports and exports
+
+/**
+ * Parse CSV text into objects keyed by the (lower-cased, trimmed) header row
+ * @param {string} text - CSV content
+ * @returns {{headers: string[], rows: Object[]}}
+ */
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Drop blank lines
+  const nonEmpty = records.filter(values => values.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) return { headers: [], rows: [] };
+
+  const headers = nonEmpty[0].map(header => header.trim().toLowerCase());
+  const rows = nonEmpty.slice(1).map(values => headers.reduce((obj, header, index) => {
+    obj[header] = (values[index] ?? '').trim();
+    return obj;
+  }, {}));
+
+  return { headers, rows };
+};
+
+// Quote a value and neutralize spreadsheet formulas (=, +, -, @)
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build CSV text from objects
+ * @param {Object[]} rows - Records to write
+ * @param {string[]} columns - Keys to include, in order (also used as the header row)
+ * @returns {string}
+ */
+export const toCsv = (rows, columns) => {
+  const lines = [columns.map(formatCell).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => formatCell(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+export default {
+  parseCsv,
+  toCsv
+};
@@ -1,5 +1,6 @@
 import jwt from "jsonwebtoken";
 import bcrypt from "bcryptjs";
+import crypto from "crypto";
 import { query } from "../config/db.js";
 import dotenv from 'dotenv';
 import QuizModel from '../models/quizModel.js';
@@ -9,19 +10,24 @@ import CourseModel from '../models/courseModel.js';
 import AssignmentModel from '../models/assignmentModel.js';
 dotenv.config();
 // Token generation and verification functions
-const generateToken = (userId, role) => {
+// extraClaims carries optional context such as the session ID (sid)
+const generateToken = (userId, role, extraClaims = {}, expiresIn = process.env.JWT_EXPIRES_IN || "1d") => {
   return jwt.sign(
-    { id: userId, role }, 
+    { id: userId, role, ...extraClaims }, 
     process.env.JWT_SECRET, 
-    { expiresIn: process.env.JWT_EXPIRES_IN || "1d" }
+    { expiresIn }
   );
 };
 
-const generateRefreshToken = (userId, role) => {
+// tokenId becomes the jti claim so every refresh token is unique and traceable to its stored record
+const generateRefreshToken = (userId, role, tokenId) => {
   return jwt.sign(
     { id: userId, role },
     process.env.JWT_REFRESH_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || "30d" }
+    {
+      expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || "30d",
+      ...(tokenId && { jwtid: tokenId })
+    }
   );
 };
 
@@ -55,31 +61,41 @@ const updatePassword = async (userId, newPassword) => {
 };
 
 // Security-related functions
-const generatePasswordResetToken = (userId) => {
+// expiresIn can be overridden for longer-lived links such as account invitations
+const generatePasswordResetToken = (userId, expiresIn = process.env.JWT_RESET_EXPIRES_IN || "1h") => {
   return jwt.sign(
-    { id: userId },
-    process.env.JWT_RESET_SECRET,
-    { expiresIn: process.env.JWT_RESET_EXPIRES_IN || "1h" }
+    { id: userId, purpose: 'password_reset' },
+    process.env.JWT_RESET_SECRET || process.env.JWT_SECRET,
+    { expiresIn }
   );
 };
 
+// Without a separate reset secret, access tokens share the key, so the purpose claim is what tells them apart
 const verifyPasswordResetToken = (token) => {
-  return verifyToken(token, process.env.JWT_RESET_SECRET);
+  const decoded = verifyToken(token, process.env.JWT_RESET_SECRET || process.env.JWT_SECRET);
+  return decoded?.purpose === 'password_reset' ? decoded : null;
+};
+
+// Hash a token before storing it so a database leak does not expose usable tokens
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
 };
 
 // Add verification token functions
-const generateVerificationToken = (userId) => {
+// The token carries a hash of the address it was sent to, so the link stops working once the email changes
+const generateVerificationToken = (userId, email) => {
   return jwt.sign(
-    { id: userId },
+    { id: userId, purpose: 'email_verification', email_hash: hashToken(String(email).toLowerCase()) },
     process.env.JWT_VERIFICATION_SECRET || process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_VERIFICATION_EXPIRES_IN || "24h" }
   );
 };
 
+// Returns the decoded claims ({ id, email_hash }) or null
 const verifyVerificationToken = (token) => {
   try {
     const decoded = jwt.verify(token, process.env.JWT_VERIFICATION_SECRET || process.env.JWT_SECRET);
-    return decoded.id;
+    return decoded.purpose === 'email_verification' && decoded.email_hash ? decoded : null;
   } catch (err) {
     console.error('Verification token verification failed:', err.message);
     return null;
@@ -284,6 +300,28 @@ const sanitizeStringFields = (obj, fields) => {
   return sanitized;
 };
 
+/**
+ * Build a URL slug from a name, e.g. "Data Science & AI" -> "data-science-ai"
+ * @param {string} text - Name to convert
+ * @returns {string} Lowercase slug (may be empty if the name has no letters or digits)
+ */
+const slugify = (text) => {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 120);
+};
+
+/**
+ * Escape LIKE/ILIKE wildcards so user input only matches literally
+ * @param {string} text - Search text
+ * @returns {string} Text with %, _ and backslashes escaped
+ */
+const escapeLike = (text) => String(text).replace(/[\\%_]/g, char => `\\${char}`);
+
 // Error handling utilities
 /**
  * Enhanced error logging with context
@@ -358,6 +396,7 @@ export {
   updatePassword,
   generatePasswordResetToken,
   verifyPasswordResetToken,
+  hashToken,
   generateVerificationToken,
   verifyVerificationToken,
   createResponse,
@@ -372,6 +411,8 @@ export {
   authorizeInstructor,
   validateRequiredFields,
   sanitizeStringFields,
+  slugify,
+  escapeLike,
   logError,
   createErrorResponse,
   getBestAttemptsForQuizzes
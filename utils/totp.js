@@ -0,0 +1,159 @@
+/**
+ * Time-based one-time passwords (RFC 6238) compatible with authenticator apps
+ */
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+/**
+ * Encode a buffer as RFC 4648 base32 without padding
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = ((value << 8) | byte) & 0xffffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input - Base32 string (case and padding insensitive)
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const clean = input.replace(/\s|=+$/g, '').toUpperCase();
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character in secret');
+    }
+    value = ((value << 5) | index) & 0xffffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random shared secret
+ * @returns {string} Base32 encoded 160-bit secret
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Compute the one-time code for a counter value (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor
+ * @returns {string} Zero padded code
+ */
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Compute the current TOTP code
+ * @param {string} secret - Base32 secret
+ * @param {number} [timestamp] - Time in milliseconds
+ * @returns {string} Code
+ */
+export const generateTotp = (secret, timestamp = Date.now()) => {
+  return generateHotp(secret, Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS));
+};
+
+/**
+ * Find the time step a code belongs to, checking the current step and its neighbours (clock drift)
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [window] - Number of steps accepted on either side
+ * @returns {number|null} Matching time step, or null when the code is invalid
+ */
+export const findTotpStep = (secret, code, window = 1) => {
+  if (!secret || !/^\d{6}$/.test(String(code || ''))) return null;
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  const expected = Buffer.from(String(code));
+
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = Buffer.from(generateHotp(secret, currentStep + offset));
+    if (crypto.timingSafeEqual(candidate, expected)) {
+      return currentStep + offset;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check a code against the current time step and its neighbours (clock drift)
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [window] - Number of steps accepted on either side
+ * @returns {boolean} True when the code is valid
+ */
+export const verifyTotp = (secret, code, window = 1) => {
+  return findTotpStep(secret, code, window) !== null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {Object} options
+ * @param {string} options.secret - Base32 secret
+ * @param {string} options.accountName - Usually the user's email
+ * @param {string} [options.issuer] - Name shown in the authenticator app
+ * @returns {string} Provisioning URI
+ */
+export const buildOtpAuthUri = ({ secret, accountName, issuer = process.env.TOTP_ISSUER || 'LMS' }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+export default {
+  generateSecret,
+  generateTotp,
+  findTotpStep,
+  verifyTotp,
+  buildOtpAuthUri
+};
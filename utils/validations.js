@@ -1,4 +1,6 @@
 import joi from "joi";
+import { NOTIFICATION_CHANNELS, NOTIFICATION_TYPES } from "../config/notificationTypes.js";
+import { COURSE_STAFF_ROLES } from "../config/permissions.js";
 
 export const registerSchema = joi
   .object({
@@ -38,15 +40,35 @@ export const registerSchema = joi
         .required(),
   });
 
+export const SOCIAL_LINK_NETWORKS = ["linkedin", "github", "twitter", "youtube", "facebook", "instagram"];
+
+const profileUrl = joi.string().uri({ scheme: ["http", "https"] }).max(500);
+
 export const updateProfileSchema = joi.object({
   name: joi.string().min(3).max(255),
   email: joi.string().email(),
+  // Instructor profile fields
+  headline: joi.string().trim().max(150).allow("", null),
+  bio: joi.string().trim().max(5000).allow("", null),
+  avatar_url: profileUrl.allow("", null),
+  website_url: profileUrl.allow("", null),
+  social_links: joi
+    .object(Object.fromEntries(SOCIAL_LINK_NETWORKS.map(network => [network, profileUrl])))
+    .allow(null),
 });
 
 export const forgotPasswordSchema = joi.object({
   email: joi.string().email().required(),
 });
 
+export const magicLinkRequestSchema = joi.object({
+  email: joi.string().email().required(),
+});
+
+export const magicLinkVerifySchema = joi.object({
+  token: joi.string().required(),
+});
+
 export const resetPasswordSchema = joi.object({
   token: joi.string().required(),
   newPassword: joi
@@ -80,3 +102,186 @@ export const adminRegisterSchema = joi.object({
     .required()
 });
 
+// Numeric route and query IDs such as :id
+export const idParamSchema = joi.number().integer().positive().required();
+
+export const twoFactorCodeSchema = joi.object({
+  code: joi.string().pattern(/^\d{6}$/).required().messages({
+    'string.pattern.base': "Code must be the 6 digit code from your authenticator app."
+  }),
+});
+
+export const twoFactorLoginSchema = joi.object({
+  challengeToken: joi.string().required(),
+  code: joi.string().pattern(/^\d{6}$/),
+  recoveryCode: joi.string().trim().max(32),
+}).xor('code', 'recoveryCode');
+
+export const twoFactorPolicySchema = joi.object({
+  required_roles: joi.array()
+    .items(joi.string().valid('student', 'instructor', 'admin'))
+    .unique()
+    .required(),
+});
+
+export const loginAttemptQuerySchema = joi.object({
+  email: joi.string().email().lowercase(),
+  user_id: joi.number().integer().positive(),
+  ip_address: joi.string().max(45),
+  succeeded: joi.boolean(),
+  since: joi.date().iso(),
+  page: joi.number().integer().min(1).default(1),
+  limit: joi.number().integer().min(1).max(200).default(50),
+});
+
+export const userDirectoryQuerySchema = joi.object({
+  search: joi.string().trim().max(100).allow(''),
+  role: joi.string().valid('student', 'instructor', 'admin'),
+  is_active: joi.boolean(),
+  oauth_provider: joi.string().trim().max(50),
+  last_login_from: joi.date().iso(),
+  last_login_to: joi.date().iso(),
+  sort_by: joi.string().valid('name', 'email', 'role', 'created_at', 'last_login').default('created_at'),
+  sort_order: joi.string().valid('asc', 'desc').default('desc'),
+  page: joi.number().integer().min(1).default(1),
+  limit: joi.number().integer().min(1).max(100).default(20),
+});
+
+export const suspendUserSchema = joi.object({
+  reason: joi.string().trim().max(500).allow(''),
+});
+
+// One CSV row of a bulk user import: registration rules, but the password is
+// optional (invited users set their own) and admins cannot be imported
+export const importUserRowSchema = registerSchema.keys({
+  password: registerSchema.extract('password').optional().empty(''),
+  role: joi.string().valid('student', 'instructor').empty('').default('student'),
+});
+
+export const userImportOptionsSchema = joi.object({
+  dry_run: joi.boolean().default(false),
+  send_invitations: joi.boolean().default(true),
+  course_ids: joi.alternatives().try(
+    joi.array().items(joi.number().integer().positive()),
+    joi.string().pattern(/^\s*\d+(\s*,\s*\d+)*\s*$/).custom(value => value.split(',').map(id => parseInt(id.trim(), 10)))
+  ).default([]),
+});
+
+export const impersonationSchema = joi.object({
+  reason: joi.string().trim().min(5).max(500).required(),
+});
+
+export const personalAccessTokenSchema = joi.object({
+  name: joi.string().trim().min(1).max(100).required(),
+  scopes: joi.array().items(joi.string()).min(1).unique().required(),
+  expires_in_days: joi.number().integer().min(1).max(365).default(90),
+});
+
+const notificationChannelsSchema = joi.object(
+  Object.fromEntries(NOTIFICATION_CHANNELS.map(channel => [channel, joi.boolean()]))
+);
+
+export const userSettingsSchema = joi.object({
+  notification_preferences: joi.object(
+    Object.fromEntries(Object.keys(NOTIFICATION_TYPES).map(type => [type, notificationChannelsSchema]))
+  ),
+  theme: joi.string().valid("light", "dark", "system"),
+  language: joi.string().pattern(/^[a-z]{2}(-[A-Z]{2})?$/).message("language must be a code such as en or en-US"),
+}).min(1);
+
+export const reviewSchema = joi.object({
+  rating: joi.number().integer().min(1).max(5).required(),
+  review: joi.string().trim().max(5000).allow("", null),
+});
+
+export const updateReviewSchema = joi.object({
+  rating: joi.number().integer().min(1).max(5),
+  review: joi.string().trim().max(5000).allow(""),
+}).min(1);
+
+export const courseStaffSchema = joi.object({
+  user_id: joi.number().integer().positive(),
+  email: joi.string().email(),
+  role: joi.string().valid(...COURSE_STAFF_ROLES).default("teaching_assistant"),
+}).xor("user_id", "email");
+
+export const courseOwnerSchema = joi.object({
+  to_instructor_id: joi.number().integer().positive().required(),
+});
+
+export const bulkCourseTransferSchema = joi.object({
+  from_instructor_id: joi.number().integer().positive().required(),
+  to_instructor_id: joi.number().integer().positive().required(),
+});
+
+export const courseTransferRequestSchema = joi.object({
+  to_instructor_id: joi.number().integer().positive().required(),
+  course_id: joi.number().integer().positive(),
+  all_courses: joi.boolean().valid(true),
+  message: joi.string().trim().max(1000).allow("", null),
+}).xor("course_id", "all_courses");
+
+export const courseAnalyticsQuerySchema = joi.object({
+  interval: joi.string().valid("day", "week").default("day"),
+  days: joi.number().integer().min(1).max(365).default(30),
+});
+
+export const announcementSchema = joi.object({
+  title: joi.string().trim().max(255).required(),
+  content: joi.string().trim().max(10000).required(),
+  is_pinned: joi.boolean().default(false),
+  send_email: joi.boolean().default(false),
+  publish_at: joi.date().iso().allow(null),
+});
+
+export const updateAnnouncementSchema = joi.object({
+  title: joi.string().trim().max(255),
+  content: joi.string().trim().max(10000),
+  is_pinned: joi.boolean(),
+  send_email: joi.boolean(),
+  publish_at: joi.date().iso(),
+}).min(1);
+
+export const featureCourseSchema = joi.object({
+  display_order: joi.number().integer().min(0).default(0),
+  starts_at: joi.date().iso().allow(null).default(null),
+  ends_at: joi.date().iso().allow(null).default(null)
+    .when("starts_at", { is: joi.date().required(), then: joi.date().greater(joi.ref("starts_at")) }),
+});
+
+const categorySlug = joi.string().trim().lowercase().max(120).pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+  .message("slug may only contain lowercase letters, digits and single hyphens");
+
+export const categorySchema = joi.object({
+  name: joi.string().trim().max(100).required(),
+  slug: categorySlug,
+  description: joi.string().trim().max(2000).allow("", null),
+  icon: joi.string().trim().max(100).allow("", null),
+  parent_id: joi.number().integer().positive().allow(null),
+});
+
+export const updateCategorySchema = joi.object({
+  name: joi.string().trim().max(100),
+  slug: categorySlug,
+  description: joi.string().trim().max(2000).allow("", null),
+  icon: joi.string().trim().max(100).allow("", null),
+  parent_id: joi.number().integer().positive().allow(null),
+}).min(1);
+
+export const mergeCategorySchema = joi.object({
+  target_id: joi.number().integer().positive().required(),
+});
+
+// Tag names as sent on course create/update; tags are matched by slug when saved
+export const courseTagsSchema = joi.array().items(joi.string().trim().min(1).max(50)).max(20)
+  .messages({ "array.max": "A course can have at most {#limit} tags" });
+
+export const renameTagSchema = joi.object({
+  name: joi.string().trim().max(50).required(),
+  slug: joi.string().trim().lowercase().max(60).pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .message("slug may only contain lowercase letters, digits and single hyphens"),
+});
+
+export const mergeTagSchema = joi.object({
+  target_id: joi.number().integer().positive().required(),
+});